@@ -19,7 +19,7 @@ async function testFindSpeakers() {
   try {
     // Search for Donald
     console.log('\nSearching for "Donald":');
-    const donalds = await userService.findUsers('Donald');
+    const donalds = await userService.findUsers({ name: 'Donald' });
     console.log(`Found ${donalds.length} users matching "Donald"`);
     donalds.forEach(user => {
       console.log(`- ID: ${user.id}`);
@@ -30,7 +30,7 @@ async function testFindSpeakers() {
     
     // Search for Jose
     console.log('\nSearching for "Jose":');
-    const joses = await userService.findUsers('Jose');
+    const joses = await userService.findUsers({ name: 'Jose' });
     console.log(`Found ${joses.length} users matching "Jose"`);
     joses.forEach(user => {
       console.log(`- ID: ${user.id}`);
@@ -41,7 +41,7 @@ async function testFindSpeakers() {
     
     // Search for Jose Arreguin specifically
     console.log('\nSearching for "Jose Arreguin":');
-    const joseArreguin = await userService.findUsers('Jose Arreguin');
+    const joseArreguin = await userService.findUsers({ name: 'Jose Arreguin' });
     console.log(`Found ${joseArreguin.length} users matching "Jose Arreguin"`);
     joseArreguin.forEach(user => {
       console.log(`- ID: ${user.id}`);
@@ -55,10 +55,10 @@ async function testFindSpeakers() {
     const speakerId1 = '6937571049148752173';
     const speakerId2 = '6454002139360035438';
     
-    const user1 = await userService.findUsers(undefined, undefined, speakerId1);
+    const user1 = await userService.findUsers({ id: speakerId1 });
     console.log(`Speaker ID ${speakerId1}: ${user1.length > 0 ? 'Found' : 'Not found'}`);
     
-    const user2 = await userService.findUsers(undefined, undefined, speakerId2);
+    const user2 = await userService.findUsers({ id: speakerId2 });
     console.log(`Speaker ID ${speakerId2}: ${user2.length > 0 ? 'Found' : 'Not found'}`);
     
   } catch (error) {
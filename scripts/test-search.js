@@ -81,7 +81,7 @@ async function testFindUsers() {
   try {
     // Test finding by name
     console.log('\n1. Finding users by name: "Aaron"');
-    const nameResults = await userService.findUsers('Aaron');
+    const nameResults = await userService.findUsers({ name: 'Aaron' });
     console.log(`Found ${nameResults.length} users matching name "Aaron"`);
     
     if (nameResults.length > 0) {
@@ -97,7 +97,7 @@ async function testFindUsers() {
     
     // Test finding by partial name
     console.log('\n2. Finding users by partial name: "Bockelie"');
-    const partialNameResults = await userService.findUsers('Bockelie');
+    const partialNameResults = await userService.findUsers({ name: 'Bockelie' });
     console.log(`Found ${partialNameResults.length} users matching partial name "Bockelie"`);
     
     if (partialNameResults.length > 0) {
@@ -113,7 +113,7 @@ async function testFindUsers() {
     
     // Test finding by email domain
     console.log('\n3. Finding users by email domain: "@cprime.com"');
-    const emailResults = await userService.findUsers(undefined, '@cprime.com');
+    const emailResults = await userService.findUsers({ email: '@cprime.com', limit: 0 });
     console.log(`Found ${emailResults.length} users with email containing "@cprime.com"`);
     
     if (emailResults.length > 0) {
@@ -131,7 +131,7 @@ async function testFindUsers() {
     if (partialNameResults.length > 0) {
       const userId = partialNameResults[0].id;
       console.log(`\n4. Finding user by ID: "${userId}"`);
-      const idResults = await userService.findUsers(undefined, undefined, userId);
+      const idResults = await userService.findUsers({ id: userId });
       console.log(`Found ${idResults.length} users with ID "${userId}"`);
       
       if (idResults.length > 0) {
@@ -158,7 +158,7 @@ async function testListCalls() {
   try {
     // Test listing recent calls (limit 10)
     console.log('\n1. Listing recent calls (limit 10)');
-    const recentCalls = await callService.listCalls({ limit: 10 });
+    const { calls: recentCalls } = await callService.listCalls({ limit: 10 });
     console.log(`Found ${recentCalls.length} recent calls`);
     
     if (recentCalls.length > 0) {
@@ -182,7 +182,7 @@ async function testListCalls() {
     const toDate = sixMonthsAgo.toISOString();
     
     console.log(`\n2. Listing calls from ${fromDate} to ${toDate} (limit 5)`);
-    const dateFilteredCalls = await callService.listCalls({
+    const { calls: dateFilteredCalls } = await callService.listCalls({
       fromDateTime: fromDate,
       toDateTime: toDate,
       limit: 5
@@ -212,7 +212,7 @@ async function testGetCallDetails() {
   try {
     // First, get a call ID from a recent call
     console.log('\nGetting a call ID from recent calls...');
-    const recentCalls = await callService.listCalls({ limit: 1 });
+    const { calls: recentCalls } = await callService.listCalls({ limit: 1 });
     
     if (recentCalls.length === 0) {
       console.log('No calls found to test call details');
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 import { GongApiClient } from '../build/src/api/client.js';
 import { UserService } from '../build/src/services/user-service.js';
+import { TranscriptService } from '../build/src/services/transcript-service.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -14,6 +15,7 @@ async function testSpeakerResolution() {
   
   const apiClient = new GongApiClient(GONG_ACCESS_KEY, GONG_ACCESS_KEY_SECRET, GONG_BASE_URL);
   const userService = new UserService(apiClient);
+  const transcriptService = new TranscriptService(apiClient, userService);
   
   console.log('Testing speaker resolution for call:', callId);
   console.log('-------------------------------------------');
@@ -26,23 +28,19 @@ async function testSpeakerResolution() {
     console.log('Call Title:', call.title);
     console.log('Participants from call details:', call.participants?.length || 0);
     
+    // Get transcript to see actual speaker IDs
+    console.log('\nFetching transcript...');
+    const transcripts = await transcriptService.getRawTranscript(callId);
+    
     // Get speaker map
     console.log('\nCreating speaker map...');
-    const speakerMap = await userService.getSpeakerMap(callId, call);
+    const speakerMap = await userService.getSpeakerMap(callId, call, transcripts);
     
     console.log('\nSpeaker Map:');
     Object.entries(speakerMap).forEach(([id, speaker]) => {
       console.log(`- ${id}: ${speaker.name} (${speaker.company || 'Unknown'}, ${speaker.role || 'Unknown'})`);
     });
     
-    // Get transcript to see actual speaker IDs
-    console.log('\nFetching transcript...');
-    const transcriptResponse = await apiClient.getTranscripts([callId]);
-    let transcripts = [];
-    if (transcriptResponse.callTranscripts && transcriptResponse.callTranscripts.length > 0) {
-      transcripts = transcriptResponse.callTranscripts[0].transcript || [];
-    }
-    
     // Get unique speaker IDs from transcript
     const speakerIds = new Set();
     transcripts.forEach(segment => {
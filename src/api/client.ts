@@ -1,16 +1,118 @@
-import axios from 'axios';
+import axios, { AxiosInstance } from 'axios';
 import * as crypto from 'crypto';
 import { TextEncoder } from 'util';
+import {
+  CircuitBreaker,
+  CircuitBreakerOptions,
+  DEFAULT_RETRY_OPTIONS,
+  RetryOptions,
+  getRetryDelay,
+  isIdempotentMethod,
+  isRetryableError,
+  parseRetryAfter,
+  sleep
+} from './retry.js';
+import { ApiUsage, RateLimiter, RateLimiterOptions } from './rate-limiter.js';
+import { GongApiError, toGongApiError } from './errors.js';
+
+export {
+  GongApiError,
+  GongBadRequestError,
+  GongAuthenticationError,
+  GongPermissionError,
+  GongNotFoundError,
+  GongRateLimitError,
+  GongServerError,
+  GongNetworkError,
+  CircuitOpenError,
+  QuotaExhaustedError,
+  GongErrorCode,
+  GongErrorDetails,
+  ErrorDescription,
+  describeError
+} from './errors.js';
+
+export interface GongApiClientOptions {
+  retry?: Partial<RetryOptions>;
+  circuitBreaker?: Partial<CircuitBreakerOptions>;
+  rateLimit?: Partial<RateLimiterOptions>;
+  // Axios instance requests are sent with, e.g. one with a proxy or a custom adapter
+  http?: AxiosInstance;
+}
+
+export interface RequestOptions {
+  // Allow retrying a non-idempotent request (e.g. read-only POST endpoints)
+  retrySafe?: boolean;
+}
+
+export interface PageOptions {
+  // Cursor returned as nextCursor by a previous batch
+  cursor?: string;
+  // Stop once this many items have been collected (0 or undefined for all)
+  maxItems?: number;
+  // Client-side filter applied to each page before items count towards maxItems
+  filter?: (items: any[]) => any[] | Promise<any[]>;
+}
+
+export interface PaginatedResult<T> {
+  items: T[];
+  nextCursor?: string;
+}
+
+export interface PageCursor {
+  // Gong cursor of the page to fetch (undefined for the first page)
+  c?: string;
+  // Number of items on that page that were already returned
+  o: number;
+}
+
+export function encodePageCursor(cursor: PageCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+export function decodePageCursor(cursor: string): PageCursor {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.o === 'number' && (decoded.c === undefined || typeof decoded.c === 'string')) {
+      return decoded;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor: pass the nextCursor value from a previous response unchanged');
+}
 
 export class GongApiClient {
   private accessKey: string;
   private accessSecret: string;
   private baseUrl: string;
+  private retryOptions: RetryOptions;
+  private circuitBreaker: CircuitBreaker;
+  private rateLimiter: RateLimiter;
+  private http: AxiosInstance;
+  // Identical read requests in flight share one promise
+  private inFlight: Map<string, Promise<any>> = new Map();
 
-  constructor(accessKey: string, accessSecret: string, baseUrl: string = 'https://api.gong.io') {
+  constructor(
+    accessKey: string,
+    accessSecret: string,
+    baseUrl: string = 'https://api.gong.io',
+    options: GongApiClientOptions = {}
+  ) {
     this.accessKey = accessKey;
     this.accessSecret = accessSecret;
     this.baseUrl = baseUrl;
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+    this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+    this.rateLimiter = new RateLimiter(options.rateLimit);
+    this.http = options.http ?? axios;
+  }
+
+  /**
+   * Get today's API usage against the daily quota
+   */
+  public getUsage(): ApiUsage {
+    return this.rateLimiter.getUsage();
   }
 
   /**
@@ -40,14 +142,109 @@ export class GongApiClient {
   }
 
   /**
-   * Make a request to the Gong API
+   * Make a request to the Gong API. Identical read requests made while one is
+   * already in flight share its result instead of hitting Gong again.
+   */
+  public async request<T>(
+    method: string,
+    path: string,
+    params?: Record<string, any>,
+    data?: Record<string, any>,
+    options: RequestOptions = {}
+  ): Promise<T> {
+    const isRead = isIdempotentMethod(method) || options.retrySafe === true;
+    if (!isRead) {
+      return this.requestWithRetry<T>(method, path, params, data, false);
+    }
+
+    const key = `${method.toUpperCase()} ${path} ${JSON.stringify(params ?? null)} ${JSON.stringify(data ?? null)}`;
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      console.log(`Sharing in-flight request ${method} ${path}`);
+      return pending;
+    }
+
+    const promise = this.requestWithRetry<T>(method, path, params, data, true)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Make a request to the Gong API, retrying transient failures when allowed
    */
-  public async request<T>(method: string, path: string, params?: Record<string, any>, data?: Record<string, any>): Promise<T> {
+  private async requestWithRetry<T>(
+    method: string,
+    path: string,
+    params: Record<string, any> | undefined,
+    data: Record<string, any> | undefined,
+    canRetry: boolean
+  ): Promise<T> {
+    for (let attempt = 0; ; attempt++) {
+      this.circuitBreaker.beforeRequest();
+
+      // Every attempt, including retries, goes through the rate limiter
+      let release: () => void;
+      try {
+        release = await this.rateLimiter.acquire();
+      } catch (error) {
+        this.circuitBreaker.recordNeutral();
+        throw error;
+      }
+
+      try {
+        const result = await this.sendRequest<T>(method, path, params, data);
+        this.circuitBreaker.recordSuccess();
+        return result;
+      } catch (error: any) {
+        if (!isRetryableError(error)) {
+          // The server answered (e.g. 404), so it is healthy as far as the breaker cares
+          if (error.response) {
+            this.circuitBreaker.recordSuccess();
+          } else {
+            this.circuitBreaker.recordNeutral();
+          }
+          throw this.classifyError(error, method, path);
+        }
+
+        this.circuitBreaker.recordFailure();
+
+        if (!canRetry || attempt >= this.retryOptions.maxRetries) {
+          throw this.classifyError(error, method, path);
+        }
+
+        const delay = getRetryDelay(error, attempt, this.retryOptions);
+        if (delay === undefined) {
+          console.error(`Gong API asked to retry ${method} ${path} later than we are willing to wait`);
+          throw this.classifyError(error, method, path);
+        }
+
+        // Free the slot while we wait
+        release();
+        console.error(`Retrying ${method} ${path} in ${delay}ms (attempt ${attempt + 1} of ${this.retryOptions.maxRetries})`);
+        await sleep(delay);
+      } finally {
+        release();
+      }
+    }
+  }
+
+  /**
+   * Turn a failed request into a GongApiError with a safe message
+   */
+  private classifyError(error: any, method: string, path: string): GongApiError {
+    return toGongApiError(error, method, path, parseRetryAfter(error?.response?.headers?.['retry-after']));
+  }
+
+  /**
+   * Send a single signed request to the Gong API
+   */
+  private async sendRequest<T>(method: string, path: string, params?: Record<string, any>, data?: Record<string, any>): Promise<T> {
     const timestamp = new Date().toISOString();
     const url = `${this.baseUrl}${path}`;
     
     try {
-      const response = await axios({
+      const response = await this.http.request({
         method,
         url,
         params,
@@ -79,6 +276,19 @@ export class GongApiClient {
     return this.request<any>('GET', `/v2/calls/${callId}`);
   }
 
+  /**
+   * Get a single call from the extensive endpoint with the selected content
+   * (e.g. { exposedFields: { content: { brief: true } }, context: 'Extended' })
+   */
+  public async getCallExtensive(callId: string, contentSelector: Record<string, any>): Promise<any | undefined> {
+    // Read-only despite being a POST, so it is safe to retry
+    const response = await this.request<any>('POST', '/v2/calls/extensive', undefined, {
+      filter: { callIds: [callId] },
+      contentSelector
+    }, { retrySafe: true });
+    return response.calls?.[0];
+  }
+
   /**
    * List calls with optional filtering
    */
@@ -90,6 +300,7 @@ export class GongApiClient {
    * Get transcript for specified call IDs
    */
   public async getTranscripts(callIds: string[]): Promise<any> {
+    // Read-only despite being a POST, so it is safe to retry
     return this.request<any>('POST', '/v2/calls/transcript', undefined, {
       filter: {
         callIds,
@@ -97,7 +308,7 @@ export class GongApiClient {
         includeInteractionsSummary: true,
         includeTrackers: true
       }
-    });
+    }, { retrySafe: true });
   }
 
   /**
@@ -110,54 +321,99 @@ export class GongApiClient {
     cursorKey: string = 'cursor',
     dataKey: string = ''
   ): Promise<T[]> {
+    const result = await this.getPaginated<T>(method, path, initialParams, cursorKey, dataKey);
+    return result.items;
+  }
+
+  /**
+   * Get pages of a paginated resource until maxItems have been collected.
+   * The returned nextCursor resumes exactly where this batch stopped, even mid-page.
+   */
+  public async getPaginated<T>(
+    method: string,
+    path: string,
+    initialParams: Record<string, any> = {},
+    cursorKey: string = 'cursor',
+    dataKey: string = '',
+    options: PageOptions = {}
+  ): Promise<PaginatedResult<T>> {
     const results: T[] = [];
-    let cursor: string | undefined = undefined;
+    const start = options.cursor ? decodePageCursor(options.cursor) : { o: 0 };
+    let cursor: string | undefined = start.c;
+    let offset = start.o;
     const limit = initialParams.limit || 100;
+    const maxItems = options.maxItems && options.maxItems > 0 ? options.maxItems : Infinity;
     let pageCount = 0;
 
     do {
       pageCount++;
       console.log(`Fetching page ${pageCount}${cursor ? ' with cursor' : ''} from ${path}...`);
 
-      const params: Record<string, any> = { ...initialParams, limit };
-      if (cursor) params[cursorKey] = cursor;
-
-      const response = await this.request<any>(method, path, params);
+      let response: any;
+      if (method === 'POST') {
+        // POST list endpoints take the cursor in the body and are read-only, so safe to retry
+        const body: Record<string, any> = { ...initialParams };
+        if (cursor) body[cursorKey] = cursor;
+        response = await this.request<any>(method, path, undefined, body, { retrySafe: true });
+      } else {
+        const params: Record<string, any> = { ...initialParams, limit };
+        if (cursor) params[cursorKey] = cursor;
+        response = await this.request<any>(method, path, params);
+      }
 
       // Extract the data array based on the provided dataKey
-      const dataArray = dataKey ? response[dataKey] || [] : response;
-
-      // Add results to our collection
-      results.push(...dataArray);
+      const dataArray: T[] = dataKey ? response[dataKey] || [] : response;
 
       // Get the next cursor - try different possible locations
       const records = response.records || response.pagination || {};
-      cursor = records[cursorKey] || records.nextPageToken || records.nextCursor || undefined;
+      const nextCursor = records[cursorKey] || records.nextPageToken || records.nextCursor || undefined;
+
+      const pageItems: T[] = options.filter
+        ? await options.filter(dataArray.slice(offset))
+        : dataArray.slice(offset);
 
-      // Add a small delay to avoid rate limiting
-      if (cursor) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+      // Stop part-way through the page if it holds more than we still need
+      const remaining = maxItems - results.length;
+      if (pageItems.length > remaining) {
+        const taken = pageItems.slice(0, remaining);
+        results.push(...taken);
+        const resumeAt = dataArray.indexOf(taken[taken.length - 1]) + 1;
+        console.log(`Collected ${results.length} items across ${pageCount} pages from ${path}, stopping early`);
+        return { items: results, nextCursor: encodePageCursor({ c: cursor, o: resumeAt }) };
       }
-    } while (cursor);
+
+      results.push(...pageItems);
+      offset = 0;
+      cursor = nextCursor;
+    } while (cursor && results.length < maxItems);
 
     console.log(`Total items fetched: ${results.length} across ${pageCount} pages from ${path}`);
-    return results;
+    return { items: results, nextCursor: cursor ? encodePageCursor({ c: cursor, o: 0 }) : undefined };
+  }
+
+  /**
+   * Get the workspaces of the company
+   */
+  public async getWorkspaces(): Promise<any[]> {
+    const response = await this.request<any>('GET', '/v2/workspaces');
+    return response.workspaces || [];
   }
 
   /**
-   * Get users with optional pagination
+   * Get users with optional pagination, optionally of one workspace
    */
-  public async getUsers(cursor?: string, limit: number = 100): Promise<any> {
+  public async getUsers(cursor?: string, limit: number = 100, workspaceId?: string): Promise<any> {
     const params: any = { limit };
     if (cursor) params.cursor = cursor;
+    if (workspaceId) params.workspaceId = workspaceId;
     return this.request<any>('GET', '/v2/users', params);
   }
 
   /**
-   * Get all users using pagination
+   * Get all users using pagination, optionally of one workspace
    */
-  public async getAllUsers(): Promise<any[]> {
-    return this.getAllPaginated('GET', '/v2/users', {}, 'cursor', 'users');
+  public async getAllUsers(workspaceId?: string): Promise<any[]> {
+    return this.getAllPaginated('GET', '/v2/users', workspaceId ? { workspaceId } : {}, 'cursor', 'users');
   }
 
   /**
@@ -166,4 +422,26 @@ export class GongApiClient {
   public async getAllCalls(params: Record<string, any> = {}): Promise<any[]> {
     return this.getAllPaginated('GET', '/v2/calls', params, 'cursor', 'calls');
   }
+
+  /**
+   * Get one batch of calls, resuming from a cursor returned by a previous batch
+   */
+  public async getCallsPage(params: Record<string, any> = {}, options: PageOptions = {}): Promise<PaginatedResult<any>> {
+    return this.getPaginated('GET', '/v2/calls', params, 'cursor', 'calls', options);
+  }
+
+  /**
+   * Get one batch of calls from the extensive endpoint, which can also return
+   * parties and other call content selected through exposedFields
+   */
+  public async getCallsExtensivePage(
+    filter: Record<string, any> = {},
+    exposedFields: Record<string, any> = {},
+    options: PageOptions = {}
+  ): Promise<PaginatedResult<any>> {
+    return this.getPaginated('POST', '/v2/calls/extensive', {
+      filter,
+      contentSelector: { exposedFields }
+    }, 'cursor', 'calls', options);
+  }
 }
\ No newline at end of file
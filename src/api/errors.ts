@@ -0,0 +1,291 @@
+// Typed errors for failed Gong API requests
+
+import { ApiUsage } from './rate-limiter.js';
+
+export type GongErrorCode =
+  | 'invalid_request'
+  | 'unauthorized'
+  | 'forbidden'
+  | 'not_found'
+  | 'rate_limited'
+  | 'quota_exhausted'
+  | 'circuit_open'
+  | 'server_error'
+  | 'network_error'
+  | 'api_error';
+
+export interface GongErrorDetails {
+  code: GongErrorCode;
+  // Safe to show: never includes credentials or raw response bodies
+  message: string;
+  status?: number;
+  // Gong's request ID, for support tickets
+  requestId?: string;
+  retryable: boolean;
+  retryAfterMs?: number;
+  hint: string;
+}
+
+// Description of any error for tool results; errors from outside the Gong API have no Gong code
+export type ErrorDescription = Omit<GongErrorDetails, 'code' | 'hint'> & {
+  code: GongErrorCode | 'configuration_error' | 'tool_error';
+  hint?: string;
+};
+
+interface GongApiErrorOptions {
+  status?: number;
+  requestId?: string;
+  retryable?: boolean;
+  retryAfterMs?: number;
+  hint?: string;
+}
+
+// API scopes of the endpoints we use, most specific first
+const API_SCOPES: Array<[RegExp, string]> = [
+  [/^\/v2\/calls\/transcript/, 'api:calls:read:transcript'],
+  [/^\/v2\/calls\/extensive/, 'api:calls:read:extensive'],
+  [/^\/v2\/calls/, 'api:calls:read:basic'],
+  [/^\/v2\/users/, 'api:users:read'],
+  [/^\/v2\/workspaces/, 'api:workspaces:read']
+];
+
+// Network failures that are worth retrying
+export const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+
+// Longest part of Gong's error text included in messages
+const MAX_GONG_MESSAGE_LENGTH = 300;
+
+/**
+ * Base class of everything that can go wrong talking to Gong
+ */
+export class GongApiError extends Error {
+  public readonly code: GongErrorCode;
+  public readonly status?: number;
+  public readonly requestId?: string;
+  public readonly retryable: boolean;
+  public readonly retryAfterMs?: number;
+  public readonly hint: string;
+
+  constructor(code: GongErrorCode, message: string, options: GongApiErrorOptions = {}) {
+    super(message);
+    this.name = 'GongApiError';
+    this.code = code;
+    this.status = options.status;
+    this.requestId = options.requestId;
+    this.retryable = options.retryable ?? false;
+    this.retryAfterMs = options.retryAfterMs;
+    this.hint = options.hint ?? 'See the message for details.';
+  }
+
+  /**
+   * The machine-readable form returned to MCP clients
+   */
+  public toDetails(): GongErrorDetails {
+    return {
+      code: this.code,
+      message: this.message,
+      status: this.status,
+      requestId: this.requestId,
+      retryable: this.retryable,
+      retryAfterMs: this.retryAfterMs,
+      hint: this.hint
+    };
+  }
+}
+
+/**
+ * Gong rejected the request as malformed (400) or invalid (422)
+ */
+export class GongBadRequestError extends GongApiError {
+  constructor(message: string, options: GongApiErrorOptions = {}) {
+    super('invalid_request', message, {
+      hint: 'Check the arguments, e.g. the date format (ISO 8601) and IDs.',
+      ...options
+    });
+    this.name = 'GongBadRequestError';
+  }
+}
+
+/**
+ * The credentials were rejected (401)
+ */
+export class GongAuthenticationError extends GongApiError {
+  constructor(message: string, options: GongApiErrorOptions = {}) {
+    super('unauthorized', message, {
+      hint: 'Check the access key and secret (GONG_ACCESS_KEY and GONG_ACCESS_KEY_SECRET, or the profile in the config file), ' +
+        'that they have not been revoked, and that the base URL is the one of your Gong company.',
+      ...options
+    });
+    this.name = 'GongAuthenticationError';
+  }
+}
+
+/**
+ * The credentials lack the API scope of the endpoint (403)
+ */
+export class GongPermissionError extends GongApiError {
+  public readonly scope?: string;
+
+  constructor(message: string, scope?: string, options: GongApiErrorOptions = {}) {
+    super('forbidden', message, {
+      hint: scope
+        ? `The access key is missing the "${scope}" API scope. A Gong admin can add it under Company Settings > Ecosystem > API.`
+        : 'The access key is not allowed to use this endpoint. A Gong admin can check its API scopes.',
+      ...options
+    });
+    this.name = 'GongPermissionError';
+    this.scope = scope;
+  }
+}
+
+/**
+ * The requested call, user or transcript does not exist (404)
+ */
+export class GongNotFoundError extends GongApiError {
+  constructor(message: string, options: GongApiErrorOptions = {}) {
+    super('not_found', message, {
+      hint: 'Check the ID. list_calls and find_users return valid IDs; calls that are still processing have no transcript yet.',
+      ...options
+    });
+    this.name = 'GongNotFoundError';
+  }
+}
+
+/**
+ * Gong kept answering 429 after our retries
+ */
+export class GongRateLimitError extends GongApiError {
+  constructor(message: string, options: GongApiErrorOptions = {}) {
+    super('rate_limited', message, {
+      retryable: true,
+      hint: 'Gong is rate limiting the requests. Wait before retrying, and prefer fewer, larger requests (e.g. get_transcripts).',
+      ...options
+    });
+    this.name = 'GongRateLimitError';
+  }
+}
+
+/**
+ * Gong failed to answer (5xx)
+ */
+export class GongServerError extends GongApiError {
+  constructor(message: string, options: GongApiErrorOptions = {}) {
+    super('server_error', message, {
+      retryable: true,
+      hint: 'Gong had an internal error or is unavailable. Retry later and quote the request ID if it persists.',
+      ...options
+    });
+    this.name = 'GongServerError';
+  }
+}
+
+/**
+ * Gong could not be reached at all
+ */
+export class GongNetworkError extends GongApiError {
+  constructor(message: string, options: GongApiErrorOptions = {}) {
+    super('network_error', message, {
+      hint: 'Could not reach Gong. Check the network connection and the base URL.',
+      ...options
+    });
+    this.name = 'GongNetworkError';
+  }
+}
+
+/**
+ * Thrown when the circuit breaker is open and requests fail fast
+ */
+export class CircuitOpenError extends GongApiError {
+  constructor(retryAfterMs: number) {
+    super('circuit_open', `Gong API circuit breaker is open after repeated failures; retry in ${Math.ceil(retryAfterMs / 1000)}s`, {
+      retryable: true,
+      retryAfterMs,
+      hint: 'Requests to Gong failed repeatedly, so they are paused. Retry after retryAfterMs.'
+    });
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Thrown when the daily request budget is (nearly) used up
+ */
+export class QuotaExhaustedError extends GongApiError {
+  public readonly usage: ApiUsage;
+
+  constructor(usage: ApiUsage) {
+    super(
+      'quota_exhausted',
+      `Daily Gong API budget nearly exhausted: ${usage.used} of ${usage.limit} requests used on ${usage.date} ` +
+      `(${usage.reserve} held in reserve). The budget resets at 00:00 UTC.`,
+      { hint: 'Wait until the budget resets, or use cached data (calls and transcripts fetched before are still available).' }
+    );
+    this.name = 'QuotaExhaustedError';
+    this.usage = usage;
+  }
+}
+
+/**
+ * Describe an error for a tool result. Errors that did not come from the Gong
+ * API (argument validation, unexpected failures) get the code "tool_error".
+ */
+export function describeError(error: unknown): ErrorDescription {
+  if (error instanceof GongApiError) {
+    return error.toDetails();
+  }
+  return {
+    code: 'tool_error',
+    message: error instanceof Error ? error.message : String(error),
+    retryable: false
+  };
+}
+
+/**
+ * API scope needed for an endpoint, if known
+ */
+export function requiredScope(path: string): string | undefined {
+  return API_SCOPES.find(([pattern]) => pattern.test(path))?.[1];
+}
+
+/**
+ * Gong's explanation of a failed request, without anything else from the body
+ */
+function gongMessage(data: any): string | undefined {
+  const errors = Array.isArray(data?.errors) ? data.errors.filter((error: unknown) => typeof error === 'string') : [];
+  const text = errors.length > 0 ? errors.join('; ') : (typeof data?.message === 'string' ? data.message : undefined);
+  return text && text.length > MAX_GONG_MESSAGE_LENGTH ? `${text.slice(0, MAX_GONG_MESSAGE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Turn a failed axios request into the matching GongApiError. Errors that
+ * already are GongApiErrors are returned unchanged. The axios error is not
+ * kept, as its request config holds the credentials.
+ */
+export function toGongApiError(error: any, method: string, path: string, retryAfterMs?: number): GongApiError {
+  if (error instanceof GongApiError) {
+    return error;
+  }
+
+  const request = `${method.toUpperCase()} ${path}`;
+  const response = error?.response;
+  if (!response) {
+    return new GongNetworkError(`Could not reach Gong for ${request}: ${error?.code || error?.message || 'no response'}`, {
+      retryable: TRANSIENT_NETWORK_CODES.has(error?.code)
+    });
+  }
+
+  const status: number = response.status;
+  const detail = gongMessage(response.data);
+  const message = `Gong API returned ${status} for ${request}${detail ? `: ${detail}` : ''}`;
+  const options: GongApiErrorOptions = {
+    status,
+    requestId: response.data?.requestId || response.headers?.['x-request-id'] || undefined
+  };
+
+  if (status === 400 || status === 422) return new GongBadRequestError(message, options);
+  if (status === 401) return new GongAuthenticationError(message, options);
+  if (status === 403) return new GongPermissionError(message, requiredScope(path), options);
+  if (status === 404) return new GongNotFoundError(message, options);
+  if (status === 429) return new GongRateLimitError(message, { ...options, retryAfterMs });
+  if (status >= 500) return new GongServerError(message, options);
+  return new GongApiError('api_error', message, options);
+}
@@ -0,0 +1,252 @@
+// Token-bucket rate limiting and daily quota accounting for the Gong API client
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { QuotaExhaustedError } from './errors.js';
+
+export interface RateLimiterOptions {
+  requestsPerSecond: number;
+  maxConcurrency: number;
+  dailyQuota: number;
+  // Requests held back from the daily quota so the company is never locked out
+  quotaReserve: number;
+  // Where the daily counter is persisted; set to '' to keep it in memory only
+  usageFile: string;
+}
+
+export interface ApiUsage {
+  date: string;
+  used: number;
+  limit: number;
+  reserve: number;
+  remaining: number;
+}
+
+// Gong allows 3 calls per second and 10,000 calls per day by default
+export const DEFAULT_RATE_LIMITER_OPTIONS: RateLimiterOptions = {
+  requestsPerSecond: 3,
+  maxConcurrency: 3,
+  dailyQuota: 10000,
+  quotaReserve: 100,
+  usageFile: path.join(os.homedir(), '.gong-cloud', 'usage.json')
+};
+
+interface Waiter {
+  resolve: () => void;
+  reject: (error: Error) => void;
+}
+
+/**
+ * Schedules every request through a token bucket with a concurrency cap and
+ * counts requests against a daily budget that survives restarts.
+ */
+export class RateLimiter {
+  private options: RateLimiterOptions;
+  private tokens: number;
+  private lastRefill: number;
+  private active: number = 0;
+  private queue: Waiter[] = [];
+  private timer: NodeJS.Timeout | undefined = undefined;
+  private usageDate: string;
+  private usageCount: number = 0;
+  // Requests of this process not yet added to the usage file
+  private unsavedCount: number = 0;
+  private persisting: Promise<void> = Promise.resolve();
+
+  constructor(options: Partial<RateLimiterOptions> = {}) {
+    this.options = { ...DEFAULT_RATE_LIMITER_OPTIONS, ...options };
+    this.tokens = this.capacity();
+    this.lastRefill = Date.now();
+    this.usageDate = this.today();
+    this.loadUsage();
+  }
+
+  /**
+   * Wait for a request slot. Resolves with a release function that must be
+   * called once the request has finished.
+   */
+  public async acquire(): Promise<() => void> {
+    this.assertQuota();
+
+    await new Promise<void>((resolve, reject) => {
+      this.queue.push({ resolve, reject });
+      this.drain();
+    });
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      this.drain();
+    };
+  }
+
+  /**
+   * Current daily usage
+   */
+  public getUsage(): ApiUsage {
+    this.rollOver();
+    return {
+      date: this.usageDate,
+      used: this.usageCount,
+      limit: this.options.dailyQuota,
+      reserve: this.options.quotaReserve,
+      remaining: Math.max(0, this.options.dailyQuota - this.usageCount)
+    };
+  }
+
+  /**
+   * Wait until the daily counter has been written, e.g. before the process exits
+   */
+  public async flushUsage(): Promise<void> {
+    await this.persisting;
+  }
+
+  private assertQuota(): void {
+    const usage = this.getUsage();
+    if (usage.remaining <= usage.reserve) {
+      throw new QuotaExhaustedError(usage);
+    }
+  }
+
+  /**
+   * Hand out tokens to queued waiters, scheduling a wake-up when the bucket is empty
+   */
+  private drain(): void {
+    this.refill();
+
+    while (this.queue.length > 0 && this.active < this.options.maxConcurrency && this.tokens >= 1) {
+      const waiter = this.queue.shift()!;
+      try {
+        this.assertQuota();
+      } catch (error) {
+        waiter.reject(error as Error);
+        continue;
+      }
+
+      this.tokens -= 1;
+      this.active++;
+      this.recordRequest();
+      waiter.resolve();
+    }
+
+    if (this.queue.length > 0 && this.active < this.options.maxConcurrency && !this.timer) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.options.requestsPerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = undefined;
+        this.drain();
+      }, Math.max(waitMs, 1));
+    }
+  }
+
+  private refill(): void {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(
+      this.capacity(),
+      this.tokens + elapsedSeconds * this.options.requestsPerSecond
+    );
+    this.lastRefill = now;
+  }
+
+  /**
+   * Size of the bucket: one second's worth of requests, but at least one
+   * request so rates below one per second can still go through
+   */
+  private capacity(): number {
+    return Math.max(1, this.options.requestsPerSecond);
+  }
+
+  private today(): string {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  /**
+   * Reset the counter when the UTC day changes
+   */
+  private rollOver(): void {
+    const today = this.today();
+    if (today !== this.usageDate) {
+      this.usageDate = today;
+      this.usageCount = 0;
+      this.unsavedCount = 0;
+    }
+  }
+
+  private recordRequest(): void {
+    this.rollOver();
+    this.usageCount++;
+    this.unsavedCount++;
+    this.persistUsage();
+  }
+
+  private loadUsage(): void {
+    if (!this.options.usageFile) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.options.usageFile, 'utf8'));
+      if (stored.date === this.usageDate && typeof stored.count === 'number') {
+        this.usageCount = stored.count;
+      }
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read API usage file ${this.options.usageFile}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Count of the given day in the usage file, which other processes using the
+   * same Gong account may have added to
+   */
+  private async readStoredCount(usageFile: string, date: string): Promise<number> {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(usageFile, 'utf8'));
+      return stored.date === date && typeof stored.count === 'number' ? stored.count : 0;
+    } catch (error: any) {
+      // A missing or damaged file starts the count over
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return 0;
+      throw error;
+    }
+  }
+
+  /**
+   * Add this process's new requests to the counter on disk and pick up those of
+   * other processes. Writes are serialized within the process and replace the
+   * file atomically; two processes writing at the same moment can still miss a
+   * few of each other's requests, which the quota reserve absorbs.
+   */
+  private persistUsage(): void {
+    const usageFile = this.options.usageFile;
+    if (!usageFile) return;
+
+    this.persisting = this.persisting
+      .then(async () => {
+        // An earlier write may already have saved the requests of this one
+        const unsaved = this.unsavedCount;
+        if (unsaved === 0) return;
+        const date = this.usageDate;
+        this.unsavedCount = 0;
+
+        try {
+          const count = await this.readStoredCount(usageFile, date) + unsaved;
+          const tempFile = `${usageFile}.${process.pid}.tmp`;
+          await fs.promises.mkdir(path.dirname(usageFile), { recursive: true });
+          await fs.promises.writeFile(tempFile, JSON.stringify({ date, count }), 'utf8');
+          await fs.promises.rename(tempFile, usageFile);
+          if (date === this.usageDate) {
+            this.usageCount = Math.max(this.usageCount, count + this.unsavedCount);
+          }
+        } catch (error) {
+          if (date === this.usageDate) this.unsavedCount += unsaved;
+          throw error;
+        }
+      })
+      .catch(error => {
+        console.error(`Could not write API usage file ${usageFile}: ${error.message}`);
+      });
+  }
+}
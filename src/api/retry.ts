@@ -0,0 +1,157 @@
+// Retry, backoff and circuit breaker support for the Gong API client
+
+import { CircuitOpenError, TRANSIENT_NETWORK_CODES } from './errors.js';
+
+export interface RetryOptions {
+  maxRetries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  // Retry-After values larger than this are not waited out
+  maxRetryAfterMs: number;
+}
+
+export interface CircuitBreakerOptions {
+  failureThreshold: number;
+  resetTimeoutMs: number;
+}
+
+export const DEFAULT_RETRY_OPTIONS: RetryOptions = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  maxRetryAfterMs: 60000
+};
+
+export const DEFAULT_CIRCUIT_BREAKER_OPTIONS: CircuitBreakerOptions = {
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+/**
+ * Whether a method can be retried without risking duplicate side effects
+ */
+export function isIdempotentMethod(method: string): boolean {
+  return IDEMPOTENT_METHODS.has(method.toUpperCase());
+}
+
+/**
+ * Whether an axios error is a transient failure worth retrying
+ */
+export function isRetryableError(error: any): boolean {
+  if (error?.response) {
+    return RETRYABLE_STATUS_CODES.has(error.response.status);
+  }
+  return TRANSIENT_NETWORK_CODES.has(error?.code);
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(header: unknown, now: number = Date.now()): number | undefined {
+  if (typeof header !== 'string' || header.trim() === '') {
+    return undefined;
+  }
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!isNaN(date)) {
+    return Math.max(0, date - now);
+  }
+
+  return undefined;
+}
+
+/**
+ * Compute the delay before the next attempt, honoring Retry-After when present.
+ * Returns undefined when the server asks us to wait longer than we are willing to.
+ */
+export function getRetryDelay(error: any, attempt: number, options: RetryOptions): number | undefined {
+  const retryAfter = parseRetryAfter(error?.response?.headers?.['retry-after']);
+  if (retryAfter !== undefined) {
+    return retryAfter <= options.maxRetryAfterMs ? retryAfter : undefined;
+  }
+
+  // Exponential backoff with full jitter
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Simple circuit breaker: opens after consecutive failures and lets a single
+ * trial request through once the reset timeout has elapsed.
+ */
+export class CircuitBreaker {
+  private options: CircuitBreakerOptions;
+  private consecutiveFailures: number = 0;
+  private openedAt: number | undefined = undefined;
+  private trialInFlight: boolean = false;
+
+  constructor(options: Partial<CircuitBreakerOptions> = {}) {
+    this.options = { ...DEFAULT_CIRCUIT_BREAKER_OPTIONS, ...options };
+  }
+
+  /**
+   * Throw CircuitOpenError if requests should currently fail fast
+   */
+  public beforeRequest(): void {
+    if (this.openedAt === undefined) {
+      return;
+    }
+
+    const elapsed = Date.now() - this.openedAt;
+    if (elapsed < this.options.resetTimeoutMs) {
+      throw new CircuitOpenError(this.options.resetTimeoutMs - elapsed);
+    }
+
+    // Half-open: allow exactly one trial request
+    if (this.trialInFlight) {
+      throw new CircuitOpenError(this.options.resetTimeoutMs);
+    }
+    this.trialInFlight = true;
+  }
+
+  public recordSuccess(): void {
+    this.consecutiveFailures = 0;
+    this.openedAt = undefined;
+    this.trialInFlight = false;
+  }
+
+  public recordFailure(): void {
+    this.consecutiveFailures++;
+    if (this.trialInFlight || this.consecutiveFailures >= this.options.failureThreshold) {
+      if (this.openedAt === undefined || this.trialInFlight) {
+        console.error(`Gong API circuit breaker opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Release a half-open trial that ended without a verdict on server health
+   */
+  public recordNeutral(): void {
+    this.trialInFlight = false;
+  }
+
+  public get state(): 'closed' | 'open' | 'half-open' {
+    if (this.openedAt === undefined) {
+      return 'closed';
+    }
+    return Date.now() - this.openedAt < this.options.resetTimeoutMs ? 'open' : 'half-open';
+  }
+}
+
+/**
+ * Sleep for the given number of milliseconds
+ */
+export function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
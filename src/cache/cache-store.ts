@@ -0,0 +1,65 @@
+// Pluggable storage backends for the entity cache
+
+export interface CacheEntry<T = unknown> {
+  value: T;
+  storedAt: number;
+  expiresAt: number;
+}
+
+export interface CacheNamespaceStats {
+  namespace: string;
+  entries: number;
+  bytes?: number;
+}
+
+export interface CacheStore {
+  readonly type: string;
+  readonly location?: string;
+  get<T>(namespace: string, key: string): Promise<CacheEntry<T> | undefined>;
+  set<T>(namespace: string, key: string, entry: CacheEntry<T>): Promise<void>;
+  delete(namespace: string, key: string): Promise<void>;
+  // Remove all entries of a namespace (or every namespace), returning how many were removed
+  clear(namespace?: string): Promise<number>;
+  stats(): Promise<CacheNamespaceStats[]>;
+}
+
+/**
+ * Cache store that lives only as long as the process
+ */
+export class MemoryCacheStore implements CacheStore {
+  public readonly type = 'memory';
+  private namespaces: Map<string, Map<string, CacheEntry>> = new Map();
+
+  public async get<T>(namespace: string, key: string): Promise<CacheEntry<T> | undefined> {
+    return this.namespaces.get(namespace)?.get(key) as CacheEntry<T> | undefined;
+  }
+
+  public async set<T>(namespace: string, key: string, entry: CacheEntry<T>): Promise<void> {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    this.namespaces.get(namespace)!.set(key, entry);
+  }
+
+  public async delete(namespace: string, key: string): Promise<void> {
+    this.namespaces.get(namespace)?.delete(key);
+  }
+
+  public async clear(namespace?: string): Promise<number> {
+    let removed = 0;
+    for (const [name, entries] of this.namespaces) {
+      if (!namespace || name === namespace) {
+        removed += entries.size;
+        entries.clear();
+      }
+    }
+    return removed;
+  }
+
+  public async stats(): Promise<CacheNamespaceStats[]> {
+    return Array.from(this.namespaces.entries()).map(([namespace, entries]) => ({
+      namespace,
+      entries: entries.size
+    }));
+  }
+}
@@ -0,0 +1,145 @@
+import { CacheEntry, CacheNamespaceStats, CacheStore, MemoryCacheStore } from './cache-store.js';
+
+export type CacheEntityType = 'calls' | 'transcripts' | 'users';
+
+export const CACHE_ENTITY_TYPES: CacheEntityType[] = ['calls', 'transcripts', 'users'];
+
+// Time to live per entity type in milliseconds (0 disables caching for that type)
+export type CacheTtls = Record<CacheEntityType, number>;
+
+export const DEFAULT_CACHE_TTLS: CacheTtls = {
+  calls: 1000 * 60 * 60, // 1 hour
+  transcripts: 1000 * 60 * 60 * 24 * 30, // 30 days, transcripts do not change once processed
+  users: 1000 * 60 * 60 // 1 hour
+};
+
+export interface CacheOptions {
+  // Skip the cached value and fetch fresh data (the fresh value is still stored)
+  bypassCache?: boolean;
+}
+
+export interface CacheStatus {
+  store: string;
+  location?: string;
+  ttlSeconds: Record<CacheEntityType, number>;
+  namespaces: CacheNamespaceStats[];
+}
+
+// Number of entries kept in memory in front of the store
+const MEMORY_ENTRIES = 200;
+
+/**
+ * Caches Gong entities in a pluggable store with a separate TTL per entity type.
+ * Recently used entries are also kept in memory so large values (like the user
+ * directory) are not read back from the store on every lookup.
+ */
+export class EntityCache {
+  private store: CacheStore;
+  private ttls: CacheTtls;
+  private memory: Map<string, CacheEntry> = new Map();
+
+  constructor(store: CacheStore = new MemoryCacheStore(), ttls: Partial<CacheTtls> = {}) {
+    this.store = store;
+    this.ttls = { ...DEFAULT_CACHE_TTLS, ...ttls };
+  }
+
+  /**
+   * Get a cached value, or undefined if it is missing or expired
+   */
+  public async get<T>(type: CacheEntityType, key: string): Promise<T | undefined> {
+    if (this.ttls[type] <= 0) return undefined;
+
+    const memoryKey = `${type}:${key}`;
+    let entry = this.memory.get(memoryKey) as CacheEntry<T> | undefined;
+    if (!entry) {
+      try {
+        entry = await this.store.get<T>(type, key);
+      } catch (error) {
+        console.error(`Cache read failed for ${memoryKey}: ${error}`);
+        return undefined;
+      }
+      if (entry) this.remember(memoryKey, entry);
+    }
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a value with the TTL of its entity type
+   */
+  public async set<T>(type: CacheEntityType, key: string, value: T): Promise<void> {
+    const ttl = this.ttls[type];
+    if (ttl <= 0) return;
+
+    const now = Date.now();
+    const entry: CacheEntry<T> = { value, storedAt: now, expiresAt: now + ttl };
+    this.remember(`${type}:${key}`, entry);
+
+    try {
+      await this.store.set(type, key, entry);
+    } catch (error) {
+      // A failing cache must never fail the request that produced the value
+      console.error(`Cache write failed for ${type}:${key}: ${error}`);
+    }
+  }
+
+  /**
+   * Return the cached value or fetch and cache it
+   */
+  public async getOrFetch<T>(
+    type: CacheEntityType,
+    key: string,
+    fetch: () => Promise<T>,
+    options: CacheOptions = {}
+  ): Promise<T> {
+    if (!options.bypassCache) {
+      const cached = await this.get<T>(type, key);
+      if (cached !== undefined) {
+        console.log(`Cache hit for ${type}:${key}`);
+        return cached;
+      }
+    }
+
+    const value = await fetch();
+    await this.set(type, key, value);
+    return value;
+  }
+
+  /**
+   * Remove cached entries of one entity type, or of all types
+   */
+  public async clear(type?: CacheEntityType): Promise<number> {
+    for (const memoryKey of Array.from(this.memory.keys())) {
+      if (!type || memoryKey.startsWith(`${type}:`)) {
+        this.memory.delete(memoryKey);
+      }
+    }
+    return this.store.clear(type);
+  }
+
+  public async status(): Promise<CacheStatus> {
+    const ttlSeconds = {} as Record<CacheEntityType, number>;
+    CACHE_ENTITY_TYPES.forEach(type => { ttlSeconds[type] = Math.round(this.ttls[type] / 1000); });
+
+    return {
+      store: this.store.type,
+      location: this.store.location,
+      ttlSeconds,
+      namespaces: await this.store.stats()
+    };
+  }
+
+  /**
+   * Keep an entry in memory, evicting the least recently stored one when full
+   */
+  private remember(memoryKey: string, entry: CacheEntry): void {
+    this.memory.delete(memoryKey);
+    this.memory.set(memoryKey, entry);
+    if (this.memory.size > MEMORY_ENTRIES) {
+      this.memory.delete(this.memory.keys().next().value as string);
+    }
+  }
+}
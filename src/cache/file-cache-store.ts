@@ -0,0 +1,179 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { CacheEntry, CacheNamespaceStats, CacheStore } from './cache-store.js';
+
+export interface FileCacheStoreOptions {
+  // Once the entries take up more than this, those expiring first are removed
+  maxBytes?: number;
+}
+
+export const DEFAULT_FILE_CACHE_MAX_BYTES = 512 * 1024 * 1024;
+
+// Expired entries and leftovers are removed on first use and again after this many writes
+const PRUNE_EVERY_WRITES = 200;
+// Temporary files older than this belong to writes that never finished
+const STALE_TEMP_FILE_MS = 10 * 60 * 1000;
+
+/**
+ * Cache store keeping one JSON file per entry in a directory per namespace,
+ * so the cache survives restarts without any native dependencies. The
+ * modification time of each file is set to the expiry of its entry, so
+ * pruning only needs to look at file metadata.
+ */
+export class FileCacheStore implements CacheStore {
+  public readonly type = 'file';
+  public readonly location: string;
+  private maxBytes: number;
+  private writesSincePrune = 0;
+  private pruning?: Promise<number>;
+
+  constructor(directory: string, options: FileCacheStoreOptions = {}) {
+    this.location = directory;
+    this.maxBytes = options.maxBytes ?? DEFAULT_FILE_CACHE_MAX_BYTES;
+  }
+
+  private filePath(namespace: string, key: string): string {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.location, namespace, `${hash}.json`);
+  }
+
+  public async get<T>(namespace: string, key: string): Promise<CacheEntry<T> | undefined> {
+    this.schedulePrune(false);
+    const file = this.filePath(namespace, key);
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      // Guard against hash collisions
+      if (stored.key !== key) return undefined;
+      if (stored.entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(file, { force: true });
+        return undefined;
+      }
+      return stored.entry;
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read cache entry ${namespace}/${key}: ${error.message}`);
+      }
+      return undefined;
+    }
+  }
+
+  public async set<T>(namespace: string, key: string, entry: CacheEntry<T>): Promise<void> {
+    this.schedulePrune(++this.writesSincePrune >= PRUNE_EVERY_WRITES);
+    const file = this.filePath(namespace, key);
+    // Unique per write, so concurrent writes of the same key never share a temporary file
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    // Write to a temporary file first so readers never see a partial entry
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    try {
+      await fs.promises.writeFile(tempFile, JSON.stringify({ key, entry }), 'utf8');
+      const expiresAt = new Date(Math.min(entry.expiresAt, 8.64e15));
+      await fs.promises.utimes(tempFile, expiresAt, expiresAt);
+      await fs.promises.rename(tempFile, file);
+    } catch (error) {
+      await fs.promises.rm(tempFile, { force: true });
+      throw error;
+    }
+  }
+
+  public async delete(namespace: string, key: string): Promise<void> {
+    await fs.promises.rm(this.filePath(namespace, key), { force: true });
+  }
+
+  public async clear(namespace?: string): Promise<number> {
+    let removed = 0;
+    for (const name of await this.listNamespaces()) {
+      if (!namespace || name === namespace) {
+        const directory = path.join(this.location, name);
+        removed += (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json')).length;
+        await fs.promises.rm(directory, { recursive: true, force: true });
+      }
+    }
+    return removed;
+  }
+
+  public async stats(): Promise<CacheNamespaceStats[]> {
+    const stats: CacheNamespaceStats[] = [];
+    for (const namespace of await this.listNamespaces()) {
+      const directory = path.join(this.location, namespace);
+      const files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json'));
+      let bytes = 0;
+      for (const file of files) {
+        bytes += (await fs.promises.stat(path.join(directory, file))).size;
+      }
+      stats.push({ namespace, entries: files.length, bytes });
+    }
+    return stats;
+  }
+
+  /**
+   * Remove expired entries and abandoned temporary files, then the entries
+   * expiring first until the cache fits in maxBytes. Returns how many entries
+   * were removed.
+   */
+  public async prune(): Promise<number> {
+    const now = Date.now();
+    const entries: Array<{ file: string; size: number; expiresAt: number }> = [];
+    let removed = 0;
+
+    for (const namespace of await this.listNamespaces()) {
+      const directory = path.join(this.location, namespace);
+      for (const name of await fs.promises.readdir(directory)) {
+        const file = path.join(directory, name);
+        const stat = await fs.promises.stat(file).catch(() => undefined);
+        if (!stat) continue;
+
+        if (name.endsWith('.tmp')) {
+          // Temporary files keep the time they were written until they are renamed
+          if (stat.mtimeMs < now - STALE_TEMP_FILE_MS) {
+            await fs.promises.rm(file, { force: true });
+          }
+        } else if (name.endsWith('.json')) {
+          if (stat.mtimeMs <= now) {
+            await fs.promises.rm(file, { force: true });
+            removed++;
+          } else {
+            entries.push({ file, size: stat.size, expiresAt: stat.mtimeMs });
+          }
+        }
+      }
+    }
+
+    let bytes = entries.reduce((total, entry) => total + entry.size, 0);
+    for (const entry of entries.sort((a, b) => a.expiresAt - b.expiresAt)) {
+      if (bytes <= this.maxBytes) break;
+      await fs.promises.rm(entry.file, { force: true });
+      bytes -= entry.size;
+      removed++;
+    }
+
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired or excess cache entries from ${this.location}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Prune in the background on first use, and again when asked to, one run at a time
+   */
+  private schedulePrune(again: boolean): void {
+    if (this.pruning && !again) return;
+    const previous = this.pruning ?? Promise.resolve(0);
+    this.writesSincePrune = 0;
+    this.pruning = previous.then(() => this.prune()).catch(error => {
+      console.error(`Could not prune the cache at ${this.location}: ${error}`);
+      return 0;
+    });
+  }
+
+  private async listNamespaces(): Promise<string[]> {
+    try {
+      const entries = await fs.promises.readdir(this.location, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
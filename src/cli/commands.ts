@@ -0,0 +1,537 @@
+import * as fs from 'fs/promises';
+import { ParseArgsConfig } from 'node:util';
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+
+import { GongApiError } from '../api/client.js';
+import { ConfigError, GongConfig, parseEnvNumber } from '../config.js';
+import { ProfileRegistry, ProfileSummary } from '../profiles.js';
+import { createServer } from '../server.js';
+import { startHttpServer } from '../http-server.js';
+import { renderTranscript } from '../services/transcript-export.js';
+import { CallContent, GongCall, GongWorkspace, TeamMember, TranscriptExportFormat, UserMatch } from '../models/types.js';
+import { formatMilliseconds } from '../utils/time.js';
+import { Column, OutputFormat, renderList, renderRecord } from './output.js';
+
+/**
+ * Thrown for invalid command-line usage
+ */
+export class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Thrown when the requested call, transcript or user does not exist
+ */
+export class NotFoundError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+export const EXIT_CODES = {
+  ok: 0,
+  failure: 1,
+  usage: 2,
+  config: 3,
+  notFound: 4
+} as const;
+
+export interface CommandContext {
+  format: OutputFormat;
+  // All profiles, with the one selected by --profile as the default
+  profiles(): ProfileRegistry;
+  config(): GongConfig;
+  services(): ReturnType<ProfileRegistry['services']>;
+  write(text: string): void;
+}
+
+export interface Command {
+  usage: string;
+  description: string;
+  options: NonNullable<ParseArgsConfig['options']>;
+  // Resolves to the exit code, or undefined for commands that keep running
+  run(values: Record<string, any>, positionals: string[], context: CommandContext): Promise<number | undefined>;
+}
+
+const TRANSCRIPT_EXPORT_FORMATS: TranscriptExportFormat[] = ['markdown', 'text', 'srt', 'vtt', 'csv'];
+
+function toNumber(value: string | undefined, name: string): number | undefined {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new UsageError(`--${name} must be a number`);
+  }
+  return number;
+}
+
+function oneOf<T extends string>(value: string | undefined, allowed: readonly T[], name: string): T | undefined {
+  if (value === undefined) return undefined;
+  if (!allowed.includes(value as T)) {
+    throw new UsageError(`--${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value as T;
+}
+
+function requireArgument(positionals: string[], name: string): string {
+  if (!positionals[0]) {
+    throw new UsageError(`Missing <${name}>`);
+  }
+  return positionals[0];
+}
+
+function formatDate(date?: string): string | undefined {
+  return date ? date.replace('T', ' ').slice(0, 16) : undefined;
+}
+
+function formatDuration(seconds?: number): string | undefined {
+  return seconds !== undefined ? formatMilliseconds(seconds * 1000) : undefined;
+}
+
+const CALL_COLUMNS: Column<GongCall>[] = [
+  { header: 'ID', value: call => call.id },
+  { header: 'Date', value: call => formatDate(call.started || call.scheduled) },
+  { header: 'Duration', value: call => formatDuration(call.duration) },
+  { header: 'Direction', value: call => call.direction },
+  { header: 'Title', value: call => call.title, maxWidth: 60 }
+];
+
+const USER_COLUMNS: Column<UserMatch>[] = [
+  { header: 'Score', value: user => user.score },
+  { header: 'ID', value: user => user.id },
+  { header: 'Name', value: user => `${user.firstName || ''} ${user.lastName || ''}`.trim() },
+  { header: 'Email', value: user => user.emailAddress },
+  { header: 'Title', value: user => user.title, maxWidth: 40 },
+  { header: 'Active', value: user => (user.active === false ? 'no' : 'yes') }
+];
+
+const TEAM_COLUMNS: Column<TeamMember>[] = [
+  { header: 'Level', value: member => member.level },
+  { header: 'ID', value: member => member.id },
+  { header: 'Name', value: member => member.name },
+  { header: 'Email', value: member => member.emailAddress },
+  { header: 'Title', value: member => member.title, maxWidth: 40 },
+  { header: 'Manager', value: member => member.managerId }
+];
+
+const WORKSPACE_COLUMNS: Column<GongWorkspace>[] = [
+  { header: 'ID', value: workspace => workspace.id },
+  { header: 'Name', value: workspace => `${workspace.name}${workspace.isDefault ? ' (default)' : ''}` },
+  { header: 'Description', value: workspace => workspace.description, maxWidth: 60 }
+];
+
+const PROFILE_COLUMNS: Column<ProfileSummary>[] = [
+  { header: 'Name', value: profile => `${profile.name}${profile.isDefault ? ' (default)' : ''}` },
+  { header: 'Base URL', value: profile => profile.baseUrl },
+  { header: 'Workspace', value: profile => profile.defaultWorkspaceId },
+  { header: 'Cache', value: profile => profile.cache.location || profile.cache.store },
+  { header: 'Credentials', value: profile => profile.credentials }
+];
+
+const serve: Command = {
+  usage: 'serve [--http] [--host <host>] [--port <port>]',
+  description: 'Start the MCP server over stdio (default) or streamable HTTP',
+  options: {
+    http: { type: 'boolean' },
+    transport: { type: 'string' },
+    host: { type: 'string' },
+    port: { type: 'string' }
+  },
+  async run(values, _positionals, context) {
+    // The default profile must work; the others are checked when a tool uses them
+    const profiles = context.profiles();
+    const config = context.config();
+    const services = context.services();
+    const transport = values.http ? 'http' : (values.transport || process.env.GONG_MCP_TRANSPORT || 'stdio');
+
+    console.log(`Starting Gong Cloud MCP server...`);
+    console.log(`Using profile "${config.profile}" of ${profiles.names().join(', ')}`);
+    console.log(`Using API URL: ${config.baseUrl}`);
+    console.log(`Using ${services.cacheStore.type} cache${services.cacheStore.location ? ` at ${services.cacheStore.location}` : ''}`);
+    if (config.redaction.mode !== 'off') {
+      console.log(`Redaction ${config.redaction.mode === 'enforced' ? 'enforced' : 'on by default'} (${config.redaction.detectors.join(', ')})`);
+    }
+
+    if (transport === 'http') {
+      const sessionTimeout = parseEnvNumber(process.env, 'GONG_HTTP_SESSION_TIMEOUT');
+      const httpServer = await startHttpServer(() => createServer(profiles), {
+        host: values.host || process.env.GONG_HTTP_HOST || '127.0.0.1',
+        port: toNumber(values.port || process.env.GONG_HTTP_PORT, 'port') ?? 3000,
+        authTokens: (process.env.GONG_HTTP_AUTH_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean),
+        allowedOrigins: (process.env.GONG_HTTP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+        allowedHosts: (process.env.GONG_HTTP_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+        sessionIdleTimeoutMs: sessionTimeout !== undefined ? sessionTimeout * 1000 : undefined
+      });
+      console.log(`Listening for MCP clients on ${httpServer.url}`);
+
+      const shutdown = () => {
+        console.log('Shutting down HTTP server...');
+        httpServer.close().finally(() => process.exit(EXIT_CODES.ok));
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+      return undefined;
+    }
+
+    if (transport !== 'stdio') {
+      throw new UsageError(`Unknown transport "${transport}". Use stdio or http`);
+    }
+
+    await createServer(profiles).connect(new StdioServerTransport());
+    return undefined;
+  }
+};
+
+const callsList: Command = {
+  usage: 'calls list [--from <iso>] [--to <iso>] [--limit <n>] [--cursor <cursor>] [--workspace <id>] ' +
+    '[--participant-user <id>] [--participant-email <email>] [--participant-domain <domain>] [--title <text>] ' +
+    '[--min-duration <s>] [--max-duration <s>] [--direction inbound|outbound] [--scope internal|external] [--has-transcript] ' +
+    '[--team-of <userId>]',
+  description: 'List calls, filtered like the list_calls tool',
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    limit: { type: 'string' },
+    cursor: { type: 'string' },
+    workspace: { type: 'string' },
+    'participant-user': { type: 'string' },
+    'participant-email': { type: 'string' },
+    'participant-domain': { type: 'string' },
+    title: { type: 'string' },
+    'min-duration': { type: 'string' },
+    'max-duration': { type: 'string' },
+    direction: { type: 'string' },
+    scope: { type: 'string' },
+    'has-transcript': { type: 'boolean' },
+    'team-of': { type: 'string' }
+  },
+  async run(values, _positionals, context) {
+    const result = await context.services().callService.listCalls({
+      fromDateTime: values.from,
+      toDateTime: values.to,
+      limit: toNumber(values.limit, 'limit') ?? 100,
+      cursor: values.cursor,
+      workspaceId: values.workspace,
+      participantUserId: values['participant-user'],
+      participantEmail: values['participant-email'],
+      participantDomain: values['participant-domain'],
+      title: values.title,
+      minDuration: toNumber(values['min-duration'], 'min-duration'),
+      maxDuration: toNumber(values['max-duration'], 'max-duration'),
+      direction: oneOf(values.direction, ['inbound', 'outbound'] as const, 'direction'),
+      scope: oneOf(values.scope, ['internal', 'external'] as const, 'scope'),
+      hasTranscript: values['has-transcript'],
+      teamOf: values['team-of']
+    });
+
+    context.write(renderList(result.calls, CALL_COLUMNS, context.format, result));
+    if (result.nextCursor && context.format !== 'json') {
+      process.stderr.write(`More calls available: --cursor ${result.nextCursor}\n`);
+    }
+    return EXIT_CODES.ok;
+  }
+};
+
+const callsGet: Command = {
+  usage: 'calls get <callId> [--transcript] [--brief] [--highlights] [--outline] [--crm] [--redact] [--refresh]',
+  description: 'Show a call with optional transcript and Gong content',
+  options: {
+    transcript: { type: 'boolean' },
+    brief: { type: 'boolean' },
+    highlights: { type: 'boolean' },
+    outline: { type: 'boolean' },
+    crm: { type: 'boolean' },
+    redact: { type: 'boolean' },
+    refresh: { type: 'boolean' }
+  },
+  async run(values, positionals, context) {
+    const callId = requireArgument(positionals, 'callId');
+    const { callService, transcriptService } = context.services();
+    const json = context.format === 'json';
+
+    const result = await callService.getCall({
+      callId,
+      includeTranscript: json && values.transcript,
+      includeInsights: false,
+      includeBrief: values.brief,
+      includeHighlights: values.highlights,
+      includeOutline: values.outline,
+      includeCrmContext: values.crm,
+      bypassCache: values.refresh,
+      redact: values.redact
+    });
+    if (json) {
+      context.write(JSON.stringify(result, null, 2));
+      return EXIT_CODES.ok;
+    }
+
+    const call: GongCall = result.call;
+    const content: CallContent | undefined = result.content;
+    const participants = (call.participants || [])
+      .map(participant => participant.name || participant.email)
+      .filter(Boolean)
+      .join(', ');
+    const sections = [renderRecord([
+      ['ID', call.id],
+      ['Title', call.title],
+      ['Date', formatDate(call.started || call.scheduled)],
+      ['Duration', formatDuration(call.duration)],
+      ['Direction', call.direction],
+      ['Scope', call.scope],
+      ['URL', call.url],
+      ['Participants', participants]
+    ], context.format, result)];
+
+    if (content?.brief) sections.push(`Brief:\n${content.brief}`);
+    if (content?.keyPoints?.length) sections.push(`Key points:\n${content.keyPoints.map(point => `- ${point}`).join('\n')}`);
+    if (content?.callOutcome) sections.push(`Outcome: ${content.callOutcome}`);
+    if (content?.outline?.length) {
+      sections.push(`Outline:\n${content.outline.map(section => `- ${section.timestamp ?? ''} ${section.section}`.trim()).join('\n')}`);
+    }
+    if (content?.highlights?.length) {
+      sections.push(content.highlights
+        .map(highlight => `${highlight.title}:\n${highlight.items.map(item => `- ${item.text}`).join('\n')}`)
+        .join('\n\n'));
+    }
+    if (values.transcript) {
+      sections.push(await transcriptService.exportTranscript(callId, context.format === 'markdown' ? 'markdown' : 'text', {
+        bypassCache: values.refresh,
+        redact: values.redact
+      }));
+    }
+
+    context.write(sections.join('\n\n'));
+    return EXIT_CODES.ok;
+  }
+};
+
+const transcriptExport: Command = {
+  usage: 'transcript export <callId> [--format markdown|text|srt|vtt|csv] [--output <file>] [--start <mm:ss>] [--end <mm:ss>] [--topic <name>] [--redact]',
+  description: 'Export a call transcript (Markdown by default)',
+  options: {
+    // The transcript format rather than the output format of other commands
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    start: { type: 'string' },
+    end: { type: 'string' },
+    topic: { type: 'string', multiple: true },
+    'max-tokens': { type: 'string' },
+    redact: { type: 'boolean' },
+    refresh: { type: 'boolean' }
+  },
+  async run(values, positionals, context) {
+    const callId = requireArgument(positionals, 'callId');
+    const exportFormat = oneOf(values.format, TRANSCRIPT_EXPORT_FORMATS, 'format') || 'markdown';
+    const sliced = values.start !== undefined || values.end !== undefined || values.topic !== undefined;
+
+    const document = await context.services().transcriptService.getTranscriptDocument(callId, {
+      startTime: values.start,
+      endTime: values.end,
+      topics: values.topic,
+      maxTokens: toNumber(values['max-tokens'], 'max-tokens'),
+      bypassCache: values.refresh,
+      redact: values.redact
+    });
+    if (document.segments.length === 0) {
+      throw new NotFoundError(`No transcript found for call ${callId}${sliced ? ' in the requested time window or topics' : ''}`);
+    }
+
+    const text = renderTranscript(document, exportFormat);
+    if (values.output) {
+      await fs.writeFile(values.output, text, 'utf8');
+      process.stderr.write(`Wrote ${exportFormat} transcript to ${values.output}\n`);
+    } else {
+      context.write(text.trimEnd());
+    }
+    return EXIT_CODES.ok;
+  }
+};
+
+const usersFind: Command = {
+  usage: 'users find [name] [--email <email>] [--id <id>] [--workspace <id>] [--active] [--inactive] [--title <text>] ' +
+    '[--manager <userId>] [--limit <n>] [--refresh]',
+  description: 'Find users by name, email or ID, best matches first',
+  options: {
+    email: { type: 'string' },
+    id: { type: 'string' },
+    workspace: { type: 'string' },
+    active: { type: 'boolean' },
+    inactive: { type: 'boolean' },
+    title: { type: 'string' },
+    manager: { type: 'string' },
+    limit: { type: 'string' },
+    refresh: { type: 'boolean' }
+  },
+  async run(values, positionals, context) {
+    const name = positionals.join(' ').trim() || undefined;
+    if (values.active && values.inactive) {
+      throw new UsageError('Use either --active or --inactive');
+    }
+    const active = values.active ? true : values.inactive ? false : undefined;
+    if (!name && !values.email && !values.id && active === undefined && !values.title && !values.manager) {
+      throw new UsageError('Provide a name, --email, --id, --active, --inactive, --title or --manager');
+    }
+
+    const users = await context.services().userService.findUsers({
+      name,
+      email: values.email,
+      id: values.id,
+      workspaceId: values.workspace,
+      active,
+      title: values.title,
+      managerId: values.manager,
+      limit: toNumber(values.limit, 'limit')
+    }, values.refresh);
+    context.write(renderList(users, USER_COLUMNS, context.format));
+    if (users.length === 0) {
+      process.stderr.write('No users found\n');
+      return EXIT_CODES.notFound;
+    }
+    return EXIT_CODES.ok;
+  }
+};
+
+const usersTeam: Command = {
+  usage: 'users team <userId> [--direct] [--include-inactive] [--refresh]',
+  description: 'List the direct and indirect reports of a user',
+  options: {
+    direct: { type: 'boolean' },
+    'include-inactive': { type: 'boolean' },
+    refresh: { type: 'boolean' }
+  },
+  async run(values, positionals, context) {
+    const userId = requireArgument(positionals, 'userId');
+    const { userService } = context.services();
+    if (values.refresh) {
+      await userService.getAllUsers(true);
+    }
+
+    const team = await userService.getTeam(userId, {
+      directOnly: values.direct,
+      includeInactive: values['include-inactive']
+    });
+    context.write(renderList(team.members, TEAM_COLUMNS, context.format, team));
+    if (context.format !== 'json') {
+      process.stderr.write(`${team.manager.name}: ${team.directReports} direct, ${team.totalReports} total reports\n`);
+    }
+    return EXIT_CODES.ok;
+  }
+};
+
+const workspacesList: Command = {
+  usage: 'workspaces',
+  description: 'List the workspaces of the Gong company',
+  options: {},
+  async run(_values, _positionals, context) {
+    const workspaces = await context.services().workspaceService.listWorkspaces();
+    context.write(renderList(workspaces, WORKSPACE_COLUMNS, context.format));
+    return EXIT_CODES.ok;
+  }
+};
+
+const profilesList: Command = {
+  usage: 'profiles',
+  description: 'List the configured profiles (without their credentials)',
+  options: {},
+  async run(_values, _positionals, context) {
+    const profiles = context.profiles().list();
+    context.write(renderList(profiles, PROFILE_COLUMNS, context.format));
+    return EXIT_CODES.ok;
+  }
+};
+
+interface DoctorCheck {
+  check: string;
+  status: 'ok' | 'warn' | 'fail' | 'skipped';
+  details: string;
+}
+
+const DOCTOR_COLUMNS: Column<DoctorCheck>[] = [
+  { header: 'Check', value: check => check.check },
+  { header: 'Status', value: check => check.status },
+  { header: 'Details', value: check => check.details }
+];
+
+const doctor: Command = {
+  usage: 'doctor',
+  description: 'Check the configuration, the connection to Gong, the cache and the daily quota',
+  options: {},
+  async run(_values, _positionals, context) {
+    const checks: DoctorCheck[] = [];
+
+    const nodeMajor = parseInt(process.versions.node.split('.')[0], 10);
+    checks.push({
+      check: 'Node.js',
+      status: nodeMajor >= 18 ? 'ok' : 'fail',
+      details: `v${process.versions.node}${nodeMajor >= 18 ? '' : ' (18 or later is required)'}`
+    });
+
+    let config: GongConfig | undefined = undefined;
+    try {
+      config = context.config();
+      checks.push({ check: 'Credentials', status: 'ok', details: `Found for profile "${config.profile}", using ${config.baseUrl}` });
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      checks.push({ check: 'Credentials', status: 'fail', details: error.message });
+    }
+
+    if (config) {
+      const services = context.services();
+
+      const started = Date.now();
+      try {
+        await services.apiClient.getUsers(undefined, 1);
+        checks.push({ check: 'Gong API', status: 'ok', details: `Connected in ${Date.now() - started} ms` });
+      } catch (error) {
+        checks.push({
+          check: 'Gong API',
+          status: 'fail',
+          details: error instanceof GongApiError
+            ? `${error.message}. ${error.hint}`
+            : `Request failed: ${error instanceof Error ? error.message : String(error)}`
+        });
+      }
+
+      if (config.cacheStore === 'file') {
+        try {
+          await fs.mkdir(config.cacheDir, { recursive: true });
+          await fs.access(config.cacheDir, fs.constants.W_OK);
+          checks.push({ check: 'Cache', status: 'ok', details: `File cache at ${config.cacheDir}` });
+        } catch (error) {
+          checks.push({ check: 'Cache', status: 'fail', details: `${config.cacheDir} is not writable: ${error}` });
+        }
+      } else {
+        checks.push({ check: 'Cache', status: 'ok', details: 'In memory (not kept between runs)' });
+      }
+
+      const usage = services.apiClient.getUsage();
+      checks.push({
+        check: 'Daily quota',
+        status: usage.remaining <= usage.reserve ? 'fail' : (usage.remaining < usage.limit * 0.1 ? 'warn' : 'ok'),
+        details: `${usage.used} of ${usage.limit} requests used on ${usage.date} (${usage.remaining} remaining)`
+      });
+    } else {
+      ['Gong API', 'Cache', 'Daily quota'].forEach(check => {
+        checks.push({ check, status: 'skipped', details: 'Requires credentials' });
+      });
+    }
+
+    context.write(renderList(checks, DOCTOR_COLUMNS, context.format));
+    return checks.some(check => check.status === 'fail') ? EXIT_CODES.failure : EXIT_CODES.ok;
+  }
+};
+
+export const COMMANDS: Record<string, Command> = {
+  serve,
+  'calls list': callsList,
+  'calls get': callsGet,
+  'transcript export': transcriptExport,
+  'users find': usersFind,
+  'users team': usersTeam,
+  workspaces: workspacesList,
+  profiles: profilesList,
+  doctor
+};
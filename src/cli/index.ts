@@ -0,0 +1,126 @@
+import { parseArgs } from 'node:util';
+
+import { GongApiError, GongAuthenticationError, GongNotFoundError, GongPermissionError } from '../api/client.js';
+import { ConfigError, loadProfiles } from '../config.js';
+import { ProfileRegistry } from '../profiles.js';
+import { COMMANDS, CommandContext, EXIT_CODES, NotFoundError, UsageError } from './commands.js';
+import { OUTPUT_FORMATS, OutputFormat } from './output.js';
+
+const GLOBAL_OPTIONS = {
+  format: { type: 'string' as const },
+  profile: { type: 'string' as const },
+  verbose: { type: 'boolean' as const },
+  help: { type: 'boolean' as const, short: 'h' }
+};
+
+function usage(): string {
+  const commands = Object.values(COMMANDS);
+  const width = Math.max(...commands.map(command => command.usage.split(' [')[0].length));
+  return [
+    'Usage: gong-cloud <command> [options]',
+    '',
+    'Commands:',
+    ...commands.map(command => `  ${command.usage.split(' [')[0].padEnd(width)}  ${command.description}`),
+    '',
+    'Without a command the MCP server is started (same as "serve").',
+    '',
+    'Options:',
+    '  --format <table|json|markdown>  Output format (default table)',
+    '  --profile <name>                Profile of the config file to use (default GONG_PROFILE or the file default)',
+    '  --verbose                       Log progress to stderr',
+    '  --help                          Show help for a command',
+    '',
+    `Exit codes: ${EXIT_CODES.ok} success, ${EXIT_CODES.failure} failure, ${EXIT_CODES.usage} usage error, ` +
+      `${EXIT_CODES.config} configuration error, ${EXIT_CODES.notFound} not found`
+  ].join('\n');
+}
+
+/**
+ * Find the command named by the first one or two arguments. Anything that
+ * starts with an option runs the MCP server, as the bin always did.
+ */
+function resolveCommand(argv: string[]): { name: string; args: string[] } | undefined {
+  if (argv.length === 0 || argv[0].startsWith('-') && argv[0] !== '--help' && argv[0] !== '-h') {
+    return { name: 'serve', args: argv };
+  }
+  const twoWords = `${argv[0]} ${argv[1]}`;
+  if (COMMANDS[twoWords]) return { name: twoWords, args: argv.slice(2) };
+  if (COMMANDS[argv[0]]) return { name: argv[0], args: argv.slice(1) };
+  return undefined;
+}
+
+function exitCodeFor(error: unknown): number {
+  if (error instanceof UsageError) return EXIT_CODES.usage;
+  if (error instanceof ConfigError || error instanceof GongAuthenticationError || error instanceof GongPermissionError) {
+    return EXIT_CODES.config;
+  }
+  if (error instanceof NotFoundError || error instanceof GongNotFoundError) return EXIT_CODES.notFound;
+  return EXIT_CODES.failure;
+}
+
+/**
+ * Run the gong-cloud command line. Resolves to the exit code, or to undefined
+ * when the command keeps running (the MCP server).
+ */
+export async function runCli(argv: string[]): Promise<number | undefined> {
+  const resolved = resolveCommand(argv);
+  if (!resolved) {
+    process.stderr.write(`${argv[0] === '--help' || argv[0] === '-h' ? '' : `Unknown command: ${argv.join(' ')}\n\n`}${usage()}\n`);
+    return argv[0] === '--help' || argv[0] === '-h' ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  const command = COMMANDS[resolved.name];
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: resolved.args,
+        options: { ...GLOBAL_OPTIONS, ...command.options },
+        allowPositionals: true,
+        strict: true
+      });
+    } catch (error) {
+      throw new UsageError(error instanceof Error ? error.message : String(error));
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+      process.stdout.write(`Usage: gong-cloud ${command.usage}\n\n${command.description}\n`);
+      return EXIT_CODES.ok;
+    }
+
+    // Service logging would mix with the command output
+    if (resolved.name !== 'serve' && !values.verbose) {
+      console.log = console.info = console.warn = console.error = () => {};
+    }
+
+    // Commands with their own --format option (transcript export) take care of it themselves
+    const format: OutputFormat = command.options.format
+      ? 'table'
+      : (values.format as OutputFormat | undefined) ?? 'table';
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new UsageError(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    let profiles: ProfileRegistry | undefined = undefined;
+    const context: CommandContext = {
+      format,
+      profiles: () => profiles ??= new ProfileRegistry(loadProfiles(), values.profile as string | undefined),
+      config: () => context.profiles().config(),
+      services: () => context.profiles().services(),
+      write: text => { process.stdout.write(`${text}\n`); }
+    };
+
+    return await command.run(values, positionals, context);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    process.stderr.write(`Error: ${message}\n`);
+    if (error instanceof GongApiError) {
+      process.stderr.write(`Hint: ${error.hint}${error.requestId ? ` (Gong request ID ${error.requestId})` : ''}\n`);
+    }
+    if (error instanceof UsageError) {
+      process.stderr.write(`Usage: gong-cloud ${command.usage}\n`);
+    }
+    return exitCodeFor(error);
+  }
+}
@@ -0,0 +1,82 @@
+export type OutputFormat = 'table' | 'json' | 'markdown';
+
+export const OUTPUT_FORMATS: OutputFormat[] = ['table', 'json', 'markdown'];
+
+export interface Column<T> {
+  header: string;
+  value: (row: T) => string | number | boolean | undefined;
+  // Longer values are cut off in tables
+  maxWidth?: number;
+}
+
+function cell<T>(row: T, column: Column<T>): string {
+  const value = column.value(row);
+  return value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ');
+}
+
+function truncate(text: string, maxWidth?: number): string {
+  return maxWidth && text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+}
+
+/**
+ * Render rows as a plain-text table with padded columns
+ */
+export function renderTable<T>(rows: T[], columns: Column<T>[]): string {
+  const cells = rows.map(row => columns.map(column => truncate(cell(row, column), column.maxWidth)));
+  const widths = columns.map((column, index) =>
+    Math.max(column.header.length, ...cells.map(rowCells => rowCells[index].length))
+  );
+  const line = (values: string[]) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [
+    line(columns.map(column => column.header)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+/**
+ * Render rows as a GitHub-flavored Markdown table
+ */
+export function renderMarkdownTable<T>(rows: T[], columns: Column<T>[]): string {
+  const escape = (text: string) => text.replace(/\|/g, '\\|');
+  return [
+    `| ${columns.map(column => escape(column.header)).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => escape(cell(row, column))).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Render a list in the requested format. JSON output is the full data rather
+ * than the selected columns.
+ */
+export function renderList<T>(rows: T[], columns: Column<T>[], format: OutputFormat, data: unknown = rows): string {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    case 'markdown':
+      return renderMarkdownTable(rows, columns);
+    default:
+      return renderTable(rows, columns);
+  }
+}
+
+/**
+ * Render a single record as label/value pairs
+ */
+export function renderRecord(
+  fields: Array<[string, string | number | boolean | undefined]>,
+  format: OutputFormat,
+  data: unknown
+): string {
+  const present = fields.filter(([, value]) => value !== undefined && value !== '');
+  if (format === 'json') {
+    return JSON.stringify(data, null, 2);
+  }
+  if (format === 'markdown') {
+    return present.map(([label, value]) => `- **${label}:** ${value}`).join('\n');
+  }
+  const width = Math.max(...present.map(([label]) => label.length));
+  return present.map(([label, value]) => `${`${label}:`.padEnd(width + 2)}${value}`).join('\n');
+}
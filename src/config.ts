@@ -0,0 +1,397 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { GongApiClient, GongApiClientOptions } from './api/client.js';
+import { CacheStore, MemoryCacheStore } from './cache/cache-store.js';
+import { FileCacheStore } from './cache/file-cache-store.js';
+import { CACHE_ENTITY_TYPES, CacheTtls, EntityCache } from './cache/entity-cache.js';
+import { UserService } from './services/user-service.js';
+import { CallService } from './services/call-service.js';
+import { TranscriptService } from './services/transcript-service.js';
+import { SearchService } from './services/search-service.js';
+import { PromptService } from './services/prompt-service.js';
+import { AnalyticsService } from './services/analytics-service.js';
+import { WorkspaceService } from './services/workspace-service.js';
+import {
+  DEFAULT_REDACTION_SETTINGS,
+  REDACTION_DETECTORS,
+  REDACTION_MODES,
+  RedactionDetector,
+  RedactionMode,
+  RedactionRule,
+  RedactionSettings,
+  Redactor,
+  compileRule
+} from './services/redaction.js';
+import { GongServices } from './server.js';
+
+/**
+ * Thrown when the configuration is missing or invalid
+ */
+export class ConfigError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+export interface GongConfig {
+  // Name of the profile the configuration belongs to
+  profile: string;
+  accessKey: string;
+  accessKeySecret: string;
+  baseUrl: string;
+  // Workspace used by call listings, user and transcript searches that do not name one
+  defaultWorkspaceId?: string;
+  clientOptions: GongApiClientOptions;
+  cacheStore: 'file' | 'memory';
+  cacheDir: string;
+  cacheTtls: Partial<CacheTtls>;
+  // Size limit of the file cache
+  cacheMaxBytes?: number;
+  redaction: RedactionSettings;
+}
+
+/**
+ * A named set of credentials and settings, from the environment or the config file.
+ * Credentials are checked when the profile is used, so one incomplete profile
+ * does not keep the others from working.
+ */
+export interface GongProfile {
+  name: string;
+  source: 'env' | 'file';
+  accessKey?: string;
+  accessKeySecret?: string;
+  baseUrl: string;
+  defaultWorkspaceId?: string;
+  cacheStore: 'file' | 'memory';
+  cacheDir: string;
+  usageFile?: string;
+  dailyQuota?: number;
+}
+
+export interface GongProfiles {
+  // Config file the profiles were read from, if any
+  configFile?: string;
+  defaultProfile: string;
+  profiles: Record<string, GongProfile>;
+  // Applies to all profiles, so no profile can be used to get around it
+  redaction: RedactionSettings;
+}
+
+// Name of the profile built from the GONG_* environment variables
+export const ENV_PROFILE = 'default';
+
+const DEFAULT_BASE_URL = 'https://api.gong.io';
+const DEFAULT_CONFIG_DIR = path.join(os.homedir(), '.gong-cloud');
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/**
+ * Read a numeric environment variable, throwing on values that are not
+ * numbers or not positive (or negative, when zero is allowed)
+ */
+export function parseEnvNumber(
+  env: NodeJS.ProcessEnv,
+  name: string,
+  { integer = true, allowZero = false }: { integer?: boolean; allowZero?: boolean } = {}
+): number | undefined {
+  const value = env[name]?.trim();
+  if (!value) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < 0 || (!allowZero && number === 0)) {
+    const kind = integer ? 'whole number' : 'number';
+    throw new ConfigError(`${name} must be ${allowZero ? `zero or a positive ${kind}` : `a positive ${kind}`}, got "${env[name]}"`);
+  }
+  return number;
+}
+
+/**
+ * Resolve a path from the config file: "~" is the home directory and relative
+ * paths are relative to the config file
+ */
+function resolvePath(value: string, configFile: string): string {
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+  return path.resolve(path.dirname(configFile), value);
+}
+
+/**
+ * Read a string setting of a profile, either inline or from the environment
+ * variable named by `<key>Env`
+ */
+function profileString(
+  definition: Record<string, unknown>,
+  key: string,
+  env: NodeJS.ProcessEnv,
+  context: string
+): string | undefined {
+  const value = definition[key];
+  const envName = definition[`${key}Env`];
+  if (value !== undefined && typeof value !== 'string') {
+    throw new ConfigError(`${context}: ${key} must be a string`);
+  }
+  if (envName !== undefined && typeof envName !== 'string') {
+    throw new ConfigError(`${context}: ${key}Env must be the name of an environment variable`);
+  }
+  return value || (envName ? env[envName] : undefined) || undefined;
+}
+
+/**
+ * Parse one profile of the config file
+ */
+function parseProfile(name: string, definition: unknown, configFile: string, env: NodeJS.ProcessEnv): GongProfile {
+  const context = `Profile "${name}" in ${configFile}`;
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new ConfigError(`${context}: names may only contain letters, digits, ".", "_" and "-"`);
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new ConfigError(`${context} must be an object`);
+  }
+  const settings = definition as Record<string, unknown>;
+
+  const cacheStore = settings.cacheStore ?? 'file';
+  if (cacheStore !== 'file' && cacheStore !== 'memory') {
+    throw new ConfigError(`${context}: cacheStore must be "file" or "memory"`);
+  }
+  const dailyQuota = settings.dailyQuota;
+  if (dailyQuota !== undefined && (typeof dailyQuota !== 'number' || dailyQuota <= 0)) {
+    throw new ConfigError(`${context}: dailyQuota must be a positive number`);
+  }
+  const cacheDir = profileString(settings, 'cacheDir', env, context);
+  const usageFile = profileString(settings, 'usageFile', env, context);
+
+  // Profiles keep their cache and request count apart unless told otherwise,
+  // as they usually belong to different Gong companies. They live in a directory
+  // of their own, so no name can collide with the files of the environment profile.
+  return {
+    name,
+    source: 'file',
+    accessKey: profileString(settings, 'accessKey', env, context),
+    accessKeySecret: profileString(settings, 'accessKeySecret', env, context),
+    baseUrl: profileString(settings, 'baseUrl', env, context) || DEFAULT_BASE_URL,
+    defaultWorkspaceId: profileString(settings, 'defaultWorkspaceId', env, context),
+    cacheStore,
+    cacheDir: cacheDir ? resolvePath(cacheDir, configFile) : path.join(DEFAULT_CONFIG_DIR, 'profiles', name, 'cache'),
+    usageFile: usageFile ? resolvePath(usageFile, configFile) : path.join(DEFAULT_CONFIG_DIR, 'profiles', name, 'usage.json'),
+    dailyQuota
+  };
+}
+
+function parseList(value: string): string[] {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the redaction settings of the config file's "redaction" section, with
+ * GONG_REDACTION, GONG_REDACTION_DETECTORS, GONG_REDACTION_PSEUDONYMIZE and
+ * GONG_REDACTION_TERMS taking precedence
+ */
+function parseRedaction(section: unknown, env: NodeJS.ProcessEnv, context: string): RedactionSettings {
+  if (section !== undefined && (!section || typeof section !== 'object' || Array.isArray(section))) {
+    throw new ConfigError(`${context}: redaction must be an object`);
+  }
+  const settings = (section || {}) as Record<string, unknown>;
+
+  const mode = env.GONG_REDACTION || settings.mode || DEFAULT_REDACTION_SETTINGS.mode;
+  if (!REDACTION_MODES.includes(mode as RedactionMode)) {
+    throw new ConfigError(`${context}: redaction mode must be one of ${REDACTION_MODES.join(', ')}`);
+  }
+
+  const detectors = env.GONG_REDACTION_DETECTORS !== undefined
+    ? parseList(env.GONG_REDACTION_DETECTORS)
+    : settings.detectors ?? DEFAULT_REDACTION_SETTINGS.detectors;
+  if (!Array.isArray(detectors) || detectors.some(detector => !REDACTION_DETECTORS.includes(detector))) {
+    throw new ConfigError(`${context}: redaction detectors must be a list of ${REDACTION_DETECTORS.join(', ')}`);
+  }
+
+  const rules = settings.rules ?? [];
+  if (!Array.isArray(rules)) {
+    throw new ConfigError(`${context}: redaction rules must be a list`);
+  }
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object' || typeof rule.name !== 'string') {
+      throw new ConfigError(`${context}: redaction rule ${index + 1} needs a name`);
+    }
+    try {
+      compileRule(rule);
+    } catch (error) {
+      throw new ConfigError(`${context}: redaction rule "${rule.name}" is invalid: ${error instanceof Error ? error.message : error}`);
+    }
+  });
+  if (env.GONG_REDACTION_TERMS) {
+    rules.push({ name: 'GONG_REDACTION_TERMS', terms: parseList(env.GONG_REDACTION_TERMS) });
+  }
+
+  const pseudonymize = env.GONG_REDACTION_PSEUDONYMIZE !== undefined
+    ? env.GONG_REDACTION_PSEUDONYMIZE === 'true'
+    : settings.pseudonymizeExternal ?? DEFAULT_REDACTION_SETTINGS.pseudonymizeExternal;
+  if (typeof pseudonymize !== 'boolean') {
+    throw new ConfigError(`${context}: redaction pseudonymizeExternal must be true or false`);
+  }
+
+  return {
+    mode: mode as RedactionMode,
+    detectors: detectors as RedactionDetector[],
+    rules: rules as RedactionRule[],
+    pseudonymizeExternal: pseudonymize
+  };
+}
+
+/**
+ * Read the profiles of the config file (GONG_CONFIG_FILE, or ~/.gong-cloud/config.json
+ * when it exists). The GONG_* environment variables make up the "default" profile
+ * unless the file defines one of that name. GONG_PROFILE selects the default profile.
+ */
+export function loadProfiles(env: NodeJS.ProcessEnv = process.env): GongProfiles {
+  const envProfile: GongProfile = {
+    name: ENV_PROFILE,
+    source: 'env',
+    accessKey: env.GONG_ACCESS_KEY || undefined,
+    accessKeySecret: env.GONG_ACCESS_KEY_SECRET || undefined,
+    baseUrl: env.GONG_BASE_URL || DEFAULT_BASE_URL,
+    defaultWorkspaceId: env.GONG_DEFAULT_WORKSPACE_ID || undefined,
+    cacheStore: env.GONG_CACHE_STORE === 'memory' ? 'memory' : 'file',
+    cacheDir: env.GONG_CACHE_DIR || path.join(DEFAULT_CONFIG_DIR, 'cache', ENV_PROFILE),
+    usageFile: env.GONG_USAGE_FILE,
+    dailyQuota: parseEnvNumber(env, 'GONG_DAILY_QUOTA')
+  };
+
+  const configFile = env.GONG_CONFIG_FILE
+    ? path.resolve(env.GONG_CONFIG_FILE)
+    : path.join(DEFAULT_CONFIG_DIR, 'config.json');
+  if (!env.GONG_CONFIG_FILE && !fs.existsSync(configFile)) {
+    return {
+      defaultProfile: env.GONG_PROFILE || ENV_PROFILE,
+      profiles: { [ENV_PROFILE]: envProfile },
+      redaction: parseRedaction(undefined, env, 'Environment')
+    };
+  }
+
+  let file: any;
+  try {
+    file = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Could not read config file ${configFile}: ${error instanceof Error ? error.message : error}`);
+  }
+  if (!file || typeof file.profiles !== 'object' || Array.isArray(file.profiles)) {
+    throw new ConfigError(`Config file ${configFile} must contain a "profiles" object`);
+  }
+
+  const profiles: Record<string, GongProfile> = {};
+  Object.entries(file.profiles).forEach(([name, definition]) => {
+    profiles[name] = parseProfile(name, definition, configFile, env);
+  });
+  const hasEnvCredentials = !!(envProfile.accessKey && envProfile.accessKeySecret);
+  if (!profiles[ENV_PROFILE] && (hasEnvCredentials || Object.keys(profiles).length === 0)) {
+    profiles[ENV_PROFILE] = envProfile;
+  }
+
+  const defaultProfile = env.GONG_PROFILE || file.defaultProfile ||
+    (profiles[ENV_PROFILE] ? ENV_PROFILE : Object.keys(profiles)[0]);
+  return { configFile, defaultProfile, profiles, redaction: parseRedaction(file.redaction, env, `Config file ${configFile}`) };
+}
+
+/**
+ * Build the configuration of a profile, with the retry, rate limit and cache
+ * lifetime settings that all profiles share
+ */
+export function profileConfig(
+  profiles: GongProfiles,
+  name: string = profiles.defaultProfile,
+  env: NodeJS.ProcessEnv = process.env
+): GongConfig {
+  const profile = profiles.profiles[name];
+  if (!profile) {
+    throw new ConfigError(`Unknown profile "${name}". Available profiles: ${Object.keys(profiles.profiles).join(', ')}`);
+  }
+  if (!profile.accessKey || !profile.accessKeySecret) {
+    throw new ConfigError(profile.source === 'env'
+      ? 'GONG_ACCESS_KEY and GONG_ACCESS_KEY_SECRET environment variables are required'
+      : `Profile "${name}" needs accessKey and accessKeySecret (or accessKeyEnv and accessKeySecretEnv) in ${profiles.configFile}`);
+  }
+
+  const maxRetries = parseEnvNumber(env, 'GONG_MAX_RETRIES', { allowZero: true });
+  const requestsPerSecond = parseEnvNumber(env, 'GONG_RATE_LIMIT_PER_SECOND', { integer: false });
+  const maxConcurrency = parseEnvNumber(env, 'GONG_MAX_CONCURRENCY');
+  const quotaReserve = parseEnvNumber(env, 'GONG_QUOTA_RESERVE', { allowZero: true });
+
+  // Cache TTLs are configured in seconds per entity type, e.g. GONG_CACHE_TTL_TRANSCRIPTS
+  const cacheTtls: Partial<CacheTtls> = {};
+  CACHE_ENTITY_TYPES.forEach(type => {
+    const ttl = parseEnvNumber(env, `GONG_CACHE_TTL_${type.toUpperCase()}`, { allowZero: true });
+    if (ttl !== undefined) cacheTtls[type] = ttl * 1000;
+  });
+  const cacheMaxMb = parseEnvNumber(env, 'GONG_CACHE_MAX_MB');
+
+  return {
+    profile: profile.name,
+    accessKey: profile.accessKey,
+    accessKeySecret: profile.accessKeySecret,
+    baseUrl: profile.baseUrl,
+    defaultWorkspaceId: profile.defaultWorkspaceId,
+    clientOptions: {
+      retry: maxRetries !== undefined ? { maxRetries } : undefined,
+      rateLimit: {
+        ...(requestsPerSecond !== undefined && { requestsPerSecond }),
+        ...(maxConcurrency !== undefined && { maxConcurrency }),
+        ...(profile.dailyQuota !== undefined && { dailyQuota: profile.dailyQuota }),
+        ...(quotaReserve !== undefined && { quotaReserve }),
+        ...(profile.usageFile !== undefined && { usageFile: profile.usageFile })
+      }
+    },
+    cacheStore: profile.cacheStore,
+    cacheDir: profile.cacheDir,
+    cacheTtls,
+    cacheMaxBytes: cacheMaxMb !== undefined ? cacheMaxMb * 1024 * 1024 : undefined,
+    redaction: profiles.redaction
+  };
+}
+
+/**
+ * Read the Gong configuration of a profile (GONG_PROFILE or the default one)
+ */
+export function loadConfig(env: NodeJS.ProcessEnv = process.env, profile?: string): GongConfig {
+  return profileConfig(loadProfiles(env), profile, env);
+}
+
+/**
+ * The cache store a profile actually uses. Cached transcripts and call data are
+ * stored unredacted, so they never go to disk when redaction is enforced.
+ */
+export function effectiveCacheStore(cacheStore: 'file' | 'memory', redaction: RedactionSettings): 'file' | 'memory' {
+  return redaction.mode === 'enforced' ? 'memory' : cacheStore;
+}
+
+/**
+ * Create the API client, cache and services for a configuration
+ */
+export function createServices(config: GongConfig): GongServices & { cacheStore: CacheStore } {
+  const apiClient = new GongApiClient(config.accessKey, config.accessKeySecret, config.baseUrl, config.clientOptions);
+  const cacheStore: CacheStore = effectiveCacheStore(config.cacheStore, config.redaction) === 'memory'
+    ? new MemoryCacheStore()
+    : new FileCacheStore(config.cacheDir, { maxBytes: config.cacheMaxBytes });
+  const cache = new EntityCache(cacheStore, config.cacheTtls);
+
+  const userService = new UserService(apiClient, cache, { defaultWorkspaceId: config.defaultWorkspaceId });
+  // Shared by the services, so pseudonyms are the same whichever tool shows a call
+  const redactor = new Redactor(config.redaction);
+  const transcriptService = new TranscriptService(apiClient, userService, cache, redactor);
+  const callService = new CallService(apiClient, userService, transcriptService, cache, {
+    defaultWorkspaceId: config.defaultWorkspaceId
+  });
+
+  return {
+    apiClient,
+    cache,
+    cacheStore,
+    userService,
+    transcriptService,
+    callService,
+    searchService: new SearchService(callService, transcriptService, userService),
+    promptService: new PromptService(callService, transcriptService),
+    analyticsService: new AnalyticsService(transcriptService, userService),
+    workspaceService: new WorkspaceService(apiClient, config.defaultWorkspaceId)
+  };
+}
@@ -0,0 +1,310 @@
+import { createServer as createHttpServer, IncomingMessage, Server, ServerResponse } from 'node:http';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+export interface HttpServerOptions {
+  host: string;
+  port: number;
+  // Path of the MCP endpoint
+  path?: string;
+  // Accepted client tokens, sent as "Authorization: Bearer <token>" or "X-API-Key: <token>"
+  authTokens?: string[];
+  // Browser origins (e.g. "https://app.example.com") allowed besides loopback ones
+  allowedOrigins?: string[];
+  // Host names clients may address the server by besides loopback ones. Always
+  // enforced without auth tokens, and with tokens once any are configured.
+  allowedHosts?: string[];
+  // Sessions without requests for this long are closed
+  sessionIdleTimeoutMs?: number;
+  maxBodyBytes?: number;
+}
+
+export interface RunningHttpServer {
+  server: Server;
+  url: string;
+  close(): Promise<void>;
+}
+
+interface Session {
+  transport: StreamableHTTPServerTransport;
+  server: McpServer;
+  lastActivity: number;
+  // Digest of the token that created the session, which later requests must present too
+  tokenDigest?: Buffer;
+}
+
+const DEFAULT_HTTP_OPTIONS = {
+  path: '/mcp',
+  sessionIdleTimeoutMs: 30 * 60 * 1000,
+  maxBodyBytes: 4 * 1024 * 1024
+};
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+class PayloadTooLargeError extends Error {
+  constructor(maxBytes: number) {
+    super(`Request body exceeds ${maxBytes} bytes`);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+function headerValue(req: IncomingMessage, name: string): string | undefined {
+  const value = req.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Host name of a Host header or origin, lowercase and without port or IPv6 brackets
+ */
+function hostName(value: string, withScheme: boolean): string | undefined {
+  try {
+    return new URL(withScheme ? value : `http://${value}`).hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Guard against DNS rebinding: a web page must not be able to reach the server
+ * through the user's browser. Browsers send an Origin header, which has to be
+ * a loopback or allowed origin, and the Host header has to name this server.
+ */
+function isAllowedRequest(
+  req: IncomingMessage,
+  allowedOrigins: Set<string>,
+  allowedHosts: Set<string>,
+  checkHost: boolean
+): boolean {
+  const origin = headerValue(req, 'origin');
+  if (origin && !allowedOrigins.has(origin.toLowerCase())) {
+    const originHost = hostName(origin, true);
+    if (!originHost || !LOOPBACK_HOSTS.has(originHost)) return false;
+  }
+
+  if (checkHost) {
+    const host = hostName(headerValue(req, 'host') || '', false);
+    if (!host || !(LOOPBACK_HOSTS.has(host) || allowedHosts.has(host))) return false;
+  }
+  return true;
+}
+
+function digest(value: string): Buffer {
+  return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Digest of the token a request presents, if any. Digests have a fixed length,
+ * so they can be compared in constant time.
+ */
+function presentedTokenDigest(req: IncomingMessage): Buffer | undefined {
+  const authorization = req.headers.authorization;
+  const presented = authorization?.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : headerValue(req, 'x-api-key');
+  return presented ? digest(presented) : undefined;
+}
+
+/**
+ * Compare a presented token against the accepted ones in constant time
+ */
+function isAuthorized(tokenDigest: Buffer | undefined, authTokenDigests: Buffer[]): boolean {
+  if (authTokenDigests.length === 0) return true;
+  return !!tokenDigest && authTokenDigests.some(accepted => timingSafeEqual(accepted, tokenDigest));
+}
+
+function sendJson(res: ServerResponse, status: number, body: unknown, headers: Record<string, string> = {}): void {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res: ServerResponse, status: number, code: number, message: string): void {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+/**
+ * Read and parse a JSON request body, up to a size limit
+ */
+async function readJsonBody(req: IncomingMessage, maxBytes: number): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new PayloadTooLargeError(maxBytes);
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Serve MCP over the streamable HTTP transport. Every client session gets its
+ * own MCP server from createServer, so the services behind them (and their
+ * cache) are shared by all clients.
+ */
+export async function startHttpServer(
+  createServer: () => McpServer,
+  options: HttpServerOptions
+): Promise<RunningHttpServer> {
+  const { host, port } = options;
+  const mcpPath = options.path ?? DEFAULT_HTTP_OPTIONS.path;
+  const idleTimeoutMs = options.sessionIdleTimeoutMs ?? DEFAULT_HTTP_OPTIONS.sessionIdleTimeoutMs;
+  const maxBodyBytes = options.maxBodyBytes ?? DEFAULT_HTTP_OPTIONS.maxBodyBytes;
+  if (!(idleTimeoutMs > 0)) {
+    throw new Error(`The session idle timeout must be positive, got ${idleTimeoutMs} ms`);
+  }
+  const authTokens = (options.authTokens || []).filter(Boolean);
+  const authTokenDigests = authTokens.map(digest);
+  const allowedOrigins = new Set((options.allowedOrigins || []).map(origin => origin.toLowerCase()));
+  const allowedHosts = new Set((options.allowedHosts || []).map(host => host.toLowerCase()));
+  // Without tokens the Host header is all that stops a rebound domain
+  const checkHost = authTokens.length === 0 || allowedHosts.size > 0;
+
+  // Without tokens anyone who can reach the port can use the Gong credentials
+  if (authTokens.length === 0) {
+    if (!LOOPBACK_HOSTS.has(host)) {
+      throw new Error(`Refusing to listen on ${host} without an auth token. Set GONG_HTTP_AUTH_TOKENS or listen on 127.0.0.1`);
+    }
+    console.warn('Warning: HTTP mode is running without authentication (loopback only)');
+  }
+
+  const sessions = new Map<string, Session>();
+  const startedAt = Date.now();
+
+  const closeSession = async (sessionId: string) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    await session.server.close().catch(error => console.error(`Error closing session ${sessionId}: ${error}`));
+  };
+
+  const handleMcpRequest = async (req: IncomingMessage, res: ServerResponse, tokenDigest?: Buffer) => {
+    const sessionId = headerValue(req, 'mcp-session-id');
+    const body = req.method === 'POST' ? await readJsonBody(req, maxBodyBytes) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      // A session ID alone must not let a client holding another token take over the session
+      const sameClient = !session?.tokenDigest || (!!tokenDigest && timingSafeEqual(session.tokenDigest, tokenDigest));
+      if (!session || !sameClient) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      session.lastActivity = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+      return;
+    }
+
+    // New session
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        sessions.set(newSessionId, {
+          transport,
+          server,
+          lastActivity: Date.now(),
+          tokenDigest: authTokenDigests.length > 0 ? tokenDigest : undefined
+        });
+        console.log(`MCP session ${newSessionId} started (${sessions.size} active)`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.log(`MCP session ${transport.sessionId} closed (${sessions.size} active)`);
+      }
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const httpServer = createHttpServer(async (req, res) => {
+    try {
+      const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+
+      // Health checks need no authentication and reveal nothing about Gong
+      if (url.pathname === '/health' && req.method === 'GET') {
+        sendJson(res, 200, {
+          status: 'ok',
+          sessions: sessions.size,
+          uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+        });
+        return;
+      }
+
+      if (url.pathname !== mcpPath) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+
+      if (!isAllowedRequest(req, allowedOrigins, allowedHosts, checkHost)) {
+        sendJsonRpcError(res, 403, -32000, 'Forbidden: origin or host not allowed');
+        return;
+      }
+
+      const tokenDigest = presentedTokenDigest(req);
+      if (!isAuthorized(tokenDigest, authTokenDigests)) {
+        sendJsonRpcError(res, 401, -32000, 'Unauthorized');
+        return;
+      }
+
+      if (!['GET', 'POST', 'DELETE'].includes(req.method || '')) {
+        res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+        return;
+      }
+
+      await handleMcpRequest(req, res, tokenDigest);
+    } catch (error) {
+      console.error(`Error handling HTTP request: ${error}`);
+      if (!res.headersSent) {
+        if (error instanceof SyntaxError) {
+          sendJsonRpcError(res, 400, -32700, 'Parse error');
+        } else if (error instanceof PayloadTooLargeError) {
+          sendJsonRpcError(res, 413, -32000, error.message);
+        } else {
+          sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      }
+    }
+  });
+
+  // Close sessions of clients that went away without saying so
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - idleTimeoutMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastActivity < cutoff) {
+        console.log(`Closing idle MCP session ${sessionId}`);
+        void closeSession(sessionId);
+      }
+    }
+  }, Math.max(1000, Math.min(idleTimeoutMs, 60 * 1000)));
+  sweeper.unref();
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const boundPort = address && typeof address === 'object' ? address.port : port;
+
+  return {
+    server: httpServer,
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${boundPort}${mcpPath}`,
+    close: async () => {
+      clearInterval(sweeper);
+      await Promise.all(Array.from(sessions.keys()).map(closeSession));
+      await new Promise<void>(resolve => httpServer.close(() => resolve()));
+    }
+  };
+}
@@ -1,5 +1,7 @@
 // Types for Gong API responses and entities
 
+import { ErrorDescription } from '../api/errors.js';
+
 export interface GongCall {
   id: string;
   title?: string;
@@ -12,6 +14,8 @@ export interface GongCall {
   media?: string;
   language?: string;
   url?: string;
+  workspaceId?: string;
+  primaryUserId?: string;
   hasTranscript?: boolean;
   participants?: GongParticipant[];
 }
@@ -24,6 +28,9 @@ export interface GongParticipant {
   email?: string;
   role?: string;
   company?: string;
+  userId?: string;
+  speakerId?: string;
+  affiliation?: string;
 }
 
 export interface GongUser {
@@ -34,6 +41,72 @@ export interface GongUser {
   title?: string;
   active?: boolean;
   created?: string;
+  managerId?: string;
+  emailAliases?: string[];
+  trustedEmailAddress?: string;
+  phoneNumber?: string;
+  extension?: string;
+  timezone?: string;
+  personalMeetingUrls?: string[];
+  meetingConsentPageUrl?: string;
+  spokenLanguages?: Array<{ language: string; primary: boolean }>;
+  // Recording and import settings, e.g. webConferencesRecorded or emailsImported
+  settings?: Record<string, unknown>;
+}
+
+// A user as shown in team listings and profiles
+export interface UserSummary {
+  id: string;
+  name: string;
+  emailAddress?: string;
+  title?: string;
+  active?: boolean;
+}
+
+export interface TeamMember extends UserSummary {
+  managerId: string;
+  // 1 for direct reports, 2 for their reports and so on
+  level: number;
+}
+
+export interface Team {
+  manager: UserSummary;
+  members: TeamMember[];
+  directReports: number;
+  totalReports: number;
+}
+
+export interface UserProfile {
+  user: GongUser;
+  manager?: UserSummary;
+  // From the user's manager up to the top of the organization
+  managementChain: UserSummary[];
+  directReports: UserSummary[];
+  totalReports: number;
+}
+
+export interface TeamOptions {
+  // Only the user's direct reports
+  directOnly?: boolean;
+  // Include deactivated users
+  includeInactive?: boolean;
+}
+
+// How a user matched a search, from best to worst
+export type UserMatchType = 'id' | 'exact' | 'prefix' | 'token' | 'fuzzy' | 'filter';
+
+export interface UserMatch extends GongUser {
+  // Relevance from 0 to 100
+  score: number;
+  match: UserMatchType;
+}
+
+export interface GongWorkspace {
+  id: string;
+  name: string;
+  description?: string;
+  // Whether this is the default workspace of the profile
+  isDefault: boolean;
 }
 
 export interface GongTranscriptSegment {
@@ -41,28 +114,70 @@ export interface GongTranscriptSegment {
   topic?: string;
   sentences: Array<{
     start: number;
+    end?: number;
     text: string;
   }>;
 }
 
+export interface TranscriptSentence {
+  start: number;
+  end?: number;
+  timestamp: string;
+  text: string;
+}
+
+export type SpeakerAffiliation = 'internal' | 'external' | 'unknown';
+
+// How a speaker was identified: through the call party with its speaker ID, the
+// user directory, a participant with the speaker ID as its ID, or not at all
+export type SpeakerSource = 'party' | 'user' | 'participant' | 'placeholder';
+
+export type SpeakerConfidence = 'high' | 'medium' | 'low';
+
 export interface GongSpeaker {
   id: string;
   name: string;
   email?: string;
   role?: string;
+  // From Gong, or guessed from the email domain
   company?: string;
+  affiliation?: SpeakerAffiliation;
+  // Gong user ID of internal speakers
+  userId?: string;
+  confidence?: SpeakerConfidence;
+  source?: SpeakerSource;
 }
 
 export interface SpeakerMap {
   [speakerId: string]: GongSpeaker;
 }
 
+export interface SpeakerResolution {
+  speakerMap: SpeakerMap;
+  // Why some speakers could not be resolved, e.g. the user directory failed to load
+  error?: ErrorDescription;
+}
+
+// Parts of a result that could not be loaded, reported instead of failing the whole request
+export interface PartialErrors {
+  speakers?: ErrorDescription;
+}
+
+// The "full" format adds the optional fields (exact timing, speaker IDs and call metadata)
 export interface FormattedTranscript {
   call: {
     id: string;
     title?: string;
     date?: string;
     duration?: string;
+    started?: string;
+    durationSeconds?: number;
+    url?: string;
+    direction?: string;
+    scope?: string;
+    system?: string;
+    media?: string;
+    language?: string;
     participants?: Array<{
       name: string;
       company?: string;
@@ -72,6 +187,8 @@ export interface FormattedTranscript {
   sections: Array<{
     topic?: string;
     timeRange?: string;
+    startTime?: number;
+    endTime?: number;
     exchanges: Array<{
       speaker: {
         name: string;
@@ -80,14 +197,233 @@ export interface FormattedTranscript {
       };
       text: string;
       timestamp?: string;
+      speakerId?: string;
+      startTime?: number;
+      endTime?: number;
+      sentences?: TranscriptSentence[];
     }>;
   }>;
+  // Full format: how each speaker ID was resolved
+  speakers?: GongSpeaker[];
+  omitted?: TranscriptOmission;
+  errors?: PartialErrors;
+}
+
+export type BulkTranscriptFormat = 'concise' | 'full' | 'raw' | TranscriptExportFormat;
+
+export interface GetTranscriptsParams extends Omit<ListCallsParams, 'limit' | 'hasTranscript'> {
+  // Explicit calls; otherwise the calls matching the list filter are used
+  callIds?: string[];
+  maxCalls?: number;
+  format?: BulkTranscriptFormat;
+  // Estimated token budget shared by all transcripts
+  maxTokens?: number;
+  trimStrategy?: TranscriptTrimStrategy;
+  bypassCache?: boolean;
+}
+
+export interface BulkTranscriptsResult {
+  format: BulkTranscriptFormat;
+  transcripts: Array<{
+    callId: string;
+    title?: string;
+    date?: string;
+    estimatedTokens: number;
+    // Formatted JSON transcript, or the exported text for the export formats
+    transcript: any;
+    // What was left out of an exported transcript (JSON formats report this inside the transcript)
+    omitted?: TranscriptOmission;
+    errors?: PartialErrors;
+  }>;
+  // Requested calls that have no transcript
+  withoutTranscript: string[];
+  // Calls left out because the token budget ran out
+  skippedForBudget: string[];
+  estimatedTokens: number;
+  nextCursor?: string;
+}
+
+// Topics of a call with their time ranges, without the transcript text
+export interface CallOutline {
+  call: {
+    id: string;
+    title?: string;
+    date?: string;
+    durationSeconds?: number;
+  };
+  topics: Array<{
+    topic: string;
+    timeRange: string;
+    // Milliseconds from the start of the call
+    startTime: number;
+    endTime: number;
+    segments: number;
+    sentences: number;
+    speakerCount: number;
+    speakers: Array<{
+      name: string;
+      company?: string;
+      turns: number;
+    }>;
+  }>;
+  errors?: PartialErrors;
+}
+
+export type TranscriptExportFormat = 'markdown' | 'text' | 'srt' | 'vtt' | 'csv';
+
+// Normalized transcript with resolved speakers, used by the export renderers
+export interface TranscriptDocument {
+  call: {
+    id: string;
+    title?: string;
+    date?: string;
+    duration?: string;
+    url?: string;
+    participants: Array<{
+      name: string;
+      company?: string;
+      role?: string;
+    }>;
+  };
+  segments: Array<{
+    speakerId: string;
+    speaker: {
+      name: string;
+      company?: string;
+      role?: string;
+    };
+    topic: string;
+    sentences: TranscriptSentence[];
+  }>;
+  omitted?: TranscriptOmission;
+  errors?: PartialErrors;
 }
 
 export interface ListCallsParams {
   fromDateTime?: string;
   toDateTime?: string;
   limit?: number;
+  cursor?: string;
+  workspaceId?: string;
+  participantUserId?: string;
+  participantEmail?: string;
+  participantDomain?: string;
+  title?: string;
+  minDuration?: number;
+  maxDuration?: number;
+  direction?: 'inbound' | 'outbound';
+  scope?: 'internal' | 'external';
+  hasTranscript?: boolean;
+  // Only calls hosted by this user or anyone reporting to them, directly or indirectly
+  teamOf?: string;
+  redact?: boolean;
+}
+
+export interface ListCallsResult {
+  calls: GongCall[];
+  nextCursor?: string;
+}
+
+// Tracker, entity and interaction data Gong attaches to processed calls.
+// Occurrence start times are in seconds from the start of the call.
+export interface GongTrackerOccurrence {
+  startTime: number;
+  speakerId?: string;
+}
+
+export interface GongTracker {
+  id?: string;
+  name: string;
+  type?: string;
+  count: number;
+  occurrences?: GongTrackerOccurrence[];
+  phrases?: Array<{
+    phrase: string;
+    count: number;
+    occurrences?: GongTrackerOccurrence[];
+  }>;
+}
+
+export interface GongEntity {
+  name: string;
+  type?: string;
+  count?: number;
+  occurrences?: GongTrackerOccurrence[];
+}
+
+export interface GongInteractionStat {
+  name: string;
+  value: number;
+}
+
+export interface TranscriptInsights {
+  trackers: GongTracker[];
+  entities: GongEntity[];
+  interactionStats: GongInteractionStat[];
+}
+
+// Insights as returned to agents, with readable timestamps and resolved speakers
+export interface FormattedInsights {
+  trackers: Array<{
+    name: string;
+    type?: string;
+    count: number;
+    occurrences: Array<{ timestamp: string; speaker?: string }>;
+    phrases?: Array<{ phrase: string; count: number }>;
+  }>;
+  entities: Array<{
+    name: string;
+    type?: string;
+    count?: number;
+    timestamps?: string[];
+  }>;
+  interactionStats: GongInteractionStat[];
+}
+
+export interface FindCallsByTrackerParams {
+  trackerName: string;
+  fromDateTime?: string;
+  toDateTime?: string;
+  workspaceId?: string;
+  limit?: number;
+  cursor?: string;
+  redact?: boolean;
+}
+
+export interface TrackerCallMatch {
+  call: GongCall;
+  tracker: {
+    name: string;
+    count: number;
+    timestamps: string[];
+  };
+}
+
+export type CallContentSection = 'brief' | 'highlights' | 'outline' | 'crmContext';
+
+// Gong's own call summary content from the extensive call endpoint
+export interface CallContent {
+  brief?: string;
+  keyPoints?: string[];
+  callOutcome?: string;
+  outline?: Array<{
+    section: string;
+    timestamp?: string;
+    durationSeconds?: number;
+    items: Array<{ text: string; timestamp?: string }>;
+  }>;
+  highlights?: Array<{
+    title: string;
+    items: Array<{ text: string; timestamps: string[] }>;
+  }>;
+  crmContext?: Array<{
+    system: string;
+    objects: Array<{
+      objectType: string;
+      objectId: string;
+      fields: Record<string, unknown>;
+    }>;
+  }>;
 }
 
 export interface GetCallParams {
@@ -96,10 +432,158 @@ export interface GetCallParams {
   transcriptFormat?: 'concise' | 'full' | 'raw';
   maxSegments?: number;
   maxSentences?: number;
+  maxTokens?: number;
+  trimStrategy?: TranscriptTrimStrategy;
+  startTime?: string | number;
+  endTime?: string | number;
+  topics?: string[];
+  includeInsights?: boolean;
+  includeBrief?: boolean;
+  includeHighlights?: boolean;
+  includeOutline?: boolean;
+  includeCrmContext?: boolean;
+  bypassCache?: boolean;
+  redact?: boolean;
+}
+
+export interface TranscriptFetchOptions {
+  // Skip cached call and transcript data
+  bypassCache?: boolean;
+  // Raw call data the caller already fetched, so it is not requested again
+  call?: any;
+  // Raw transcript segments the caller already fetched
+  transcript?: any[];
+  // Redact personal data (ignored when the server enforces redaction)
+  redact?: boolean;
+}
+
+export type TranscriptTrimStrategy = 'balanced' | 'topics' | 'external' | 'even';
+
+// Limits a transcript to part of the call
+export interface TranscriptSliceOptions {
+  // Offsets into the call as milliseconds or m:ss / h:mm:ss
+  startTime?: string | number;
+  endTime?: string | number;
+  // Topics to keep (case-insensitive, partial match)
+  topics?: string[];
+}
+
+export interface TranscriptFormatOptions extends TranscriptFetchOptions, TranscriptSliceOptions {
+  // Estimated token budget for the whole transcript (0 or unset for no limit)
+  maxTokens?: number;
+  trimStrategy?: TranscriptTrimStrategy;
+}
+
+// What was left out of a transcript to fit a token budget
+export interface TranscriptOmission {
+  strategy: TranscriptTrimStrategy;
+  segments: number;
+  totalSegments: number;
+  sentences: number;
+  estimatedTokens: number;
+  fillerTurns: number;
+  // Topics with none of their turns kept
+  topics: string[];
+  // The largest omitted stretches of the call, in order (times in milliseconds)
+  ranges: Array<{
+    timeRange: string;
+    startTime: number;
+    endTime: number;
+    segments: number;
+  }>;
+  hint: string;
 }
 
 export interface FindUserParams {
   name?: string;
   email?: string;
   id?: string;
-}
\ No newline at end of file
+  workspaceId?: string;
+  // Filters that apply on top of the search, or list users on their own
+  active?: boolean;
+  title?: string;
+  managerId?: string;
+  limit?: number;
+}
+export interface SearchTranscriptsParams {
+  query: string;
+  fromDateTime?: string;
+  toDateTime?: string;
+  workspaceId?: string;
+  speaker?: string;
+  company?: string;
+  maxCalls?: number;
+  maxResults?: number;
+  contextSentences?: number;
+  cursor?: string;
+  redact?: boolean;
+}
+
+export interface TranscriptSearchMatch {
+  callId: string;
+  title?: string;
+  date?: string;
+  speaker: {
+    name: string;
+    company?: string;
+  };
+  timestamp: string;
+  text: string;
+  context: {
+    before: Array<{ speaker: string; text: string }>;
+    after: Array<{ speaker: string; text: string }>;
+  };
+  score: number;
+  errors?: PartialErrors;
+}
+
+export interface TranscriptSearchResult {
+  query: string;
+  callsSearched: number;
+  callsMatched: number;
+  totalMatches: number;
+  results: TranscriptSearchMatch[];
+  nextCursor?: string;
+}
+
+export interface SpeakerAnalytics {
+  speakerId: string;
+  name: string;
+  company?: string;
+  affiliation: SpeakerAffiliation;
+  confidence?: SpeakerConfidence;
+  talkTimeSeconds: number;
+  talkTimePercent: number;
+  longestMonologueSeconds: number;
+  turns: number;
+  averageTurnSeconds: number;
+  questionsAsked: number;
+  words: number;
+  wordsPerMinute: number;
+}
+
+export interface SideAnalytics {
+  speakers: number;
+  talkTimeSeconds: number;
+  talkTimePercent: number;
+  longestMonologueSeconds: number;
+  turns: number;
+  averageTurnSeconds: number;
+  questionsAsked: number;
+  wordsPerMinute: number;
+}
+
+export interface CallAnalytics {
+  call: {
+    id: string;
+    title?: string;
+    date?: string;
+    durationSeconds?: number;
+  };
+  totalTalkTimeSeconds: number;
+  speakerSwitches: number;
+  switchesPerMinute: number;
+  speakers: SpeakerAnalytics[];
+  sides: Partial<Record<SpeakerAffiliation, SideAnalytics>>;
+  errors?: PartialErrors;
+}
@@ -0,0 +1,83 @@
+import { CacheStore } from './cache/cache-store.js';
+import { GongConfig, GongProfiles, createServices, effectiveCacheStore, profileConfig } from './config.js';
+import { GongServices } from './server.js';
+
+// What list_profiles shows of a profile. Never includes the access key or secret.
+export interface ProfileSummary {
+  name: string;
+  isDefault: boolean;
+  source: 'env' | 'file';
+  baseUrl: string;
+  defaultWorkspaceId?: string;
+  cache: { store: 'file' | 'memory'; location?: string };
+  credentials: 'configured' | 'missing';
+}
+
+/**
+ * The configured profiles, each with its own API client, cache and services.
+ * Services are created on first use and shared by every MCP session.
+ */
+export class ProfileRegistry {
+  private profiles: GongProfiles;
+  private defaultProfile: string;
+  private env: NodeJS.ProcessEnv;
+  private instances = new Map<string, GongServices & { cacheStore: CacheStore }>();
+
+  constructor(profiles: GongProfiles, defaultProfile?: string, env: NodeJS.ProcessEnv = process.env) {
+    this.profiles = profiles;
+    this.defaultProfile = defaultProfile || profiles.defaultProfile;
+    this.env = env;
+  }
+
+  /**
+   * Name of the profile used when none is given
+   */
+  public get defaultName(): string {
+    return this.defaultProfile;
+  }
+
+  public names(): string[] {
+    return Object.keys(this.profiles.profiles);
+  }
+
+  /**
+   * Configuration of a profile (the default one if no name is given)
+   */
+  public config(name?: string): GongConfig {
+    return profileConfig(this.profiles, name || this.defaultProfile, this.env);
+  }
+
+  /**
+   * Services of a profile (the default one if no name is given)
+   */
+  public services(name?: string): GongServices & { cacheStore: CacheStore } {
+    const profile = name || this.defaultProfile;
+    let services = this.instances.get(profile);
+    if (!services) {
+      services = createServices(this.config(profile));
+      this.instances.set(profile, services);
+    }
+    return services;
+  }
+
+  /**
+   * Describe the profiles without their credentials
+   */
+  public list(): ProfileSummary[] {
+    return Object.values(this.profiles.profiles).map(profile => {
+      const cacheStore = effectiveCacheStore(profile.cacheStore, this.profiles.redaction);
+      return {
+        name: profile.name,
+        isDefault: profile.name === this.defaultProfile,
+        source: profile.source,
+        baseUrl: profile.baseUrl,
+        defaultWorkspaceId: profile.defaultWorkspaceId,
+        cache: {
+          store: cacheStore,
+          location: cacheStore === 'file' ? profile.cacheDir : undefined
+        },
+        credentials: profile.accessKey && profile.accessKeySecret ? 'configured' : 'missing'
+      };
+    });
+  }
+}
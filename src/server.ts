@@ -0,0 +1,735 @@
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+
+import { ErrorDescription, GongApiClient, describeError } from './api/client.js';
+import { ConfigError } from './config.js';
+import { CACHE_ENTITY_TYPES, EntityCache } from './cache/entity-cache.js';
+import { DEFAULT_FIND_USERS_LIMIT, UserService } from './services/user-service.js';
+import { CallService, MAX_BULK_TRANSCRIPT_CALLS } from './services/call-service.js';
+import { TranscriptService } from './services/transcript-service.js';
+import { DEFAULT_SEARCH_CALLS, MAX_SEARCH_CALLS, SearchService } from './services/search-service.js';
+import { MAX_PROMPT_CALLS, PromptService } from './services/prompt-service.js';
+import { AnalyticsService } from './services/analytics-service.js';
+import { WorkspaceService } from './services/workspace-service.js';
+import { ProfileRegistry } from './profiles.js';
+
+// The API client, cache and services of one profile
+export interface GongServices {
+  apiClient: GongApiClient;
+  cache: EntityCache;
+  userService: UserService;
+  transcriptService: TranscriptService;
+  callService: CallService;
+  searchService: SearchService;
+  promptService: PromptService;
+  analyticsService: AnalyticsService;
+  workspaceService: WorkspaceService;
+}
+
+// Default number of calls returned by list_calls when no limit is given
+const DEFAULT_LIST_CALLS_LIMIT = 100;
+
+// MIME types of the transcript formats available through resources
+const TRANSCRIPT_MIME_TYPES: Record<string, string> = {
+  markdown: 'text/markdown',
+  text: 'text/plain',
+  srt: 'application/x-subrip',
+  vtt: 'text/vtt',
+  csv: 'text/csv',
+  concise: 'application/json',
+  full: 'application/json',
+  raw: 'application/json'
+};
+
+/**
+ * Value of a URI template variable. Variables that occur more than once in the
+ * URI (e.g. "?format=srt&format=vtt") arrive as lists, which only make sense
+ * when all values agree.
+ */
+function templateValue(value: string | string[] | undefined, name: string): string | undefined {
+  const values = Array.from(new Set(Array.isArray(value) ? value : [value])).filter(Boolean);
+  if (values.length > 1) {
+    throw new Error(`Expected a single ${name}, got ${values.join(', ')}`);
+  }
+  return values[0];
+}
+
+// Every tool can run against any of the configured profiles
+const profileArg = z.string().optional().describe("Name of the Gong profile to use (see list_profiles; the default profile if omitted)");
+
+// Tools that return call data or transcript text can redact personal data
+const redactArg = z.boolean().optional().describe("Redact emails, phone numbers, card numbers, SSNs, URLs and configured terms (default set by the server; cannot be turned off when the server enforces redaction)");
+
+/**
+ * Tool result for a failed tool call: a machine-readable error code, a safe
+ * message and a hint on how to fix it, so agents can tell a bad call ID from
+ * missing API scopes or a Gong outage
+ */
+function toolError(error: unknown) {
+  const details: ErrorDescription = error instanceof ConfigError
+    ? {
+      code: 'configuration_error',
+      message: error.message,
+      retryable: false,
+      hint: 'Check the profile with list_profiles and its credentials in the environment or config file.'
+    }
+    : describeError(error);
+
+  return {
+    content: [{
+      type: "text" as const,
+      text: JSON.stringify({ error: details }, null, 2)
+    }],
+    isError: true
+  };
+}
+
+/**
+ * Wrap prompt text as a single user message
+ */
+function promptMessage(text: string) {
+  return {
+    messages: [{
+      role: "user" as const,
+      content: { type: "text" as const, text }
+    }]
+  };
+}
+
+/**
+ * Create an MCP server with the Gong tools, resources and prompts. Servers
+ * created from the same profiles share their API clients, rate limiters and caches.
+ * Resources and prompts use the default profile.
+ */
+export function createServer(profiles: ProfileRegistry): McpServer {
+  // Create MCP server
+  const server = new McpServer({
+    name: "gong-cloud",
+    version: "0.1.0",
+  });
+
+  // Define tools
+  server.tool(
+    "list_calls",
+    {
+      fromDateTime: z.string().optional().describe("Start date/time in ISO format (e.g. 2024-03-01T00:00:00Z)"),
+      toDateTime: z.string().optional().describe("End date/time in ISO format (e.g. 2024-03-31T23:59:59Z)"),
+      limit: z.number().optional().describe("Maximum number of calls to return (default 100, 0 for all)"),
+      cursor: z.string().optional().describe("Cursor from a previous response's nextCursor to fetch the next batch (use the same filters)"),
+      workspaceId: z.string().optional().describe("Only calls in this workspace (default: the default workspace of the profile, if set)"),
+      participantUserId: z.string().optional().describe("Only calls with this Gong user ID among the participants"),
+      participantEmail: z.string().optional().describe("Only calls with a participant with this email address"),
+      participantDomain: z.string().optional().describe("Only calls with a participant whose email is in this domain (e.g. acme.com)"),
+      title: z.string().optional().describe("Only calls whose title contains this text (case-insensitive)"),
+      minDuration: z.number().optional().describe("Minimum call duration in seconds"),
+      maxDuration: z.number().optional().describe("Maximum call duration in seconds"),
+      direction: z.enum(["inbound", "outbound"]).optional().describe("Only inbound or outbound calls"),
+      scope: z.enum(["internal", "external"]).optional().describe("Only internal calls or calls with external participants"),
+      hasTranscript: z.boolean().optional().describe("Only calls likely to have (true) or not to have (false) a transcript. Approximate: judged from the recorded media and duration, so a few matching calls may still have no transcript"),
+      teamOf: z.string().optional().describe("Only calls hosted by this user ID or anyone reporting to them, directly or indirectly (see get_team)"),
+      redact: redactArg,
+      profile: profileArg,
+    },
+    async ({ fromDateTime, toDateTime, limit, cursor, profile, ...filters }) => {
+      try {
+        const { callService } = profiles.services(profile);
+        const { calls, nextCursor } = await callService.listCalls({
+          fromDateTime,
+          toDateTime,
+          limit: limit ?? DEFAULT_LIST_CALLS_LIMIT,
+          cursor,
+          ...filters
+        });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `Found ${calls.length} calls${fromDateTime ? ` from ${fromDateTime}` : ''}${toDateTime ? ` to ${toDateTime}` : ''}` +
+                (nextCursor ? '. More calls are available: pass nextCursor as cursor to fetch them' : ''),
+              calls,
+              nextCursor
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error listing calls: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "get_call_details",
+    {
+      callId: z.string().describe("ID of the call to retrieve"),
+      includeTranscript: z.boolean().optional().describe("Whether to include the transcript in the response"),
+      transcriptFormat: z.enum(["concise", "full", "raw"]).optional().describe("Format of the transcript (concise, full with call metadata and sentence-level timing, or raw)"),
+      maxSegments: z.number().optional().describe("Maximum number of transcript segments to include (0 for all)"),
+      maxSentences: z.number().optional().describe("Maximum number of sentences per segment (0 for all)"),
+      maxTokens: z.number().optional().describe("Estimated token budget for the transcript. Instead of cutting off the end, the least important turns are left out and listed under 'omitted'"),
+      startTime: z.union([z.string(), z.number()]).optional().describe('Only include the transcript from this point in the call, as "mm:ss", "h:mm:ss" or milliseconds'),
+      endTime: z.union([z.string(), z.number()]).optional().describe('Only include the transcript up to this point in the call, as "mm:ss", "h:mm:ss" or milliseconds'),
+      topics: z.array(z.string()).optional().describe('Only include these transcript topics (case-insensitive, partial match, e.g. ["Pricing"]). Use get_call_outline to see the topics'),
+      trimStrategy: z.enum(["balanced", "topics", "external", "even"]).optional().describe("What to keep within maxTokens: balanced (every topic, then external speakers; default), topics (every topic at least once), external (customer speakers first) or even (spread evenly over the call)"),
+      includeInsights: z.boolean().optional().describe("Whether to include tracker hits, entities and interaction stats (defaults to includeTranscript)"),
+      includeBrief: z.boolean().optional().describe("Include Gong's call brief, key points and call outcome (cheaper than a transcript)"),
+      includeHighlights: z.boolean().optional().describe("Include Gong's highlights (e.g. next steps, action items) with timestamps"),
+      includeOutline: z.boolean().optional().describe("Include Gong's call outline with section timestamps"),
+      includeCrmContext: z.boolean().optional().describe("Include the CRM objects (accounts, opportunities, contacts) linked to the call"),
+      refresh: z.boolean().optional().describe("Bypass the cache and fetch fresh data from Gong"),
+      redact: redactArg,
+      profile: profileArg,
+    },
+    async ({ callId, transcriptFormat, refresh, profile, ...options }) => {
+      try {
+        const { callService } = profiles.services(profile);
+        const result = await callService.getCall({
+          callId,
+          transcriptFormat: transcriptFormat as 'concise' | 'full' | 'raw',
+          bypassCache: refresh,
+          ...options
+        });
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error getting call details: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "get_transcripts",
+    {
+      callIds: z.array(z.string()).optional().describe(`IDs of the calls (up to ${MAX_BULK_TRANSCRIPT_CALLS}). Without callIds, the calls matching the filters below are used`),
+      fromDateTime: z.string().optional().describe("Start date/time in ISO format (e.g. 2024-03-01T00:00:00Z)"),
+      toDateTime: z.string().optional().describe("End date/time in ISO format (e.g. 2024-03-31T23:59:59Z)"),
+      workspaceId: z.string().optional().describe("Only calls in this workspace (default: the default workspace of the profile, if set)"),
+      participantUserId: z.string().optional().describe("Only calls with this Gong user ID among the participants"),
+      participantEmail: z.string().optional().describe("Only calls with a participant with this email address"),
+      participantDomain: z.string().optional().describe("Only calls with a participant whose email is in this domain (e.g. acme.com)"),
+      title: z.string().optional().describe("Only calls whose title contains this text (case-insensitive)"),
+      maxCalls: z.number().int().min(1).max(MAX_BULK_TRANSCRIPT_CALLS).optional().describe(`Maximum number of calls (default and maximum ${MAX_BULK_TRANSCRIPT_CALLS})`),
+      cursor: z.string().optional().describe("Cursor from a previous response's nextCursor to fetch the next batch of matching calls"),
+      format: z.enum(["concise", "full", "raw", "markdown", "text", "srt", "vtt", "csv"]).optional().describe("Transcript format: the JSON formats of get_call_details or the export formats of export_transcript (default concise)"),
+      maxTokens: z.number().optional().describe("Estimated token budget shared by all transcripts"),
+      trimStrategy: z.enum(["balanced", "topics", "external", "even"]).optional().describe("What to keep of each transcript within maxTokens (see get_call_details)"),
+      refresh: z.boolean().optional().describe("Bypass the cache and fetch fresh data from Gong"),
+      redact: redactArg,
+      profile: profileArg,
+    },
+    async ({ refresh, profile, ...params }) => {
+      try {
+        const { callService } = profiles.services(profile);
+        const result = await callService.getTranscripts({ ...params, bypassCache: refresh });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error getting transcripts: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "get_call_outline",
+    {
+      callId: z.string().describe("ID of the call"),
+      refresh: z.boolean().optional().describe("Bypass the cache and fetch fresh data from Gong"),
+      redact: redactArg,
+      profile: profileArg,
+    },
+    async ({ callId, refresh, redact, profile }) => {
+      try {
+        const { transcriptService } = profiles.services(profile);
+        const outline = await transcriptService.getCallOutline(callId, { bypassCache: refresh, redact });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(outline, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error getting call outline: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "find_calls_by_tracker",
+    {
+      trackerName: z.string().describe('Name of the Gong tracker (e.g. "Competitor mentions"), case-insensitive'),
+      fromDateTime: z.string().optional().describe("Start date/time in ISO format (e.g. 2024-03-01T00:00:00Z)"),
+      toDateTime: z.string().optional().describe("End date/time in ISO format (e.g. 2024-03-31T23:59:59Z)"),
+      workspaceId: z.string().optional().describe("Only calls in this workspace (default: the default workspace of the profile, if set)"),
+      limit: z.number().optional().describe("Maximum number of calls to return (default 100, 0 for all)"),
+      cursor: z.string().optional().describe("Cursor from a previous response's nextCursor to fetch the next batch"),
+      redact: redactArg,
+      profile: profileArg,
+    },
+    async ({ trackerName, fromDateTime, toDateTime, workspaceId, limit, cursor, redact, profile }) => {
+      try {
+        const { callService } = profiles.services(profile);
+        const { matches, nextCursor } = await callService.findCallsByTracker({
+          trackerName,
+          fromDateTime,
+          toDateTime,
+          workspaceId,
+          limit: limit ?? DEFAULT_LIST_CALLS_LIMIT,
+          cursor,
+          redact
+        });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `Found ${matches.length} calls where "${trackerName}" fired` +
+                (nextCursor ? '. More calls are available: pass nextCursor as cursor to fetch them' : ''),
+              matches,
+              nextCursor
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error finding calls by tracker: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "export_transcript",
+    {
+      callId: z.string().describe("ID of the call whose transcript to export"),
+      format: z.enum(["markdown", "text", "srt", "vtt", "csv"]).describe("Export format: markdown, text (plain), srt or vtt (subtitles), or csv"),
+      refresh: z.boolean().optional().describe("Bypass the cache and fetch fresh data from Gong"),
+      redact: redactArg,
+      profile: profileArg,
+    },
+    async ({ callId, format, refresh, redact, profile }) => {
+      try {
+        const { transcriptService } = profiles.services(profile);
+        const text = await transcriptService.exportTranscript(callId, format, { bypassCache: refresh, redact });
+        return {
+          content: [{
+            type: "text",
+            text
+          }]
+        };
+      } catch (error) {
+        console.error(`Error exporting transcript: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "search_transcripts",
+    {
+      query: z.string().describe('Keywords to search for. Quote phrases ("SOC 2"); adjacent terms must all occur in a call; use OR for alternatives'),
+      fromDateTime: z.string().optional().describe("Start date/time in ISO format (e.g. 2024-07-01T00:00:00Z)"),
+      toDateTime: z.string().optional().describe("End date/time in ISO format (e.g. 2024-09-30T23:59:59Z)"),
+      workspaceId: z.string().optional().describe("Only search calls in this workspace (default: the default workspace of the profile, if set)"),
+      speaker: z.string().optional().describe("Only match sentences spoken by a speaker whose name contains this text"),
+      company: z.string().optional().describe("Only match sentences spoken by people from this company or email domain"),
+      maxCalls: z.number().int().min(1).max(MAX_SEARCH_CALLS).optional().describe(`Maximum number of calls to search (default ${DEFAULT_SEARCH_CALLS}, at most ${MAX_SEARCH_CALLS})`),
+      maxResults: z.number().optional().describe("Maximum number of matching sentences to return (default 20)"),
+      contextSentences: z.number().optional().describe("Number of surrounding sentences to include on each side (default 2)"),
+      cursor: z.string().optional().describe("Cursor from a previous response's nextCursor to search the next batch of calls"),
+      redact: redactArg,
+      profile: profileArg,
+    },
+    async ({ profile, ...params }) => {
+      try {
+        const { searchService } = profiles.services(profile);
+        const result = await searchService.searchTranscripts(params);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `Found ${result.totalMatches} matches in ${result.callsMatched} of ${result.callsSearched} calls` +
+                (result.nextCursor ? '. More calls can be searched: pass nextCursor as cursor' : ''),
+              ...result
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error searching transcripts: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "get_call_analytics",
+    {
+      callId: z.string().describe("ID of the call to analyze"),
+      refresh: z.boolean().optional().describe("Bypass the cache and fetch fresh data from Gong"),
+      redact: redactArg,
+      profile: profileArg,
+    },
+    async ({ callId, refresh, redact, profile }) => {
+      try {
+        const { analyticsService } = profiles.services(profile);
+        const analytics = await analyticsService.getCallAnalytics(callId, { bypassCache: refresh, redact });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(analytics, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error getting call analytics: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "find_users",
+    {
+      name: z.string().optional().describe("Name to search for: full or partial, nicknames (Bob for Robert), without accents, or with typos"),
+      email: z.string().optional().describe("Email to search for (can be partial)"),
+      id: z.string().optional().describe("Exact user ID to find"),
+      workspaceId: z.string().optional().describe("Only users of this workspace (default: the default workspace of the profile, if set; see list_workspaces)"),
+      active: z.boolean().optional().describe("Only active (true) or deactivated (false) users"),
+      title: z.string().optional().describe("Only users whose title contains this text (e.g. \"Account Executive\")"),
+      managerId: z.string().optional().describe("Only direct reports of this user ID"),
+      limit: z.number().optional().describe(`Maximum number of users to return, best matches first (default ${DEFAULT_FIND_USERS_LIMIT}, 0 for all)`),
+      refresh: z.boolean().optional().describe("Bypass the cache and reload the user directory from Gong"),
+      profile: profileArg,
+    },
+    async ({ refresh, profile, ...params }) => {
+      try {
+        const { userService } = profiles.services(profile);
+        if (!params.name && !params.email && !params.id && params.active === undefined && !params.title && !params.managerId) {
+          throw new Error("At least one of name, email, id, active, title or managerId must be provided");
+        }
+
+        const limit = params.limit ?? DEFAULT_FIND_USERS_LIMIT;
+        const users = await userService.findUsers({ ...params, limit }, refresh);
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `Found ${users.length} users matching the criteria${limit > 0 && users.length === limit ? '. More users may match: raise limit to see them' : ''}`,
+              users
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error finding users: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "get_team",
+    {
+      userId: z.string().describe("ID of the manager (see find_users)"),
+      directOnly: z.boolean().optional().describe("Only direct reports instead of the whole reporting line"),
+      includeInactive: z.boolean().optional().describe("Include deactivated users"),
+      profile: profileArg,
+    },
+    async ({ userId, directOnly, includeInactive, profile }) => {
+      try {
+        const { userService } = profiles.services(profile);
+        const team = await userService.getTeam(userId, { directOnly, includeInactive });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `${team.manager.name} has ${team.directReports} direct and ${team.totalReports} total reports` +
+                (directOnly ? ' (direct reports only)' : ''),
+              ...team
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error getting team: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "get_user_profile",
+    {
+      userId: z.string().describe("ID of the user (see find_users)"),
+      profile: profileArg,
+    },
+    async ({ userId, profile }) => {
+      try {
+        const { userService } = profiles.services(profile);
+        const userProfile = await userService.getUserProfile(userId);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(userProfile, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error getting user profile: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "list_workspaces",
+    {
+      profile: profileArg,
+    },
+    async ({ profile }) => {
+      try {
+        const { workspaceService } = profiles.services(profile);
+        const workspaces = await workspaceService.listWorkspaces();
+        const defaultWorkspaceId = workspaceService.getDefaultWorkspaceId();
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `Found ${workspaces.length} workspaces` +
+                (defaultWorkspaceId ? `. Queries without a workspaceId are scoped to workspace ${defaultWorkspaceId}` : ''),
+              workspaces
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error listing workspaces: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "cache_status",
+    {
+      profile: profileArg,
+    },
+    async ({ profile }) => {
+      try {
+        const { cache } = profiles.services(profile);
+        const status = await cache.status();
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(status, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error getting cache status: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "clear_cache",
+    {
+      type: z.enum(["calls", "transcripts", "users"]).optional().describe("Entity type to clear (all types if omitted)"),
+      profile: profileArg,
+    },
+    async ({ type, profile }) => {
+      try {
+        const { cache } = profiles.services(profile);
+        const removed = await cache.clear(type);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `Removed ${removed} cached ${type || 'entries'}`
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error clearing cache: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  server.tool(
+    "list_profiles",
+    {},
+    async () => {
+      try {
+        const list = profiles.list();
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              message: `${list.length} profiles configured, default "${profiles.defaultName}"`,
+              profiles: list
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        console.error(`Error listing profiles: ${error}`);
+        return toolError(error);
+      }
+    }
+  );
+
+  // Define resources
+
+  /**
+   * List recent calls as browsable resources
+   */
+  async function listRecentCallResources() {
+    const calls = await profiles.services().callService.getRecentCalls();
+    return {
+      resources: calls.map(call => ({
+        uri: `gong://calls/${call.id}`,
+        name: call.title || 'Untitled Call',
+        description: `${call.started ? call.started.split('T')[0] : 'Unknown date'}${call.duration ? `, ${Math.round(call.duration / 60)} min` : ''}`,
+        mimeType: 'application/json'
+      }))
+    };
+  }
+
+  /**
+   * Read a call transcript in the requested format (Markdown by default)
+   */
+  async function readTranscriptResource(uri: URL, callId: string, format: string = 'markdown') {
+    const mimeType = Object.hasOwn(TRANSCRIPT_MIME_TYPES, format) ? TRANSCRIPT_MIME_TYPES[format] : undefined;
+    if (!mimeType) {
+      throw new Error(`Unsupported transcript format "${format}". Use one of: ${Object.keys(TRANSCRIPT_MIME_TYPES).join(', ')}`);
+    }
+
+    const text = mimeType === 'application/json'
+      ? JSON.stringify(await profiles.services().transcriptService.getFormattedTranscript(callId, format as 'concise' | 'full' | 'raw'), null, 2)
+      : await profiles.services().transcriptService.exportTranscript(callId, format as 'markdown' | 'text' | 'srt' | 'vtt' | 'csv');
+
+    return {
+      contents: [{ uri: uri.href, mimeType, text }]
+    };
+  }
+
+  server.resource(
+    "recent-calls",
+    "gong://calls/recent",
+    { description: "Calls of the last 14 days, newest first", mimeType: "application/json" },
+    async (uri) => {
+      const calls = await profiles.services().callService.getRecentCalls();
+      return {
+        contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify({ calls }, null, 2) }]
+      };
+    }
+  );
+
+  server.resource(
+    "call",
+    new ResourceTemplate("gong://calls/{callId}", { list: listRecentCallResources }),
+    { description: "Details of a Gong call", mimeType: "application/json" },
+    async (uri, { callId }) => {
+      const result = await profiles.services().callService.getCall({ callId: String(callId) });
+      return {
+        contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(result, null, 2) }]
+      };
+    }
+  );
+
+  server.resource(
+    "call-transcript",
+    new ResourceTemplate("gong://calls/{callId}/transcript", { list: undefined }),
+    { description: "Transcript of a Gong call as Markdown", mimeType: "text/markdown" },
+    async (uri, { callId }) => readTranscriptResource(uri, String(templateValue(callId, "call ID")))
+  );
+
+  server.resource(
+    "call-transcript-format",
+    new ResourceTemplate("gong://calls/{callId}/transcript{?format}", {
+      list: undefined,
+      complete: {
+        format: (value) => Object.keys(TRANSCRIPT_MIME_TYPES).filter(format => format.startsWith(value))
+      }
+    }),
+    { description: `Transcript of a Gong call in a given format (${Object.keys(TRANSCRIPT_MIME_TYPES).join(', ')})` },
+    async (uri, { callId, format }) =>
+      readTranscriptResource(uri, String(templateValue(callId, "call ID")), templateValue(format, "format"))
+  );
+
+  server.resource(
+    "user",
+    new ResourceTemplate("gong://users/{userId}", { list: undefined }),
+    { description: "A Gong user", mimeType: "application/json" },
+    async (uri, { userId }) => {
+      const users = await profiles.services().userService.findUsers({ id: String(userId) });
+      const user = users.find(u => u.id === String(userId));
+      if (!user) {
+        throw new Error(`User ${userId} not found`);
+      }
+      return {
+        contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(user, null, 2) }]
+      };
+    }
+  );
+
+  // Define prompts
+
+  server.prompt(
+    "call_summary",
+    "Summarize a call: purpose, key points, customer needs, objections and next steps",
+    {
+      callId: z.string().describe("ID of the call to summarize"),
+    },
+    async ({ callId }) => promptMessage(await profiles.services().promptService.callSummary(callId))
+  );
+
+  server.prompt(
+    "deal_review",
+    "Review the state of a deal based on the recent calls with an account",
+    {
+      accountDomain: z.string().describe("Email domain of the account (e.g. acme.com)"),
+      maxCalls: z.string().optional().describe(`Number of recent calls to include (default 3, at most ${MAX_PROMPT_CALLS})`),
+    },
+    async ({ accountDomain, maxCalls }) =>
+      promptMessage(await profiles.services().promptService.dealReview(accountDomain, maxCalls ? Number(maxCalls) : undefined))
+  );
+
+  server.prompt(
+    "objection_handling_review",
+    "Review how objections were raised and handled on a call",
+    {
+      callId: z.string().describe("ID of the call to review"),
+    },
+    async ({ callId }) => promptMessage(await profiles.services().promptService.objectionHandlingReview(callId))
+  );
+
+  server.prompt(
+    "coaching_feedback",
+    "Give coaching feedback on a rep's discovery call",
+    {
+      callId: z.string().describe("ID of the call to review"),
+      userEmail: z.string().optional().describe("Email of the rep to coach"),
+    },
+    async ({ callId, userEmail }) => promptMessage(await profiles.services().promptService.coachingFeedback(callId, userEmail))
+  );
+
+  server.prompt(
+    "meeting_prep",
+    "Prepare for the next meeting with an account from the previous calls",
+    {
+      accountDomain: z.string().describe("Email domain of the account (e.g. acme.com)"),
+      userEmail: z.string().optional().describe("Only include calls this user was on"),
+      maxCalls: z.string().optional().describe(`Number of recent calls to include (default 3, at most ${MAX_PROMPT_CALLS})`),
+    },
+    async ({ accountDomain, userEmail, maxCalls }) =>
+      promptMessage(await profiles.services().promptService.meetingPrep(accountDomain, userEmail, maxCalls ? Number(maxCalls) : undefined))
+  );
+
+  return server;
+}
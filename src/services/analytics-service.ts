@@ -0,0 +1,230 @@
+import { UserService } from './user-service.js';
+import { TranscriptService } from './transcript-service.js';
+import {
+  CallAnalytics,
+  SideAnalytics,
+  SpeakerAffiliation,
+  SpeakerAnalytics,
+  TranscriptFetchOptions
+} from '../models/types.js';
+
+interface TimedSentence {
+  speakerId: string;
+  start: number;
+  end: number;
+  text: string;
+}
+
+interface Turn {
+  speakerId: string;
+  start: number;
+  end: number;
+}
+
+interface SpeakerTotals {
+  talkTimeMs: number;
+  longestMonologueMs: number;
+  turns: number;
+  questions: number;
+  words: number;
+}
+
+// Sentences without an end time are assumed to run until the next one, but no longer than this
+const MAX_SENTENCE_GAP_MS = 30000;
+// Average speaking rate used to estimate the length of a final sentence without an end time
+const ESTIMATED_WORDS_PER_SECOND = 2.5;
+
+function countWords(text: string): number {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+function round(value: number, decimals: number = 1): number {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function toSeconds(ms: number): number {
+  return round(ms / 1000);
+}
+
+/**
+ * Computes talk-time and conversation metrics from call transcripts
+ */
+export class AnalyticsService {
+  private transcriptService: TranscriptService;
+  private userService: UserService;
+
+  constructor(transcriptService: TranscriptService, userService: UserService) {
+    this.transcriptService = transcriptService;
+    this.userService = userService;
+  }
+
+  /**
+   * Get talk ratio, monologue, interactivity, question and pace metrics for a call,
+   * per speaker and per side (internal vs external)
+   */
+  public async getCallAnalytics(callId: string, options: TranscriptFetchOptions = {}): Promise<CallAnalytics> {
+    try {
+      const call = await this.transcriptService.getCallData(callId, options);
+      const transcript = await this.transcriptService.getRawTranscript(callId, options);
+      if (transcript.length === 0) {
+        throw new Error(`Call ${callId} has no transcript to analyze`);
+      }
+      const { speakerMap: rawSpeakerMap, error } = await this.userService.resolveSpeakers(callId, call, transcript);
+      const { speakerMap, call: outputCall } = this.transcriptService.redactCallData(
+        callId,
+        call,
+        [],
+        rawSpeakerMap,
+        options.redact
+      );
+
+      const sentences = this.timeSentences(transcript);
+      const turns = this.buildTurns(sentences);
+
+      // Accumulate per-speaker totals
+      const totals = new Map<string, SpeakerTotals>();
+      const totalsFor = (speakerId: string) => {
+        if (!totals.has(speakerId)) {
+          totals.set(speakerId, { talkTimeMs: 0, longestMonologueMs: 0, turns: 0, questions: 0, words: 0 });
+        }
+        return totals.get(speakerId)!;
+      };
+
+      sentences.forEach(sentence => {
+        const speakerTotals = totalsFor(sentence.speakerId);
+        speakerTotals.talkTimeMs += sentence.end - sentence.start;
+        speakerTotals.words += countWords(sentence.text);
+        if (sentence.text.trim().endsWith('?')) {
+          speakerTotals.questions++;
+        }
+      });
+
+      turns.forEach(turn => {
+        const speakerTotals = totalsFor(turn.speakerId);
+        speakerTotals.turns++;
+        speakerTotals.longestMonologueMs = Math.max(speakerTotals.longestMonologueMs, turn.end - turn.start);
+      });
+
+      const totalTalkTimeMs = Array.from(totals.values()).reduce((sum, t) => sum + t.talkTimeMs, 0);
+
+      const speakers: SpeakerAnalytics[] = Array.from(totals.entries()).map(([speakerId, t]) => {
+        const speaker = speakerMap[speakerId];
+        return {
+          speakerId,
+          name: speaker?.name || `Speaker ${speakerId.substring(0, 8)}`,
+          company: speaker?.company,
+          affiliation: speaker?.affiliation || 'unknown',
+          confidence: speaker?.confidence,
+          talkTimeSeconds: toSeconds(t.talkTimeMs),
+          talkTimePercent: totalTalkTimeMs > 0 ? round((t.talkTimeMs / totalTalkTimeMs) * 100) : 0,
+          longestMonologueSeconds: toSeconds(t.longestMonologueMs),
+          turns: t.turns,
+          averageTurnSeconds: t.turns > 0 ? toSeconds(t.talkTimeMs / t.turns) : 0,
+          questionsAsked: t.questions,
+          words: t.words,
+          wordsPerMinute: t.talkTimeMs > 0 ? Math.round(t.words / (t.talkTimeMs / 60000)) : 0
+        };
+      }).sort((a, b) => b.talkTimeSeconds - a.talkTimeSeconds);
+
+      const callDurationMs = call.duration
+        ? call.duration * 1000
+        : sentences[sentences.length - 1].end - sentences[0].start;
+      const speakerSwitches = Math.max(0, turns.length - 1);
+
+      return {
+        call: {
+          id: call.id,
+          title: outputCall.title,
+          date: call.started || call.scheduled,
+          durationSeconds: call.duration
+        },
+        totalTalkTimeSeconds: toSeconds(totalTalkTimeMs),
+        speakerSwitches,
+        switchesPerMinute: callDurationMs > 0 ? round(speakerSwitches / (callDurationMs / 60000)) : 0,
+        speakers,
+        sides: this.summarizeSides(speakers, totals, totalTalkTimeMs),
+        ...(error && { errors: { speakers: error } })
+      };
+    } catch (error) {
+      console.error(`Error getting call analytics: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Flatten the transcript into sentences with a start and end time, in order
+   */
+  private timeSentences(transcript: any[]): TimedSentence[] {
+    const sentences = transcript
+      .flatMap((segment: any) => (segment.sentences || []).map((sentence: any) => ({
+        speakerId: segment.speakerId,
+        start: sentence.start,
+        end: sentence.end,
+        text: sentence.text || ''
+      })))
+      .sort((a: any, b: any) => a.start - b.start);
+
+    return sentences.map((sentence: any, index: number) => {
+      let end = sentence.end;
+      if (end === undefined || end < sentence.start) {
+        const next = sentences[index + 1];
+        end = next
+          ? Math.min(next.start, sentence.start + MAX_SENTENCE_GAP_MS)
+          : sentence.start + (countWords(sentence.text) / ESTIMATED_WORDS_PER_SECOND) * 1000;
+      }
+      return { ...sentence, end };
+    });
+  }
+
+  /**
+   * Merge consecutive sentences of the same speaker into turns
+   */
+  private buildTurns(sentences: TimedSentence[]): Turn[] {
+    const turns: Turn[] = [];
+    sentences.forEach(sentence => {
+      const last = turns[turns.length - 1];
+      if (last && last.speakerId === sentence.speakerId) {
+        last.end = Math.max(last.end, sentence.end);
+      } else {
+        turns.push({ speakerId: sentence.speakerId, start: sentence.start, end: sentence.end });
+      }
+    });
+    return turns;
+  }
+
+  /**
+   * Aggregate speaker metrics per side of the conversation
+   */
+  private summarizeSides(
+    speakers: SpeakerAnalytics[],
+    totals: Map<string, SpeakerTotals>,
+    totalTalkTimeMs: number
+  ): Partial<Record<SpeakerAffiliation, SideAnalytics>> {
+    const sides: Partial<Record<SpeakerAffiliation, SideAnalytics>> = {};
+    const affiliations = Array.from(new Set(speakers.map(speaker => speaker.affiliation)));
+
+    affiliations.forEach(affiliation => {
+      const sideTotals = speakers
+        .filter(speaker => speaker.affiliation === affiliation)
+        .map(speaker => totals.get(speaker.speakerId)!);
+
+      const talkTimeMs = sideTotals.reduce((sum, t) => sum + t.talkTimeMs, 0);
+      const turns = sideTotals.reduce((sum, t) => sum + t.turns, 0);
+      const words = sideTotals.reduce((sum, t) => sum + t.words, 0);
+
+      sides[affiliation] = {
+        speakers: sideTotals.length,
+        talkTimeSeconds: toSeconds(talkTimeMs),
+        talkTimePercent: totalTalkTimeMs > 0 ? round((talkTimeMs / totalTalkTimeMs) * 100) : 0,
+        longestMonologueSeconds: toSeconds(Math.max(...sideTotals.map(t => t.longestMonologueMs))),
+        turns,
+        averageTurnSeconds: turns > 0 ? toSeconds(talkTimeMs / turns) : 0,
+        questionsAsked: sideTotals.reduce((sum, t) => sum + t.questions, 0),
+        wordsPerMinute: talkTimeMs > 0 ? Math.round(words / (talkTimeMs / 60000)) : 0
+      };
+    });
+
+    return sides;
+  }
+}
@@ -1,58 +1,343 @@
-import { GongApiClient } from '../api/client.js';
+import { ErrorDescription, GongApiClient, describeError } from '../api/client.js';
 import { UserService } from './user-service.js';
 import { TranscriptService } from './transcript-service.js';
-import { GongCall, ListCallsParams, GetCallParams } from '../models/types.js';
+import { EntityCache } from '../cache/entity-cache.js';
+import {
+  FindCallsByTrackerParams,
+  GongCall,
+  GongParticipant,
+  ListCallsParams,
+  ListCallsResult,
+  GetCallParams,
+  GetTranscriptsParams,
+  BulkTranscriptsResult,
+  CallContent,
+  CallContentSection,
+  FormattedInsights,
+  TrackerCallMatch
+} from '../models/types.js';
+import { formatMilliseconds, parseTimeWindow } from '../utils/time.js';
+import { formatInsights, formatOccurrenceTimes, normalizeTrackers } from './insights.js';
+import { CallRedaction } from './redaction.js';
+
+// Upper bound for get_transcripts, which can otherwise return a lot of text
+export const MAX_BULK_TRANSCRIPT_CALLS = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Resources are listed often, so the recent calls are kept for a short while
+const RECENT_CALLS_TTL_MS = 60 * 1000;
+
+export interface CallServiceOptions {
+  // Workspace of listings and searches that do not name one
+  defaultWorkspaceId?: string;
+}
 
 export class CallService {
   private apiClient: GongApiClient;
   private userService: UserService;
   private transcriptService: TranscriptService;
+  private cache: EntityCache;
+  private defaultWorkspaceId?: string;
+  private recentCalls?: { key: string; expiresAt: number; calls: Promise<GongCall[]> };
 
   constructor(
     apiClient: GongApiClient, 
     userService: UserService,
-    transcriptService: TranscriptService
+    transcriptService: TranscriptService,
+    cache: EntityCache = new EntityCache(),
+    options: CallServiceOptions = {}
   ) {
     this.apiClient = apiClient;
     this.userService = userService;
     this.transcriptService = transcriptService;
+    this.cache = cache;
+    this.defaultWorkspaceId = options.defaultWorkspaceId;
   }
 
   /**
-   * List calls with optional filtering
+   * List calls with optional filtering, returning at most `limit` calls
+   * and a cursor to fetch the next batch
    */
-  public async listCalls(params?: ListCallsParams): Promise<GongCall[]> {
+  public async listCalls(params: ListCallsParams = {}): Promise<ListCallsResult> {
     try {
-      // Use the paginated method for calls with the specified parameters
-      const calls = await this.apiClient.getAllCalls(params);
+      const { limit, cursor, fromDateTime, toDateTime } = params;
+      const workspaceId = params.workspaceId || this.defaultWorkspaceId;
+
+      // A team is expanded into its members once, not per page
+      const teamUserIds = params.teamOf ? await this.userService.getTeamUserIds(params.teamOf) : undefined;
+
+      // Date range and workspace are filtered by Gong, everything else on our side.
+      // The hosts of a team's calls are filtered by Gong too, and checked again here.
+      const serverFilter = {
+        fromDateTime,
+        toDateTime,
+        workspaceId,
+        ...(teamUserIds && { primaryUserIds: Array.from(teamUserIds) })
+      };
+      const pageOptions = {
+        cursor,
+        maxItems: limit,
+        filter: (calls: any[]) => this.filterCalls(calls, params, teamUserIds)
+      };
+
+      // Participant filters need the call parties and the host filter needs its own
+      // filter field, which only the extensive endpoint has. Fetch only as many
+      // pages as needed to fill the requested limit.
+      const needsParties = !!(params.participantUserId || params.participantEmail || params.participantDomain);
+      const page = needsParties || teamUserIds
+        ? await this.apiClient.getCallsExtensivePage(serverFilter, needsParties ? { parties: true } : {}, pageOptions)
+        : await this.apiClient.getCallsPage(serverFilter, pageOptions);
 
       // Format calls for consistency
-      return calls.map((call: any) => this.formatCall(call));
+      const calls = page.items.map((call: any) => this.formatCall(call, params.redact));
+
+      return {
+        calls,
+        nextCursor: page.nextCursor
+      };
     } catch (error) {
       console.error(`Error listing calls: ${error}`);
       throw error;
     }
   }
 
+  /**
+   * Find calls in a date range where a named tracker fired
+   */
+  public async findCallsByTracker(params: FindCallsByTrackerParams): Promise<{ matches: TrackerCallMatch[]; nextCursor?: string }> {
+    try {
+      const trackerName = params.trackerName.toLowerCase();
+      const findTracker = (rawCall: any) => normalizeTrackers(rawCall.content?.trackers)
+        .find(tracker => tracker.name.toLowerCase() === trackerName && tracker.count > 0);
+
+      const page = await this.apiClient.getCallsExtensivePage(
+        {
+          fromDateTime: params.fromDateTime,
+          toDateTime: params.toDateTime,
+          workspaceId: params.workspaceId || this.defaultWorkspaceId
+        },
+        { content: { trackers: true, trackerOccurrences: true } },
+        {
+          cursor: params.cursor,
+          maxItems: params.limit,
+          filter: (calls: any[]) => calls.filter(rawCall => findTracker(rawCall) !== undefined)
+        }
+      );
+
+      return {
+        matches: page.items.map((rawCall: any) => {
+          const tracker = findTracker(rawCall)!;
+          return {
+            call: this.formatCall(rawCall, params.redact),
+            tracker: {
+              name: tracker.name,
+              count: tracker.count,
+              timestamps: formatOccurrenceTimes(tracker.occurrences)
+            }
+          };
+        }),
+        nextCursor: page.nextCursor
+      };
+    } catch (error) {
+      console.error(`Error finding calls by tracker: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent calls of the last few days, newest first. The result is
+   * kept for a minute and shared by concurrent callers.
+   */
+  public async getRecentCalls(limit: number = 25, days: number = 14): Promise<GongCall[]> {
+    const key = `${limit}:${days}`;
+    if (this.recentCalls && this.recentCalls.key === key && this.recentCalls.expiresAt > Date.now()) {
+      return this.recentCalls.calls;
+    }
+    const calls = this.listRecentCalls(limit, days);
+    this.recentCalls = { key, expiresAt: Date.now() + RECENT_CALLS_TTL_MS, calls };
+    calls.catch(() => {
+      if (this.recentCalls?.calls === calls) this.recentCalls = undefined;
+    });
+    return calls;
+  }
+
+  /**
+   * Get the most recent calls of the last few days matching a list filter, newest
+   * first. Gong lists calls oldest first, so walk back from now in windows of
+   * 1, 2, 4, ... days until enough calls are found, rather than paging through
+   * the whole range.
+   */
+  public async listRecentCalls(
+    limit: number,
+    days: number,
+    filter: Omit<ListCallsParams, 'fromDateTime' | 'toDateTime' | 'limit' | 'cursor'> = {}
+  ): Promise<GongCall[]> {
+    const now = Date.now();
+    const calls: GongCall[] = [];
+    for (let windowEnd = 0, windowDays = 1; windowEnd < days && calls.length < limit; windowDays *= 2) {
+      const windowStart = Math.min(windowEnd + windowDays, days);
+      const { calls: windowCalls } = await this.listCalls({
+        ...filter,
+        fromDateTime: new Date(now - windowStart * DAY_MS).toISOString(),
+        toDateTime: new Date(now - windowEnd * DAY_MS).toISOString(),
+        limit: 0
+      });
+      calls.push(...windowCalls);
+      windowEnd = windowStart;
+    }
+
+    return calls
+      .sort((a, b) => new Date(b.started || b.scheduled || 0).getTime() - new Date(a.started || a.scheduled || 0).getTime())
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the transcripts of the given calls, or of the calls matching a list filter
+   */
+  public async getTranscripts(params: GetTranscriptsParams): Promise<BulkTranscriptsResult> {
+    try {
+      const { callIds, maxCalls, format, maxTokens, trimStrategy, bypassCache, redact, ...filter } = params;
+      const limit = maxCalls ?? MAX_BULK_TRANSCRIPT_CALLS;
+      // A limit of 0 would list every matching call
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BULK_TRANSCRIPT_CALLS) {
+        throw new Error(`maxCalls must be a whole number from 1 to ${MAX_BULK_TRANSCRIPT_CALLS}`);
+      }
+
+      let ids: string[];
+      let nextCursor: string | undefined = undefined;
+      if (callIds && callIds.length > 0) {
+        if (callIds.length > limit) {
+          throw new Error(`Too many call IDs (${callIds.length}): at most ${limit} transcripts can be fetched at once`);
+        }
+        ids = callIds;
+      } else {
+        const page = await this.listCalls({ ...filter, hasTranscript: true, limit });
+        ids = page.calls.map(call => call.id);
+        nextCursor = page.nextCursor;
+      }
+
+      const result = await this.transcriptService.getTranscripts(ids, format, { maxTokens, trimStrategy, bypassCache, redact });
+      return { ...result, nextCursor };
+    } catch (error) {
+      console.error(`Error getting transcripts: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the client-side filters to a page of raw calls. `teamUserIds` are the
+   * users of params.teamOf, whose calls are those they hosted.
+   */
+  private filterCalls(rawCalls: any[], params: ListCallsParams, teamUserIds?: Set<string>): any[] {
+    const title = params.title?.toLowerCase();
+    const email = params.participantEmail?.toLowerCase();
+    const domain = params.participantDomain?.toLowerCase().replace(/^@/, '');
+
+    return rawCalls.filter(rawCall => {
+      // Filters see the real data, so redaction does not change which calls match
+      const call = this.toCall(rawCall);
+
+      if (title && !call.title?.toLowerCase().includes(title)) return false;
+      if (params.minDuration !== undefined && (call.duration ?? 0) < params.minDuration) return false;
+      if (params.maxDuration !== undefined && (call.duration ?? 0) > params.maxDuration) return false;
+      if (params.direction && call.direction?.toLowerCase() !== params.direction) return false;
+      if (params.scope && call.scope?.toLowerCase() !== params.scope) return false;
+      if (teamUserIds && !(call.primaryUserId && teamUserIds.has(call.primaryUserId))) return false;
+      if (params.hasTranscript !== undefined && this.isTranscribed(call) !== params.hasTranscript) return false;
+
+      const participants = call.participants || [];
+      if (params.participantUserId && !participants.some(p => p.userId === params.participantUserId)) {
+        return false;
+      }
+      if (email && !participants.some(p => p.email?.toLowerCase() === email)) {
+        return false;
+      }
+      if (domain && !participants.some(p => {
+        const participantDomain = p.email?.toLowerCase().split('@')[1];
+        return !!participantDomain && (participantDomain === domain || participantDomain.endsWith(`.${domain}`));
+      })) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Whether Gong transcribes a call, judged from its metadata: recorded audio or
+   * video with a duration. Checking the transcripts themselves would download
+   * every one of them.
+   */
+  private isTranscribed(call: GongCall): boolean {
+    return (call.duration ?? 0) > 0 && (!call.media || /audio|video/i.test(call.media));
+  }
+
   /**
    * Get a specific call by ID with optional transcript
    */
   public async getCall(params: GetCallParams): Promise<any> {
     try {
       // Get call details
-      const callResponse = await this.apiClient.getCall(params.callId);
-      let call = this.formatCall(callResponse.call);
-      
+      const cacheOptions = { bypassCache: params.bypassCache };
+      const rawCall = await this.cache.getOrFetch('calls', params.callId, async () => {
+        const callResponse = await this.apiClient.getCall(params.callId);
+        return callResponse.call;
+      }, cacheOptions);
+      let call = this.toCall(rawCall);
+
+      // Gong's own summary content, which is much cheaper than a full transcript
+      const sections: CallContentSection[] = [];
+      if (params.includeBrief) sections.push('brief');
+      if (params.includeHighlights) sections.push('highlights');
+      if (params.includeOutline) sections.push('outline');
+      if (params.includeCrmContext) sections.push('crmContext');
+
+      // Parts that failed are reported rather than left out silently
+      const errors: {
+        content?: ErrorDescription;
+        transcript?: ErrorDescription;
+        insights?: ErrorDescription;
+        speakers?: ErrorDescription;
+      } = {};
+
+      let content: CallContent | undefined = undefined;
+      if (sections.length > 0) {
+        try {
+          const extensiveCall = await this.getExtensiveCall(params.callId, sections, cacheOptions);
+          if (extensiveCall) {
+            content = this.formatContent(extensiveCall, sections);
+            if (extensiveCall.parties) {
+              call.participants = extensiveCall.parties.map((party: any) => this.formatParty(party));
+            }
+          }
+        } catch (error) {
+          console.error('Error getting call content:', error);
+          errors.content = describeError(error);
+        }
+      }
+
       // Get transcript if requested
       let transcript: any = undefined;
       if (params.includeTranscript) {
+        // Invalid time windows are the caller's mistake, so they are not swallowed below
+        const timeWindow = parseTimeWindow(params.startTime, params.endTime);
+
         try {
           // Try to get the transcript regardless of hasTranscript flag
           transcript = await this.transcriptService.getFormattedTranscript(
             params.callId,
             params.transcriptFormat || 'concise',
             params.maxSegments || 0,
-            params.maxSentences || 0
+            params.maxSentences || 0,
+            {
+              ...cacheOptions,
+              call: rawCall,
+              maxTokens: params.maxTokens,
+              trimStrategy: params.trimStrategy,
+              ...timeWindow,
+              topics: params.topics,
+              redact: params.redact
+            }
           );
           
           // If we got here, the transcript is available, so update the call object
@@ -69,13 +354,52 @@ export class CallService {
         } catch (error) {
           console.error('Error getting transcript:', error);
           transcript = undefined; // Don't include transcript if there was an error
+          errors.transcript = describeError(error);
         }
       }
       
-      // Return call with optional transcript
+      // Trackers, entities and interaction stats come with the transcript unless turned off
+      let insights: any = undefined;
+      const includeInsights = params.includeInsights ?? params.includeTranscript;
+      if (includeInsights) {
+        try {
+          // A transcript fetched above has already refreshed the cached insights
+          const rawInsights = await this.transcriptService.getTranscriptInsights(
+            params.callId,
+            params.includeTranscript ? {} : cacheOptions
+          );
+          // Without a transcript, the speakers who triggered trackers stand in for its segments
+          const rawTranscript = params.includeTranscript
+            ? await this.transcriptService.getRawTranscript(params.callId)
+            : rawInsights.trackers.flatMap(tracker => tracker.occurrences || []).map(occurrence => ({ speakerId: occurrence.speakerId }));
+          const { speakerMap, error } = await this.userService.resolveSpeakers(params.callId, rawCall, rawTranscript);
+          if (error) {
+            errors.speakers = error;
+          }
+          const redaction = this.transcriptService.getRedaction(params.callId, rawCall, speakerMap, params.redact);
+          insights = redaction
+            ? this.redactInsights(formatInsights(rawInsights, redaction.speakerMap(speakerMap)), redaction)
+            : formatInsights(rawInsights, speakerMap);
+        } catch (error) {
+          console.error('Error getting insights:', error);
+          errors.insights = describeError(error);
+        }
+      }
+
+      // The transcript and insights are redacted above, the call and its content here
+      const redaction = this.transcriptService.getRedaction(params.callId, call, {}, params.redact);
+      if (redaction) {
+        call = this.redactCall(call, redaction);
+        content = content && this.redactContent(content, redaction);
+      }
+
+      // Return call with optional content and transcript
       return {
         call,
-        transcript: params.includeTranscript ? transcript : undefined
+        content,
+        insights,
+        transcript: params.includeTranscript ? transcript : undefined,
+        errors: Object.keys(errors).length > 0 ? errors : undefined
       };
     } catch (error) {
       console.error(`Error getting call: ${error}`);
@@ -84,9 +408,152 @@ export class CallService {
   }
 
   /**
-   * Format a call object for consistency
+   * Get a call from the extensive endpoint with the parties and the selected content sections
+   */
+  private async getExtensiveCall(callId: string, sections: CallContentSection[], cacheOptions = {}): Promise<any> {
+    const content: Record<string, boolean> = {};
+    if (sections.includes('brief')) {
+      content.brief = true;
+      content.keyPoints = true;
+      content.callOutcome = true;
+    }
+    if (sections.includes('highlights')) content.highlights = true;
+    if (sections.includes('outline')) content.outline = true;
+
+    const contentSelector = {
+      context: sections.includes('crmContext') ? 'Extended' : 'None',
+      exposedFields: { parties: true, content }
+    };
+
+    const cacheKey = `${callId}:extensive:${[...sections].sort().join(',')}`;
+    return this.cache.getOrFetch('calls', cacheKey, async () => {
+      const extensiveCall = await this.apiClient.getCallExtensive(callId, contentSelector);
+      if (!extensiveCall) {
+        throw new Error(`Call ${callId} not found`);
+      }
+      return extensiveCall;
+    }, cacheOptions);
+  }
+
+  /**
+   * Format the selected content sections of an extensive call. Gong reports
+   * content times in seconds from the start of the call.
+   */
+  private formatContent(extensiveCall: any, sections: CallContentSection[]): CallContent {
+    const raw = extensiveCall.content || {};
+    const timestamp = (seconds: unknown) =>
+      typeof seconds === 'number' ? formatMilliseconds(seconds * 1000) : undefined;
+    const content: CallContent = {};
+
+    if (sections.includes('brief')) {
+      content.brief = raw.brief;
+      content.keyPoints = (raw.keyPoints || []).map((point: any) => typeof point === 'string' ? point : point.text);
+      content.callOutcome = raw.callOutcome?.name || raw.callOutcome?.category;
+    }
+
+    if (sections.includes('outline')) {
+      content.outline = (raw.outline || []).map((section: any) => ({
+        section: section.section,
+        timestamp: timestamp(section.startTime),
+        durationSeconds: section.duration,
+        items: (section.items || []).map((item: any) => ({
+          text: item.text,
+          timestamp: timestamp(item.startTime)
+        }))
+      }));
+    }
+
+    if (sections.includes('highlights')) {
+      content.highlights = (raw.highlights || []).map((highlight: any) => ({
+        title: highlight.title,
+        items: (highlight.items || []).map((item: any) => ({
+          text: item.text,
+          timestamps: (item.startTimes || []).map(timestamp).filter(Boolean)
+        }))
+      }));
+    }
+
+    if (sections.includes('crmContext')) {
+      content.crmContext = (extensiveCall.context || []).map((context: any) => ({
+        system: context.system,
+        objects: (context.objects || []).map((object: any) => ({
+          objectType: object.objectType,
+          objectId: object.objectId,
+          fields: Object.fromEntries((object.fields || []).map((field: any) => [field.name, field.value]))
+        }))
+      }));
+    }
+
+    return content;
+  }
+
+  /**
+   * Redact the title and participants of a formatted call
+   */
+  private redactCall(call: GongCall, redaction: CallRedaction): GongCall {
+    return {
+      ...call,
+      title: redaction.text(call.title),
+      participants: call.participants?.map(participant => redaction.person(participant))
+    };
+  }
+
+  /**
+   * Redact the free text of Gong's call summary and the text fields of CRM objects
+   */
+  private redactContent(content: CallContent, redaction: CallRedaction): CallContent {
+    const items = <T extends { text: string }>(list: T[]) => list.map(item => ({ ...item, text: redaction.text(item.text) }));
+    return {
+      ...content,
+      brief: redaction.text(content.brief),
+      keyPoints: content.keyPoints?.map(point => redaction.text(point)),
+      outline: content.outline?.map(section => ({ ...section, items: items(section.items) })),
+      highlights: content.highlights?.map(highlight => ({
+        title: redaction.text(highlight.title),
+        items: items(highlight.items)
+      })),
+      crmContext: content.crmContext?.map(context => ({
+        system: context.system,
+        objects: context.objects.map(object => ({
+          ...object,
+          fields: Object.fromEntries(Object.entries(object.fields).map(([name, value]) =>
+            [name, typeof value === 'string' ? redaction.text(value) : value]
+          ))
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Redact entity names and tracker phrases, which quote the call
    */
-  private formatCall(call: any): GongCall {
+  private redactInsights(insights: FormattedInsights, redaction: CallRedaction): FormattedInsights {
+    return {
+      ...insights,
+      trackers: insights.trackers.map(tracker => ({
+        ...tracker,
+        phrases: tracker.phrases?.map(phrase => ({ ...phrase, phrase: redaction.text(phrase.phrase) }))
+      })),
+      entities: insights.entities.map(entity => ({ ...entity, name: redaction.text(entity.name) }))
+    };
+  }
+
+  /**
+   * Format a call for output, redacting its title and participants when the
+   * request asks for it or the server enforces it
+   */
+  private formatCall(rawCall: any, redact?: boolean): GongCall {
+    const call = this.toCall(rawCall);
+    const redaction = this.transcriptService.getRedaction(call.id, call, {}, redact);
+    return redaction ? this.redactCall(call, redaction) : call;
+  }
+
+  /**
+   * Format a call object for consistency. Accepts both basic calls and
+   * extensive calls, which keep the basic fields under metaData.
+   */
+  private toCall(rawCall: any): GongCall {
+    const call = rawCall.metaData || rawCall;
     return {
       id: call.id,
       title: call.title || 'Untitled Call',
@@ -99,8 +566,28 @@ export class CallService {
       media: call.media,
       language: call.language,
       url: call.url,
-      hasTranscript: !!call.transcript,
-      participants: call.participants || []
+      workspaceId: call.workspaceId,
+      primaryUserId: call.primaryUserId,
+      // Call listings do not say whether a transcript exists, so only report what is known
+      hasTranscript: call.transcript === undefined ? undefined : !!call.transcript,
+      participants: rawCall.parties
+        ? rawCall.parties.map((party: any) => this.formatParty(party))
+        : call.participants || []
+    };
+  }
+
+  /**
+   * Format a party from the extensive call endpoint as a participant
+   */
+  private formatParty(party: any): GongParticipant {
+    return {
+      id: party.id,
+      name: party.name,
+      email: party.emailAddress,
+      role: party.title,
+      userId: party.userId,
+      speakerId: party.speakerId,
+      affiliation: party.affiliation
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,118 @@
+import {
+  FormattedInsights,
+  GongEntity,
+  GongInteractionStat,
+  GongTracker,
+  GongTrackerOccurrence,
+  SpeakerMap,
+  TranscriptInsights
+} from '../models/types.js';
+import { formatMilliseconds } from '../utils/time.js';
+
+function normalizeOccurrences(occurrences: any): GongTrackerOccurrence[] | undefined {
+  if (!Array.isArray(occurrences)) return undefined;
+  return occurrences
+    .filter((occurrence: any) => typeof occurrence?.startTime === 'number')
+    .map((occurrence: any) => ({ startTime: occurrence.startTime, speakerId: occurrence.speakerId }));
+}
+
+/**
+ * Normalize Gong tracker payloads (from the transcript or extensive call endpoints)
+ */
+export function normalizeTrackers(trackers: any): GongTracker[] {
+  if (!Array.isArray(trackers)) return [];
+  return trackers.map((tracker: any) => {
+    const occurrences = normalizeOccurrences(tracker.occurrences);
+    return {
+      id: tracker.id,
+      name: tracker.name || 'Unnamed tracker',
+      type: tracker.type,
+      count: tracker.count ?? occurrences?.length ?? 0,
+      occurrences,
+      phrases: Array.isArray(tracker.phrases)
+        ? tracker.phrases.map((phrase: any) => ({
+          phrase: phrase.phrase,
+          count: phrase.count ?? 0,
+          occurrences: normalizeOccurrences(phrase.occurrences)
+        }))
+        : undefined
+    };
+  });
+}
+
+function normalizeEntities(entities: any): GongEntity[] {
+  if (!Array.isArray(entities)) return [];
+  return entities.map((entity: any) => ({
+    name: entity.name || entity.value || entity.text || 'Unnamed entity',
+    type: entity.type,
+    count: entity.count,
+    occurrences: normalizeOccurrences(entity.occurrences)
+  }));
+}
+
+function normalizeInteractionStats(stats: any): GongInteractionStat[] {
+  if (Array.isArray(stats)) {
+    return stats
+      .filter((stat: any) => stat?.name !== undefined)
+      .map((stat: any) => ({ name: stat.name, value: stat.value }));
+  }
+  if (stats && typeof stats === 'object') {
+    return Object.entries(stats)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([name, value]) => ({ name, value: value as number }));
+  }
+  return [];
+}
+
+/**
+ * Extract insights from a transcript response entry or an extensive call
+ */
+export function parseInsights(source: any): TranscriptInsights {
+  return {
+    trackers: normalizeTrackers(source?.trackers ?? source?.content?.trackers),
+    entities: normalizeEntities(source?.entities ?? source?.content?.entities),
+    interactionStats: normalizeInteractionStats(
+      source?.interactionsSummary ?? source?.interactionSummary ?? source?.interaction?.interactionStats
+    )
+  };
+}
+
+export function hasInsights(insights: TranscriptInsights): boolean {
+  return insights.trackers.length > 0 || insights.entities.length > 0 || insights.interactionStats.length > 0;
+}
+
+/**
+ * Format occurrence start times (seconds into the call) as m:ss timestamps
+ */
+export function formatOccurrenceTimes(occurrences: GongTrackerOccurrence[] = []): string[] {
+  return occurrences.map(occurrence => formatMilliseconds(occurrence.startTime * 1000));
+}
+
+/**
+ * Make insights readable: timestamps instead of seconds and speaker names instead of IDs
+ */
+export function formatInsights(insights: TranscriptInsights, speakerMap: SpeakerMap = {}): FormattedInsights {
+  return {
+    trackers: insights.trackers
+      .filter(tracker => tracker.count > 0)
+      .map(tracker => ({
+        name: tracker.name,
+        type: tracker.type,
+        count: tracker.count,
+        occurrences: (tracker.occurrences || []).map(occurrence => ({
+          timestamp: formatMilliseconds(occurrence.startTime * 1000),
+          speaker: occurrence.speakerId ? speakerMap[occurrence.speakerId]?.name : undefined
+        })),
+        phrases: tracker.phrases
+          ?.filter(phrase => phrase.count > 0)
+          .map(phrase => ({ phrase: phrase.phrase, count: phrase.count }))
+      })),
+    entities: insights.entities.map(entity => ({
+      name: entity.name,
+      type: entity.type,
+      count: entity.count,
+      timestamps: entity.occurrences ? formatOccurrenceTimes(entity.occurrences) : undefined
+    })),
+    interactionStats: insights.interactionStats
+  };
+}
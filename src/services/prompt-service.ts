@@ -0,0 +1,132 @@
+import { CallService } from './call-service.js';
+import { TranscriptService } from './transcript-service.js';
+
+// How far back account history goes for account-level prompts
+const ACCOUNT_HISTORY_DAYS = 180;
+// Estimated tokens of transcript per prompt, shared by the calls of account-level prompts
+export const PROMPT_TOKEN_BUDGET = 16000;
+export const MAX_PROMPT_CALLS = 10;
+
+/**
+ * Builds the text of the built-in MCP prompts, embedding call data as compact
+ * plain-text transcripts, trimmed to PROMPT_TOKEN_BUDGET, so the model gets
+ * consistent, token-efficient context
+ */
+export class PromptService {
+  private callService: CallService;
+  private transcriptService: TranscriptService;
+
+  constructor(callService: CallService, transcriptService: TranscriptService) {
+    this.callService = callService;
+    this.transcriptService = transcriptService;
+  }
+
+  /**
+   * Summarize a single call
+   */
+  public async callSummary(callId: string): Promise<string> {
+    return [
+      'Summarize the following sales call for someone who was not on it.',
+      'Include: the purpose of the call, key discussion points, customer needs and pain points, ' +
+        'objections or concerns raised, decisions made, and next steps with owners and dates.',
+      'Keep it concise and quote the transcript where it matters.',
+      '',
+      await this.callContext(callId)
+    ].join('\n');
+  }
+
+  /**
+   * Review the state of a deal from the recent calls with an account
+   */
+  public async dealReview(accountDomain: string, maxCalls: number = 3): Promise<string> {
+    return [
+      `Review the deal with the account at ${accountDomain} based on the recent calls below.`,
+      'Assess: the business problem and its impact, decision makers and champion, decision criteria and process, ' +
+        'budget and timeline, competition, and risks to the deal.',
+      'Point out what is still unknown and recommend the next actions to move the deal forward.',
+      '',
+      await this.accountContext(accountDomain, maxCalls)
+    ].join('\n');
+  }
+
+  /**
+   * Review how objections were handled on a call
+   */
+  public async objectionHandlingReview(callId: string): Promise<string> {
+    return [
+      'Review how objections were handled on the following call.',
+      'For each objection: quote it with its timestamp, classify it (price, timing, competition, authority, need, other), ' +
+        'quote how it was answered, and rate the response as strong, adequate or weak with a short explanation.',
+      'Finish with the objections that remain open and suggested responses for next time.',
+      '',
+      await this.callContext(callId)
+    ].join('\n');
+  }
+
+  /**
+   * Give coaching feedback to a rep on a (discovery) call
+   */
+  public async coachingFeedback(callId: string, userEmail?: string): Promise<string> {
+    return [
+      `Give coaching feedback on ${userEmail ? `the rep ${userEmail}` : 'the rep'} on the following discovery call.`,
+      'Cover: quality and depth of discovery questions, listening and talk-time balance, ' +
+        'how well pain and business impact were uncovered, handling of objections, and whether clear next steps were agreed.',
+      'Give three concrete strengths and three concrete improvements, each backed by a quote and timestamp.',
+      '',
+      await this.callContext(callId)
+    ].join('\n');
+  }
+
+  /**
+   * Prepare for the next meeting with an account
+   */
+  public async meetingPrep(accountDomain: string, userEmail?: string, maxCalls: number = 3): Promise<string> {
+    return [
+      `Prepare me for my next meeting with the account at ${accountDomain}, based on the previous calls below.`,
+      'Include: who the stakeholders are and what each cares about, what was discussed and promised so far, ' +
+        'open questions and commitments, likely objections, and a suggested agenda with questions to ask.',
+      '',
+      await this.accountContext(accountDomain, maxCalls, userEmail)
+    ].join('\n');
+  }
+
+  /**
+   * Call header and plain-text transcript of a single call, trimmed to a token budget
+   */
+  private async callContext(callId: string, maxTokens: number = PROMPT_TOKEN_BUDGET, transcript?: any[]): Promise<string> {
+    const text = await this.transcriptService.exportTranscript(callId, 'text', { maxTokens, transcript });
+    return `<call id="${callId}">\n${text.trim()}\n</call>`;
+  }
+
+  /**
+   * Context of the most recent calls with an account, newest first
+   */
+  private async accountContext(accountDomain: string, maxCalls: number, userEmail?: string): Promise<string> {
+    if (!Number.isInteger(maxCalls) || maxCalls < 1 || maxCalls > MAX_PROMPT_CALLS) {
+      throw new Error(`maxCalls must be a whole number from 1 to ${MAX_PROMPT_CALLS}`);
+    }
+
+    // The transcript filter is approximate, so look at a few more calls than needed
+    const newestFirst = await this.callService.listRecentCalls(maxCalls * 2, ACCOUNT_HISTORY_DAYS, {
+      participantDomain: accountDomain,
+      participantEmail: userEmail,
+      hasTranscript: true
+    });
+
+    // Take the newest calls that actually have a transcript, sharing the budget between them
+    const maxTokens = Math.floor(PROMPT_TOKEN_BUDGET / maxCalls);
+    const contexts: string[] = [];
+    for (const call of newestFirst) {
+      if (contexts.length >= maxCalls) break;
+      const transcript = await this.transcriptService.getRawTranscript(call.id);
+      if (transcript.length > 0) {
+        contexts.push(await this.callContext(call.id, maxTokens, transcript));
+      }
+    }
+
+    if (contexts.length === 0) {
+      return `<calls>No calls with a transcript found with ${accountDomain} in the last ${ACCOUNT_HISTORY_DAYS} days.</calls>`;
+    }
+    return `<calls account="${accountDomain}" count="${contexts.length}">\n${contexts.join('\n')}\n</calls>`;
+  }
+}
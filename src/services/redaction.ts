@@ -0,0 +1,280 @@
+import { SpeakerMap } from '../models/types.js';
+
+// off: only when a tool asks for it; on: unless a tool turns it off; enforced: always
+export type RedactionMode = 'off' | 'on' | 'enforced';
+
+export type RedactionDetector = 'email' | 'phone' | 'creditCard' | 'ssn' | 'url';
+
+export const REDACTION_MODES: RedactionMode[] = ['off', 'on', 'enforced'];
+export const REDACTION_DETECTORS: RedactionDetector[] = ['email', 'phone', 'creditCard', 'ssn', 'url'];
+
+/**
+ * A custom rule: a regular expression or a list of terms (matched as whole
+ * words, case-insensitive)
+ */
+export interface RedactionRule {
+  name: string;
+  pattern?: string;
+  flags?: string;
+  terms?: string[];
+  // Defaults to [REDACTED]
+  replacement?: string;
+}
+
+export interface RedactionSettings {
+  mode: RedactionMode;
+  detectors: RedactionDetector[];
+  rules: RedactionRule[];
+  // Replace the names of external participants with "External 1", "External 2", ...
+  pseudonymizeExternal: boolean;
+}
+
+export const DEFAULT_REDACTION_SETTINGS: RedactionSettings = {
+  mode: 'off',
+  detectors: REDACTION_DETECTORS,
+  rules: [],
+  pseudonymizeExternal: false
+};
+
+// A participant as found in call data or speaker maps
+export interface RedactionPerson {
+  name?: string;
+  email?: string;
+  emailAddress?: string;
+  affiliation?: string;
+}
+
+interface Replacer {
+  pattern: RegExp;
+  replace: (match: string) => string;
+}
+
+// Pseudonyms are kept for this many calls, so they stay the same across tool calls
+const MAX_PSEUDONYM_CALLS = 1000;
+// Shorter name parts (e.g. "Al") are not replaced on their own in text
+const MIN_NAME_PART_LENGTH = 3;
+
+/**
+ * Luhn checksum of a card number, which rules out most digit runs that only
+ * look like card numbers
+ */
+export function luhnValid(digits: string): boolean {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Order matters: URLs and emails go first so their digits are not taken for phone numbers
+const DETECTORS: Record<RedactionDetector, Replacer> = {
+  url: {
+    // Punctuation at the end belongs to the sentence, not the URL
+    pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)]/gi,
+    replace: () => '[URL]'
+  },
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    replace: () => '[EMAIL]'
+  },
+  creditCard: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    replace: match => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && luhnValid(digits) ? '[CARD]' : match;
+    }
+  },
+  ssn: {
+    pattern: /\b\d{3}[- ]\d{2}[- ]\d{4}\b/g,
+    replace: () => '[SSN]'
+  },
+  phone: {
+    // International numbers with a +, or North American numbers with 10 digits
+    pattern: /(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d(?:[\s.-]?\d){6,12}|(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4})\b/g,
+    replace: () => '[PHONE]'
+  }
+};
+
+const DETECTOR_ORDER: RedactionDetector[] = ['url', 'email', 'creditCard', 'ssn', 'phone'];
+
+/**
+ * Compile a custom rule. Throws on invalid patterns, so configuration
+ * mistakes surface at startup rather than as unredacted output.
+ */
+export function compileRule(rule: RedactionRule): Replacer {
+  const replacement = rule.replacement ?? '[REDACTED]';
+  if (rule.pattern) {
+    const flags = Array.from(new Set(`${rule.flags || ''}g`)).join('');
+    return { pattern: new RegExp(rule.pattern, flags), replace: () => replacement };
+  }
+  const terms = (rule.terms || []).map(term => term.trim()).filter(Boolean);
+  if (terms.length === 0) {
+    throw new Error(`Redaction rule "${rule.name}" needs a pattern or terms`);
+  }
+  // Longest terms first so "Acme Corp" wins over "Acme"
+  const alternatives = terms.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  return { pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu'), replace: () => replacement };
+}
+
+/**
+ * Redacts personal data from transcripts and call metadata. One instance is
+ * shared by the services of a profile, so pseudonyms stay consistent within a
+ * call across tool calls.
+ */
+export class Redactor {
+  private settings: RedactionSettings;
+  private replacers: Replacer[];
+  // Call ID -> real name (lowercase) -> pseudonym
+  private pseudonyms: Map<string, Map<string, string>> = new Map();
+
+  constructor(settings: Partial<RedactionSettings> = {}) {
+    this.settings = { ...DEFAULT_REDACTION_SETTINGS, ...settings };
+    this.replacers = [
+      ...DETECTOR_ORDER.filter(detector => this.settings.detectors.includes(detector)).map(detector => DETECTORS[detector]),
+      ...this.settings.rules.map(compileRule)
+    ];
+  }
+
+  public get mode(): RedactionMode {
+    return this.settings.mode;
+  }
+
+  /**
+   * Whether to redact a request. An explicit choice of the caller applies
+   * unless redaction is enforced.
+   */
+  public isActive(requested?: boolean): boolean {
+    if (this.settings.mode === 'enforced') return true;
+    return requested ?? this.settings.mode === 'on';
+  }
+
+  /**
+   * Redact detector and rule matches from a text
+   */
+  public text(value: string): string {
+    return this.replacers.reduce(
+      (text, { pattern, replace }) => text.replace(pattern, replace),
+      value
+    );
+  }
+
+  /**
+   * Redaction for one call, knowing its participants so their names can be
+   * pseudonymized
+   */
+  public forCall(callId: string, people: RedactionPerson[]): CallRedaction {
+    let names = this.pseudonyms.get(callId);
+    if (!names) {
+      names = new Map();
+      if (this.pseudonyms.size >= MAX_PSEUDONYM_CALLS) {
+        this.pseudonyms.delete(this.pseudonyms.keys().next().value!);
+      }
+      this.pseudonyms.set(callId, names);
+    }
+
+    if (this.settings.pseudonymizeExternal) {
+      const known = new Set(names.values());
+      // Sorted so the numbering does not depend on where the participants came from
+      const external = Array.from(new Set(people
+        .filter(person => person.affiliation?.toLowerCase() === 'external' && person.name && !known.has(person.name))
+        .map(person => person.name!.trim())))
+        .filter(name => name && !names!.has(name.toLowerCase()))
+        .sort();
+      external.forEach(name => names!.set(name.toLowerCase(), `External ${names!.size + 1}`));
+    }
+
+    return new CallRedaction(this, names);
+  }
+}
+
+/**
+ * Redaction of the data of a single call
+ */
+export class CallRedaction {
+  private redactor: Redactor;
+  private names: Map<string, string>;
+  private nameReplacer?: RegExp;
+
+  constructor(redactor: Redactor, names: Map<string, string>) {
+    this.redactor = redactor;
+    this.names = names;
+
+    // Full names, then first and last names on their own
+    const parts = new Map<string, string>();
+    names.forEach((pseudonym, name) => {
+      parts.set(name, pseudonym);
+      name.split(/\s+/)
+        .filter(part => part.length >= MIN_NAME_PART_LENGTH)
+        .forEach(part => { if (!parts.has(part)) parts.set(part, pseudonym); });
+    });
+    if (parts.size > 0) {
+      const alternatives = Array.from(parts.keys()).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+      this.nameReplacer = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+      this.names = parts;
+    }
+  }
+
+  /**
+   * Redact a text, including mentions of pseudonymized participants
+   */
+  public text(value: string): string;
+  public text(value: string | undefined): string | undefined;
+  public text(value: string | undefined): string | undefined {
+    if (!value) return value;
+    const redacted = this.redactor.text(value);
+    return this.nameReplacer
+      ? redacted.replace(this.nameReplacer, match => this.names.get(match.toLowerCase()) ?? match)
+      : redacted;
+  }
+
+  /**
+   * Pseudonymize a participant's name and hide the email address of anyone
+   * who is not known to be internal
+   */
+  public person<T extends RedactionPerson>(person: T): T {
+    const internal = person.affiliation?.toLowerCase() === 'internal';
+    const pseudonym = person.name ? this.names.get(person.name.trim().toLowerCase()) : undefined;
+    return {
+      ...person,
+      ...(pseudonym && { name: pseudonym }),
+      ...(!internal && person.email && { email: '[EMAIL]' }),
+      ...(!internal && person.emailAddress && { emailAddress: '[EMAIL]' })
+    };
+  }
+
+  /**
+   * Redact a raw call (basic or extensive) for output
+   */
+  public call(rawCall: any): any {
+    if (!rawCall) return rawCall;
+    const redacted = { ...rawCall };
+    if (rawCall.metaData) redacted.metaData = this.call(rawCall.metaData);
+    if (typeof rawCall.title === 'string') redacted.title = this.text(rawCall.title);
+    if (Array.isArray(rawCall.participants)) redacted.participants = rawCall.participants.map((p: any) => this.person(p));
+    if (Array.isArray(rawCall.parties)) redacted.parties = rawCall.parties.map((p: any) => this.person(p));
+    return redacted;
+  }
+
+  public speakerMap(speakerMap: SpeakerMap): SpeakerMap {
+    return Object.fromEntries(Object.entries(speakerMap).map(([id, speaker]) => [id, this.person(speaker)]));
+  }
+
+  /**
+   * Redact the sentences of raw transcript segments
+   */
+  public segments(segments: any[]): any[] {
+    return segments.map((segment: any) => ({
+      ...segment,
+      sentences: (segment.sentences || []).map((sentence: any) => ({ ...sentence, text: this.text(sentence.text) }))
+    }));
+  }
+}
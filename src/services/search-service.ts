@@ -0,0 +1,264 @@
+import { UserService } from './user-service.js';
+import { CallService } from './call-service.js';
+import { TranscriptService } from './transcript-service.js';
+import {
+  GongCall,
+  GongSpeaker,
+  SearchTranscriptsParams,
+  SpeakerMap,
+  TranscriptSearchMatch,
+  TranscriptSearchResult
+} from '../models/types.js';
+import { formatMilliseconds } from '../utils/time.js';
+
+interface SearchTerm {
+  text: string;
+  pattern: RegExp;
+  // Phrases weigh more than single words
+  weight: number;
+}
+
+interface FlatSentence {
+  speakerId: string;
+  start: number;
+  text: string;
+}
+
+// Transcripts are large, so fetch them in smaller batches than other resources
+const TRANSCRIPT_BATCH_SIZE = 20;
+
+// Calls searched per request unless told otherwise, and at most
+export const DEFAULT_SEARCH_CALLS = 50;
+export const MAX_SEARCH_CALLS = 200;
+
+/**
+ * Build a case-insensitive, word-bounded pattern for a search term.
+ * Words of a phrase may be separated by whitespace or hyphens ("SOC 2" matches "SOC-2").
+ */
+function buildTerm(text: string): SearchTerm {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return {
+    text,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escaped.join('[\\s-]+')}(?![\\p{L}\\p{N}])`, 'iu'),
+    weight: words.length
+  };
+}
+
+/**
+ * Parse a query into OR-ed clauses of AND-ed terms. Quoted text is a phrase,
+ * adjacent terms are AND-ed and AND binds tighter than OR:
+ * `"SOC 2" OR soc2 AND audit` means "SOC 2" or (soc2 and audit).
+ */
+function parseQuery(query: string): SearchTerm[][] {
+  const clauses: SearchTerm[][] = [[]];
+  const tokenPattern = /"([^"]+)"|(\S+)/g;
+  let match: RegExpExecArray | null;
+
+  while ((match = tokenPattern.exec(query)) !== null) {
+    const [, phrase, word] = match;
+    if (word === 'OR' || word === '|') {
+      clauses.push([]);
+    } else if (word !== 'AND' && word !== '&') {
+      const text = (phrase ?? word).trim();
+      if (text) {
+        clauses[clauses.length - 1].push(buildTerm(text));
+      }
+    }
+  }
+
+  const nonEmpty = clauses.filter(clause => clause.length > 0);
+  if (nonEmpty.length === 0) {
+    throw new Error('Search query must contain at least one term');
+  }
+  return nonEmpty;
+}
+
+export class SearchService {
+  private callService: CallService;
+  private transcriptService: TranscriptService;
+  private userService: UserService;
+
+  constructor(
+    callService: CallService,
+    transcriptService: TranscriptService,
+    userService: UserService
+  ) {
+    this.callService = callService;
+    this.transcriptService = transcriptService;
+    this.userService = userService;
+  }
+
+  /**
+   * Search the transcripts of calls in a date range for a keyword query
+   */
+  public async searchTranscripts(params: SearchTranscriptsParams): Promise<TranscriptSearchResult> {
+    try {
+      const clauses = parseQuery(params.query);
+      const terms = Array.from(new Set(clauses.flat()));
+      const maxResults = params.maxResults ?? 20;
+      const contextSentences = params.contextSentences ?? 2;
+      // A limit of 0 would search every call in the range
+      const maxCalls = params.maxCalls ?? DEFAULT_SEARCH_CALLS;
+      if (!Number.isInteger(maxCalls) || maxCalls < 1 || maxCalls > MAX_SEARCH_CALLS) {
+        throw new Error(`maxCalls must be a whole number from 1 to ${MAX_SEARCH_CALLS}`);
+      }
+
+      // Find the calls to search
+      const { calls, nextCursor } = await this.callService.listCalls({
+        fromDateTime: params.fromDateTime,
+        toDateTime: params.toDateTime,
+        workspaceId: params.workspaceId,
+        limit: maxCalls,
+        cursor: params.cursor
+      });
+      console.log(`Searching transcripts of ${calls.length} calls for: ${params.query}`);
+
+      // Fetch transcripts in batches
+      const transcripts = await this.transcriptService.getRawTranscripts(
+        calls.map(call => call.id),
+        TRANSCRIPT_BATCH_SIZE
+      );
+
+      const matches: TranscriptSearchMatch[] = [];
+      let callsMatched = 0;
+
+      for (const call of calls) {
+        const segments = transcripts.get(call.id);
+        if (!segments) continue;
+
+        const callMatches = await this.searchCall(call, segments, clauses, terms, params, contextSentences);
+        if (callMatches.length > 0) {
+          callsMatched++;
+          matches.push(...callMatches);
+        }
+      }
+
+      matches.sort((a, b) => b.score - a.score);
+
+      return {
+        query: params.query,
+        callsSearched: calls.length,
+        callsMatched,
+        totalMatches: matches.length,
+        results: matches.slice(0, maxResults),
+        nextCursor
+      };
+    } catch (error) {
+      console.error(`Error searching transcripts: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the matching sentences in a single call
+   */
+  private async searchCall(
+    call: GongCall,
+    segments: any[],
+    clauses: SearchTerm[][],
+    terms: SearchTerm[],
+    params: SearchTranscriptsParams,
+    contextSentences: number
+  ): Promise<TranscriptSearchMatch[]> {
+    const flatten = (segments: any[]): FlatSentence[] => segments.flatMap((segment: any) =>
+      (segment.sentences || []).map((sentence: any) => ({
+        speakerId: segment.speakerId,
+        start: sentence.start,
+        text: sentence.text
+      }))
+    );
+
+    // Cheap check before resolving speakers
+    if (!flatten(segments).some(sentence => terms.some(term => term.pattern.test(sentence.text)))) {
+      return [];
+    }
+
+    // Redacted text is searched too, so matches cannot reveal what was redacted
+    const redacted = await this.transcriptService.resolveCallData(call.id, call, segments, params.redact);
+    const speakerMap = redacted.speakerMap;
+    const sentences = flatten(redacted.transcripts);
+
+    // Terms matched by each eligible sentence
+    const sentenceTerms = new Map<number, SearchTerm[]>();
+    const termsFound = new Set<SearchTerm>();
+    sentences.forEach((sentence, index) => {
+      if (!this.matchesSpeakerFilter(this.resolveSpeaker(speakerMap, sentence.speakerId), params)) return;
+
+      const matched = terms.filter(term => term.pattern.test(sentence.text));
+      if (matched.length > 0) {
+        sentenceTerms.set(index, matched);
+        matched.forEach(term => termsFound.add(term));
+      }
+    });
+
+    // A call matches when all terms of at least one clause occur somewhere in it
+    const relevantTerms = new Set(
+      clauses.filter(clause => clause.every(term => termsFound.has(term))).flat()
+    );
+    if (relevantTerms.size === 0) {
+      return [];
+    }
+
+    const hits = Array.from(sentenceTerms.entries())
+      .map(([index, matched]) => ({ index, matched: matched.filter(term => relevantTerms.has(term)) }))
+      .filter(hit => hit.matched.length > 0);
+
+    // Calls that mention the query often rank slightly higher
+    const callBoost = Math.log1p(hits.length);
+
+    return hits.map(({ index, matched }) => {
+      const sentence = sentences[index];
+      const speaker = this.resolveSpeaker(speakerMap, sentence.speakerId);
+      const contextLine = (s: FlatSentence) => ({
+        speaker: this.resolveSpeaker(speakerMap, s.speakerId).name,
+        text: s.text
+      });
+
+      return {
+        callId: call.id,
+        title: redacted.call.title,
+        date: call.started,
+        speaker: {
+          name: speaker.name,
+          company: speaker.company
+        },
+        timestamp: formatMilliseconds(sentence.start),
+        text: sentence.text,
+        context: {
+          before: sentences.slice(Math.max(0, index - contextSentences), index).map(contextLine),
+          after: sentences.slice(index + 1, index + 1 + contextSentences).map(contextLine)
+        },
+        score: Math.round((matched.reduce((sum, term) => sum + term.weight, 0) + callBoost) * 100) / 100,
+        ...(redacted.errors && { errors: redacted.errors })
+      };
+    });
+  }
+
+  private resolveSpeaker(speakerMap: SpeakerMap, speakerId: string): GongSpeaker {
+    return speakerMap[speakerId] || {
+      id: speakerId,
+      name: `Speaker ${speakerId.substring(0, 8)}`,
+      company: 'Unknown'
+    };
+  }
+
+  /**
+   * Check the optional speaker name and company filters
+   */
+  private matchesSpeakerFilter(speaker: GongSpeaker, params: SearchTranscriptsParams): boolean {
+    if (params.speaker && !speaker.name.toLowerCase().includes(params.speaker.toLowerCase())) {
+      return false;
+    }
+
+    if (params.company) {
+      const company = params.company.toLowerCase();
+      const emailDomain = speaker.email?.toLowerCase().split('@')[1] || '';
+      if (!speaker.company?.toLowerCase().includes(company) && !emailDomain.includes(company)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
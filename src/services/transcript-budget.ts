@@ -0,0 +1,227 @@
+import { SpeakerMap, TranscriptOmission, TranscriptTrimStrategy } from '../models/types.js';
+import { formatMilliseconds } from '../utils/time.js';
+
+export type TranscriptDetail = 'concise' | 'full' | 'raw';
+
+export interface BudgetOptions {
+  maxTokens: number;
+  strategy?: TranscriptTrimStrategy;
+  // How the kept segments will be rendered, since that changes their size
+  detail?: TranscriptDetail;
+  // Tokens already spent on the call header and other fixed output
+  reservedTokens?: number;
+}
+
+export interface BudgetResult {
+  segments: any[];
+  omitted?: TranscriptOmission;
+}
+
+interface Unit {
+  index: number;
+  segment: any;
+  topic: string;
+  start: number;
+  end: number;
+  words: number;
+  tokens: number;
+  filler: boolean;
+  external: boolean;
+}
+
+// Rough size of the JSON around each exchange and each sentence, in tokens
+const EXCHANGE_OVERHEAD_TOKENS = 20;
+const SENTENCE_OVERHEAD_TOKENS = 20;
+// Keeps the omission report short when many small gaps are left
+const MAX_REPORTED_RANGES = 10;
+// Room left for the omission report itself once a transcript has to be trimmed
+const OMISSION_REPORT_TOKENS = 250;
+
+// Turns made up only of these words carry no content
+const FILLER_WORDS = new Set([
+  'ah', 'alright', 'cool', 'great', 'got', 'hmm', 'it', 'mhm', 'mm', 'mm-hmm', 'nice', 'oh', 'ok', 'okay',
+  'perfect', 'right', 'sure', 'thank', 'thanks', 'uh', 'uh-huh', 'um', 'yeah', 'yep', 'yes', 'yup', 'you'
+]);
+const MAX_FILLER_WORDS = 4;
+
+/**
+ * Estimate the number of tokens of a text (about four characters per token)
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+function segmentText(segment: any): string {
+  return (segment.sentences || []).map((sentence: any) => sentence.text || '').join(' ');
+}
+
+function isFiller(text: string): boolean {
+  const words = text.toLowerCase().replace(/[^\p{L}\s-]/gu, ' ').split(/\s+/).filter(Boolean);
+  return words.length <= MAX_FILLER_WORDS && words.every(word => FILLER_WORDS.has(word));
+}
+
+function estimateSegmentTokens(segment: any, text: string, detail: TranscriptDetail): number {
+  const sentences = (segment.sentences || []).length;
+  switch (detail) {
+    case 'full':
+      // The text appears both joined and per sentence
+      return estimateTokens(text) * 2 + sentences * SENTENCE_OVERHEAD_TOKENS + EXCHANGE_OVERHEAD_TOKENS;
+    case 'raw':
+      return estimateTokens(text) + sentences * SENTENCE_OVERHEAD_TOKENS + EXCHANGE_OVERHEAD_TOKENS;
+    default:
+      return estimateTokens(text) + EXCHANGE_OVERHEAD_TOKENS;
+  }
+}
+
+/**
+ * Order items so that any prefix of the result is spread evenly over the
+ * original order (middle first, then the middles of each half, and so on)
+ */
+function spreadOrder<T>(items: T[]): T[] {
+  const ordered: T[] = [];
+  const ranges: Array<[number, number]> = [[0, items.length]];
+  for (let i = 0; i < ranges.length; i++) {
+    const [start, end] = ranges[i];
+    if (start >= end) continue;
+    const middle = Math.floor((start + end) / 2);
+    ordered.push(items[middle]);
+    ranges.push([start, middle], [middle + 1, end]);
+  }
+  return ordered;
+}
+
+/**
+ * The most substantial turn of each topic
+ */
+function topicRepresentatives(units: Unit[]): Unit[] {
+  const best = new Map<string, Unit>();
+  units.forEach(unit => {
+    const current = best.get(unit.topic);
+    if (!current || unit.words > current.words) {
+      best.set(unit.topic, unit);
+    }
+  });
+  return Array.from(best.values()).sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Order turns by how much they should be kept under the given strategy
+ */
+function prioritize(units: Unit[], strategy: TranscriptTrimStrategy): Unit[] {
+  const content = units.filter(unit => !unit.filler);
+  const fillers = units.filter(unit => unit.filler);
+  const representatives = strategy === 'balanced' || strategy === 'topics' ? topicRepresentatives(content) : [];
+  const rest = content.filter(unit => !representatives.includes(unit));
+
+  let ordered: Unit[];
+  if (strategy === 'external' || strategy === 'balanced') {
+    ordered = [
+      ...spreadOrder(representatives),
+      ...spreadOrder(rest.filter(unit => unit.external)),
+      ...spreadOrder(rest.filter(unit => !unit.external))
+    ];
+  } else {
+    ordered = [...spreadOrder(representatives), ...spreadOrder(rest)];
+  }
+
+  // Filler turns only make it in when there is room to spare
+  return [...ordered, ...spreadOrder(fillers)];
+}
+
+/**
+ * Describe the omitted turns as time ranges, merging consecutive omitted turns
+ */
+function omittedRanges(units: Unit[], kept: Set<Unit>): TranscriptOmission['ranges'] {
+  const ranges: TranscriptOmission['ranges'] = [];
+  let current: TranscriptOmission['ranges'][number] | undefined = undefined;
+
+  for (const unit of units) {
+    if (kept.has(unit)) {
+      current = undefined;
+      continue;
+    }
+    if (!current) {
+      current = { timeRange: '', startTime: unit.start, endTime: unit.end, segments: 0 };
+      ranges.push(current);
+    }
+    current.endTime = Math.max(current.endTime, unit.end);
+    current.segments++;
+  }
+
+  return ranges
+    .sort((a, b) => b.segments - a.segments)
+    .slice(0, MAX_REPORTED_RANGES)
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(range => ({
+      ...range,
+      timeRange: `${formatMilliseconds(range.startTime)} - ${formatMilliseconds(range.endTime)}`
+    }));
+}
+
+/**
+ * Fit raw transcript segments into an estimated token budget, keeping the
+ * turns that matter most under the chosen strategy instead of cutting off the
+ * end of the call:
+ * - balanced: every topic at least once, then external speakers, then the rest, spread over the call
+ * - topics: every topic at least once, then the rest, spread over the call
+ * - external: external speakers first, then the rest, spread over the call
+ * - even: turns spread evenly over the call
+ * Filler turns ("yeah", "okay") are always dropped first. The kept segments
+ * stay in their original order.
+ */
+export function fitToTokenBudget(segments: any[], speakerMap: SpeakerMap, options: BudgetOptions): BudgetResult {
+  const strategy = options.strategy || 'balanced';
+  const detail = options.detail || 'concise';
+
+  const units: Unit[] = segments.map((segment: any, index: number) => {
+    const text = segmentText(segment);
+    const starts = (segment.sentences || []).map((sentence: any) => sentence.start);
+    const ends = (segment.sentences || []).map((sentence: any) => sentence.end ?? sentence.start);
+    return {
+      index,
+      segment,
+      topic: segment.topic || 'Untitled Topic',
+      start: starts.length > 0 ? Math.min(...starts) : 0,
+      end: ends.length > 0 ? Math.max(...ends) : 0,
+      words: text.split(/\s+/).filter(Boolean).length,
+      tokens: estimateSegmentTokens(segment, text, detail),
+      filler: isFiller(text),
+      external: speakerMap[segment.speakerId]?.affiliation === 'external'
+    };
+  });
+
+  const budget = Math.max(0, options.maxTokens - (options.reservedTokens || 0));
+  const totalTokens = units.reduce((sum, unit) => sum + unit.tokens, 0);
+  if (totalTokens <= budget) {
+    return { segments };
+  }
+
+  const available = Math.max(0, budget - OMISSION_REPORT_TOKENS);
+  const kept = new Set<Unit>();
+  let usedTokens = 0;
+  prioritize(units, strategy).forEach(unit => {
+    if (usedTokens + unit.tokens <= available) {
+      kept.add(unit);
+      usedTokens += unit.tokens;
+    }
+  });
+
+  const omittedUnits = units.filter(unit => !kept.has(unit));
+  const keptTopics = new Set(Array.from(kept).map(unit => unit.topic));
+
+  return {
+    segments: units.filter(unit => kept.has(unit)).map(unit => unit.segment),
+    omitted: {
+      strategy,
+      segments: omittedUnits.length,
+      totalSegments: units.length,
+      sentences: omittedUnits.reduce((sum, unit) => sum + (unit.segment.sentences || []).length, 0),
+      estimatedTokens: omittedUnits.reduce((sum, unit) => sum + unit.tokens, 0),
+      fillerTurns: omittedUnits.filter(unit => unit.filler).length,
+      topics: Array.from(new Set(omittedUnits.map(unit => unit.topic))).filter(topic => !keptTopics.has(topic)),
+      ranges: omittedRanges(units, kept),
+      hint: 'Raise maxTokens, fetch an omitted range with startTime/endTime (or a topic with topics), ' +
+        'or use export_transcript for the complete transcript.'
+    }
+  };
+}
@@ -0,0 +1,151 @@
+import { TranscriptDocument, TranscriptExportFormat } from '../models/types.js';
+import { formatCueTime } from '../utils/time.js';
+
+interface Cue {
+  start: number;
+  end: number;
+  speaker: string;
+  text: string;
+}
+
+// Used when a sentence has no end time and nothing follows it
+const DEFAULT_CUE_LENGTH_MS = 3000;
+
+/**
+ * Render a transcript in one of the export formats
+ */
+export function renderTranscript(document: TranscriptDocument, format: TranscriptExportFormat): string {
+  switch (format) {
+    case 'markdown':
+      return renderMarkdown(document);
+    case 'text':
+      return renderPlainText(document);
+    case 'srt':
+      return renderSrt(document);
+    case 'vtt':
+      return renderWebVtt(document);
+    case 'csv':
+      return renderCsv(document);
+    default:
+      throw new Error(`Unsupported transcript export format: ${format}`);
+  }
+}
+
+function speakerLabel(speaker: { name: string; company?: string }): string {
+  return speaker.company && speaker.company !== 'Unknown' ? `${speaker.name} (${speaker.company})` : speaker.name;
+}
+
+function firstTimestamp(segment: TranscriptDocument['segments'][number]): string {
+  return segment.sentences.length > 0 ? segment.sentences[0].timestamp : '0:00';
+}
+
+/**
+ * Readable Markdown with a heading per topic and a labelled paragraph per speaker turn
+ */
+function renderMarkdown(document: TranscriptDocument): string {
+  const { call } = document;
+  const lines: string[] = [`# ${call.title || 'Untitled Call'}`, ''];
+
+  if (call.date) lines.push(`- **Date:** ${call.date.split('T')[0]}`);
+  if (call.duration) lines.push(`- **Duration:** ${call.duration}`);
+  if (call.url) lines.push(`- **Gong link:** ${call.url}`);
+  if (call.participants.length > 0) {
+    lines.push(`- **Participants:** ${call.participants.map(speakerLabel).join(', ')}`);
+  }
+  lines.push('');
+
+  let currentTopic: string | undefined = undefined;
+  document.segments.forEach(segment => {
+    if (segment.topic && segment.topic !== currentTopic) {
+      currentTopic = segment.topic;
+      lines.push(`## ${segment.topic}`, '');
+    }
+
+    lines.push(`**${speakerLabel(segment.speaker)}** [${firstTimestamp(segment)}]`, '');
+    lines.push(segment.sentences.map(sentence => sentence.text).join(' '), '');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Plain text with one line per speaker turn
+ */
+function renderPlainText(document: TranscriptDocument): string {
+  const { call } = document;
+  const lines: string[] = [call.title || 'Untitled Call'];
+
+  if (call.date) lines.push(`Date: ${call.date.split('T')[0]}`);
+  if (call.duration) lines.push(`Duration: ${call.duration}`);
+  lines.push('');
+
+  document.segments.forEach(segment => {
+    const text = segment.sentences.map(sentence => sentence.text).join(' ');
+    lines.push(`[${firstTimestamp(segment)}] ${speakerLabel(segment.speaker)}: ${text}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * One cue per sentence. Sentences without an end time run until the next one starts.
+ */
+function buildCues(document: TranscriptDocument): Cue[] {
+  const sentences = document.segments.flatMap(segment =>
+    segment.sentences.map(sentence => ({ ...sentence, speaker: segment.speaker.name }))
+  );
+
+  return sentences.map((sentence, index) => {
+    const next = sentences[index + 1];
+    const end = sentence.end ?? (next ? next.start : sentence.start + DEFAULT_CUE_LENGTH_MS);
+    return {
+      start: sentence.start,
+      end: Math.max(end, sentence.start),
+      speaker: sentence.speaker,
+      text: sentence.text
+    };
+  });
+}
+
+function renderSrt(document: TranscriptDocument): string {
+  return buildCues(document)
+    .map((cue, index) => [
+      `${index + 1}`,
+      `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+      `${cue.speaker}: ${cue.text}`,
+      ''
+    ].join('\n'))
+    .join('\n');
+}
+
+function renderWebVtt(document: TranscriptDocument): string {
+  // WebVTT cue text must not contain the cue timing arrow and needs escaped markup characters
+  const escape = (text: string) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '->');
+  const cues = buildCues(document).map(cue => [
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+    `<v ${escape(cue.speaker)}>${escape(cue.text)}`,
+    ''
+  ].join('\n'));
+
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * One row per speaker turn
+ */
+function renderCsv(document: TranscriptDocument): string {
+  const quote = (value: string | undefined) => `"${(value || '').replace(/"/g, '""')}"`;
+  const rows = [['timestamp', 'speaker', 'company', 'topic', 'text'].join(',')];
+
+  document.segments.forEach(segment => {
+    rows.push([
+      quote(firstTimestamp(segment)),
+      quote(segment.speaker.name),
+      quote(segment.speaker.company),
+      quote(segment.topic),
+      quote(segment.sentences.map(sentence => sentence.text).join(' '))
+    ].join(','));
+  });
+
+  return rows.join('\r\n') + '\r\n';
+}
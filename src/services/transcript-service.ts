@@ -1,27 +1,99 @@
-import { GongApiClient } from '../api/client.js';
+import { GongApiClient, GongNotFoundError } from '../api/client.js';
 import { UserService } from './user-service.js';
+import { CacheOptions, EntityCache } from '../cache/entity-cache.js';
 import { 
+  BulkTranscriptFormat,
+  BulkTranscriptsResult,
+  CallOutline,
   FormattedTranscript,
   GongTranscriptSegment, 
-  SpeakerMap
+  PartialErrors,
+  SpeakerMap,
+  TranscriptDocument,
+  TranscriptExportFormat,
+  TranscriptFetchOptions,
+  TranscriptFormatOptions,
+  TranscriptInsights,
+  TranscriptSliceOptions
 } from '../models/types.js';
+import { formatMilliseconds, parseTimeWindow } from '../utils/time.js';
+import { renderTranscript } from './transcript-export.js';
+import { hasInsights, parseInsights } from './insights.js';
+import { estimateTokens, fitToTokenBudget } from './transcript-budget.js';
+import { CallRedaction, Redactor } from './redaction.js';
+
+// Below this share of a combined token budget a transcript is skipped rather than cut to almost nothing
+const MIN_TOKENS_PER_TRANSCRIPT = 200;
 
 export class TranscriptService {
   private apiClient: GongApiClient;
   private userService: UserService;
+  private cache: EntityCache;
+  private redactor: Redactor;
 
-  constructor(apiClient: GongApiClient, userService: UserService) {
+  constructor(
+    apiClient: GongApiClient,
+    userService: UserService,
+    cache: EntityCache = new EntityCache(),
+    redactor: Redactor = new Redactor()
+  ) {
     this.apiClient = apiClient;
     this.userService = userService;
+    this.cache = cache;
+    this.redactor = redactor;
   }
 
   /**
-   * Format milliseconds to human-readable time
+   * Redaction of a call, if the request asks for it or the server enforces it.
+   * External participants are looked up in both the call and the speaker map.
    */
-  private formatMilliseconds(ms: number): string {
-    const minutes = Math.floor(ms / 60000);
-    const seconds = Math.floor((ms % 60000) / 1000);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  public getRedaction(callId: string, call: any, speakerMap: SpeakerMap = {}, redact?: boolean): CallRedaction | undefined {
+    if (!this.redactor.isActive(redact)) {
+      return undefined;
+    }
+    return this.redactor.forCall(callId, [
+      ...(call?.participants || call?.parties || []),
+      ...Object.values(speakerMap)
+    ]);
+  }
+
+  /**
+   * Redact a call, its transcript and its speakers before they are formatted
+   */
+  public redactCallData(
+    callId: string,
+    call: any,
+    transcripts: any[],
+    speakerMap: SpeakerMap,
+    redact?: boolean
+  ): { call: any; transcripts: any[]; speakerMap: SpeakerMap } {
+    const redaction = this.getRedaction(callId, call, speakerMap, redact);
+    if (!redaction) {
+      return { call, transcripts, speakerMap };
+    }
+    return {
+      call: redaction.call(call),
+      transcripts: redaction.segments(transcripts),
+      speakerMap: redaction.speakerMap(speakerMap)
+    };
+  }
+
+  /**
+   * Resolve the speakers of a call, then redact the call data if requested.
+   * When speakers cannot be resolved they keep placeholder names and the
+   * failure is returned in errors.speakers rather than thrown.
+   */
+  public async resolveCallData(
+    callId: string,
+    rawCall: any,
+    rawTranscripts: any[],
+    redact?: boolean
+  ): Promise<{ call: any; transcripts: any[]; speakerMap: SpeakerMap; errors?: PartialErrors }> {
+    const { speakerMap, error } = await this.userService.resolveSpeakers(callId, rawCall, rawTranscripts);
+    return {
+      ...this.redactCallData(callId, rawCall, rawTranscripts, speakerMap, redact),
+      ...(error && { errors: { speakers: error } })
+    };
   }
 
   /**
@@ -45,23 +117,33 @@ export class TranscriptService {
       topic: segment.topic || '',
       sentences: segment.sentences.map((s: any) => ({
         start: s.start,
+        end: s.end,
         text: s.text,
-        timestamp: this.formatMilliseconds(s.start)
+        timestamp: formatMilliseconds(s.start)
       }))
     };
   }
 
+  /**
+   * Get raw call data, unless the caller already passed it in
+   */
+  public async getCallData(callId: string, options: TranscriptFetchOptions = {}): Promise<any> {
+    if (options.call) {
+      return options.call;
+    }
+    return this.cache.getOrFetch('calls', callId, async () => {
+      const callResponse = await this.apiClient.getCall(callId);
+      return callResponse.call;
+    }, options);
+  }
+
   /**
    * Get raw transcript data for a call
    */
-  public async getRawTranscript(callId: string): Promise<any> {
+  public async getRawTranscript(callId: string, options: CacheOptions = {}): Promise<any> {
     try {
-      const response = await this.apiClient.getTranscripts([callId]);
-      // The API returns callTranscripts array with transcript data
-      if (response.callTranscripts && response.callTranscripts.length > 0) {
-        return response.callTranscripts[0].transcript || [];
-      }
-      return [];
+      const transcripts = await this.getRawTranscripts([callId], 100, options);
+      return transcripts.get(callId) || [];
     } catch (error) {
       console.error(`Error getting raw transcript: ${error}`);
       throw error;
@@ -69,66 +151,197 @@ export class TranscriptService {
   }
 
   /**
-   * Get a formatted transcript for a call
+   * Get raw transcripts for many calls, using cached transcripts where possible
+   * and fetching the rest in batches. Calls without a transcript are missing from
+   * the returned map.
+   */
+  public async getRawTranscripts(
+    callIds: string[],
+    batchSize: number = 100,
+    options: CacheOptions = {}
+  ): Promise<Map<string, any[]>> {
+    const transcripts = new Map<string, any[]>();
+
+    const missingIds: string[] = [];
+    for (const callId of callIds) {
+      const cached = options.bypassCache ? undefined : await this.cache.get<any[]>('transcripts', callId);
+      if (cached) {
+        transcripts.set(callId, cached);
+      } else {
+        missingIds.push(callId);
+      }
+    }
+
+    const fetched = await this.fetchTranscripts(missingIds, batchSize);
+    fetched.forEach((entry, callId) => transcripts.set(callId, entry.transcript));
+
+    return transcripts;
+  }
+
+  /**
+   * Fetch transcripts from Gong in batches, caching each transcript together
+   * with the trackers, entities and interaction summary returned alongside it
+   */
+  private async fetchTranscripts(
+    callIds: string[],
+    batchSize: number
+  ): Promise<Map<string, { transcript: any[]; insights: TranscriptInsights }>> {
+    const fetched = new Map<string, { transcript: any[]; insights: TranscriptInsights }>();
+
+    for (let i = 0; i < callIds.length; i += batchSize) {
+      let response: any;
+      try {
+        response = await this.apiClient.getTranscripts(callIds.slice(i, i + batchSize));
+      } catch (error) {
+        // Gong answers 404 when none of the calls has a transcript
+        if (error instanceof GongNotFoundError) continue;
+        throw error;
+      }
+
+      (response.callTranscripts || []).forEach((callTranscript: any) => {
+        if (callTranscript.transcript && callTranscript.transcript.length > 0) {
+          fetched.set(callTranscript.callId, {
+            transcript: callTranscript.transcript,
+            insights: parseInsights(callTranscript)
+          });
+        }
+      });
+    }
+
+    // Only transcripts that exist are cached, since a call may still be processing.
+    // Empty insights are left to getTranscriptInsights, which asks the extensive endpoint.
+    for (const [callId, entry] of fetched) {
+      await this.cache.set('transcripts', callId, entry.transcript);
+      if (hasInsights(entry.insights)) {
+        await this.cache.set('transcripts', `${callId}:insights`, entry.insights);
+      }
+    }
+
+    return fetched;
+  }
+
+  /**
+   * Get the trackers, entities and interaction summary of a call. They are
+   * cached whenever the transcript is fetched; otherwise they come from the
+   * extensive call endpoint, which is much cheaper than downloading the transcript.
+   */
+  public async getTranscriptInsights(callId: string, options: CacheOptions = {}): Promise<TranscriptInsights> {
+    try {
+      const cacheKey = `${callId}:insights`;
+      if (!options.bypassCache) {
+        const cached = await this.cache.get<TranscriptInsights>('transcripts', cacheKey);
+        if (cached) return cached;
+      }
+
+      const page = await this.apiClient.getCallsExtensivePage(
+        { callIds: [callId] },
+        {
+          content: { trackers: true, trackerOccurrences: true },
+          interaction: { interactionStats: true }
+        },
+        { maxItems: 1 }
+      );
+      const insights = page.items.length > 0
+        ? parseInsights(page.items[0])
+        : { trackers: [], entities: [], interactionStats: [] };
+      if (page.items.length > 0) {
+        await this.cache.set('transcripts', cacheKey, insights);
+      }
+
+      return insights;
+    } catch (error) {
+      console.error(`Error getting transcript insights: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a formatted transcript for a call. With options.maxTokens the transcript
+   * is trimmed to fit an estimated token budget and reports what was omitted.
    */
   public async getFormattedTranscript(
     callId: string, 
     format: 'concise' | 'full' | 'raw' = 'concise',
     maxSegments: number = 0,
-    maxSentences: number = 0
+    maxSentences: number = 0,
+    options: TranscriptFormatOptions = {}
   ): Promise<FormattedTranscript | any> {
     try {
-      // Get call details
-      const callResponse = await this.apiClient.getCall(callId);
-      const call = callResponse.call;
+      // Get call details unless the caller already has them
+      const rawCall = await this.getCallData(callId, options);
       
-      // Get transcript
-      const transcriptResponse = await this.apiClient.getTranscripts([callId]);
-      // The API returns callTranscripts array with transcript data
-      let transcripts = [];
-      if (transcriptResponse.callTranscripts && transcriptResponse.callTranscripts.length > 0) {
-        transcripts = transcriptResponse.callTranscripts[0].transcript || [];
-      }
+      // Get transcript unless the caller already has it
+      const rawTranscripts = options.transcript || await this.getRawTranscript(callId, options);
       
-      // Get speaker map
-      const speakerMap = await this.userService.getSpeakerMap(callId, call);
+      // Get speaker map from the data we already have, then redact everything if requested
+      const { call, transcripts, speakerMap, errors } = await this.resolveCallData(
+        callId,
+        rawCall,
+        rawTranscripts,
+        options.redact
+      );
       
       // If raw format is requested, return the processed data directly
       if (format === 'raw') {
+        const callHeader = {
+          id: call.id,
+          title: call.title,
+          date: this.formatCallDate(call),
+          duration: formatMilliseconds(call.duration * 1000)
+        };
+        const { segments, omitted } = this.applyTokenBudget(
+          this.sliceSegments(transcripts, options), speakerMap, format, callHeader, options
+        );
         return {
-          call: {
-            id: call.id,
-            title: call.title,
-            date: new Date(call.startTime || call.scheduled || '').toISOString(),
-            duration: this.formatMilliseconds(call.duration * 1000)
-          },
-          transcript: transcripts.map((segment: any) => this.processSegment(segment, speakerMap))
+          call: callHeader,
+          speakers: Object.values(speakerMap),
+          transcript: segments.map((segment: any) => this.processSegment(segment, speakerMap)),
+          omitted,
+          errors
         };
       }
       
+      const full = format === 'full';
+
       // Create the formatted transcript
       const formattedTranscript: FormattedTranscript = {
         call: {
           id: call.id,
           title: call.title,
-          date: new Date(call.startTime || call.scheduled || '').toISOString().split('T')[0],
+          date: this.formatCallDate(call)?.split('T')[0],
           duration: call.duration ? `${Math.floor(call.duration / 60)}m ${call.duration % 60}s` : undefined,
-          participants: call.participants?.map((p: any) => ({
-            name: p.name || `${p.firstName || ''} ${p.lastName || ''}`.trim() || 'Unknown',
-            company: p.company || 'Unknown',
-            role: p.role || 'Unknown'
-          }))
+          participants: this.formatParticipants(call)
         },
-        sections: []
+        sections: [],
+        ...(errors && { errors })
       };
+
+      // The full format keeps all call metadata
+      if (full) {
+        Object.assign(formattedTranscript.call, {
+          started: this.formatCallDate(call),
+          durationSeconds: call.duration,
+          url: call.url,
+          direction: call.direction,
+          scope: call.scope,
+          system: call.system,
+          media: call.media,
+          language: call.language
+        });
+      }
       
-      // Process transcript segments
-      let segments = transcripts;
+      // Process transcript segments in the requested time window and topics
+      let segments = this.sliceSegments(transcripts, options);
       
       // Apply limits if specified
       if (maxSegments > 0 && segments.length > maxSegments) {
         segments = segments.slice(0, maxSegments);
       }
+
+      // Fit the rest into the token budget
+      const budgeted = this.applyTokenBudget(segments, speakerMap, format, formattedTranscript.call, options);
+      segments = budgeted.segments;
+      formattedTranscript.omitted = budgeted.omitted;
       
       // Group by topic
       const topicGroups: { [key: string]: any[] } = {};
@@ -142,6 +355,7 @@ export class TranscriptService {
       });
       
       // Create sections for each topic
+      const sectionStarts = new Map<FormattedTranscript['sections'][number], number>();
       Object.entries(topicGroups).forEach(([topic, topicSegments]) => {
         // Get time range for this topic
         const firstStart = Math.min(...topicSegments.flatMap((s: any) => 
@@ -151,14 +365,20 @@ export class TranscriptService {
           s.sentences.map((sen: any) => sen.start)
         ));
         
-        const timeRange = `${this.formatMilliseconds(firstStart)} - ${this.formatMilliseconds(lastStart)}`;
+        const timeRange = `${formatMilliseconds(firstStart)} - ${formatMilliseconds(lastStart)}`;
         
         // Group exchanges by speaker
-        const section = {
+        const section: FormattedTranscript['sections'][number] = {
           topic,
           timeRange,
-          exchanges: [] as any[]
+          exchanges: []
         };
+        if (full) {
+          section.startTime = firstStart;
+          section.endTime = Math.max(...topicSegments.flatMap((s: any) =>
+            s.sentences.map((sen: any) => sen.end ?? sen.start)
+          ));
+        }
         
         // Process segments into exchanges
         topicSegments.forEach((segment: any) => {
@@ -172,24 +392,35 @@ export class TranscriptService {
           }
           
           // Create a single exchange with all sentences from this speaker
-          const exchange = {
+          const exchange: FormattedTranscript['sections'][number]['exchanges'][number] = {
             speaker,
             text: sentences.map((s: any) => s.text).join(' '),
             timestamp: sentences.length > 0 ? sentences[0].timestamp : undefined
           };
+
+          // The full format keeps sentence-level timing
+          if (full) {
+            exchange.speakerId = processedSegment.speakerId;
+            exchange.startTime = sentences.length > 0 ? sentences[0].start : undefined;
+            exchange.endTime = sentences.length > 0
+              ? sentences[sentences.length - 1].end ?? sentences[sentences.length - 1].start
+              : undefined;
+            exchange.sentences = sentences;
+          }
           
           section.exchanges.push(exchange);
         });
         
         formattedTranscript.sections.push(section);
+        sectionStarts.set(section, firstStart);
       });
       
       // Sort sections by time
-      formattedTranscript.sections.sort((a, b) => {
-        const aStart = a.timeRange?.split(' - ')[0] || '';
-        const bStart = b.timeRange?.split(' - ')[0] || '';
-        return aStart.localeCompare(bStart);
-      });
+      formattedTranscript.sections.sort((a, b) => sectionStarts.get(a)! - sectionStarts.get(b)!);
+
+      if (full) {
+        formattedTranscript.speakers = Object.values(speakerMap);
+      }
       
       return formattedTranscript;
     } catch (error) {
@@ -197,4 +428,316 @@ export class TranscriptService {
       throw error;
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Get the transcripts of many calls at once in any of the JSON or export
+   * formats. Transcripts and call data are fetched in batches and speakers are
+   * resolved against a single load of the user directory. options.maxTokens is
+   * shared by all transcripts: each call gets an even share of what is left.
+   */
+  public async getTranscripts(
+    callIds: string[],
+    format: BulkTranscriptFormat = 'concise',
+    options: TranscriptFormatOptions = {}
+  ): Promise<BulkTranscriptsResult> {
+    try {
+      const uniqueIds = Array.from(new Set(callIds));
+      const transcripts = await this.getRawTranscripts(uniqueIds, 100, options);
+      const withTranscript = uniqueIds.filter(callId => transcripts.has(callId));
+      const calls = await this.getCallsData(withTranscript, options);
+
+      // Load the user directory once for all speaker maps. If that fails, each
+      // transcript still comes back with placeholder speakers and reports why.
+      await this.userService.getAllUsers().catch(error =>
+        console.error(`Could not load the user directory: ${error}`)
+      );
+
+      const result: BulkTranscriptsResult = {
+        format,
+        transcripts: [],
+        withoutTranscript: uniqueIds.filter(callId => !transcripts.has(callId)),
+        skippedForBudget: [],
+        estimatedTokens: 0
+      };
+
+      for (let i = 0; i < withTranscript.length; i++) {
+        const callId = withTranscript[i];
+        let maxTokens: number | undefined = undefined;
+        if (options.maxTokens && options.maxTokens > 0) {
+          maxTokens = Math.floor((options.maxTokens - result.estimatedTokens) / (withTranscript.length - i));
+          if (maxTokens < MIN_TOKENS_PER_TRANSCRIPT) {
+            result.skippedForBudget.push(...withTranscript.slice(i));
+            break;
+          }
+        }
+
+        const callOptions: TranscriptFormatOptions = {
+          ...options,
+          call: calls.get(callId),
+          transcript: transcripts.get(callId),
+          maxTokens
+        };
+
+        let transcript: any;
+        let omitted: BulkTranscriptsResult['transcripts'][number]['omitted'] = undefined;
+        let errors: BulkTranscriptsResult['transcripts'][number]['errors'] = undefined;
+        let estimatedTokens: number;
+        if (format === 'concise' || format === 'full' || format === 'raw') {
+          transcript = await this.getFormattedTranscript(callId, format, 0, 0, callOptions);
+          estimatedTokens = estimateTokens(JSON.stringify(transcript));
+        } else {
+          const document = await this.getTranscriptDocument(callId, callOptions);
+          transcript = renderTranscript(document, format);
+          omitted = document.omitted;
+          errors = document.errors;
+          estimatedTokens = estimateTokens(transcript);
+        }
+
+        const call = calls.get(callId) || {};
+        result.transcripts.push({
+          callId,
+          title: this.getRedaction(callId, call, {}, options.redact)?.text(call.title) ?? call.title,
+          date: this.formatCallDate(call),
+          estimatedTokens,
+          transcript,
+          omitted,
+          ...(errors && { errors })
+        });
+        result.estimatedTokens += estimatedTokens;
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Error getting transcripts: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get raw call data for many calls, fetching the uncached ones in one
+   * request to the extensive call endpoint
+   */
+  private async getCallsData(callIds: string[], options: CacheOptions = {}): Promise<Map<string, any>> {
+    const calls = new Map<string, any>();
+
+    const missingIds: string[] = [];
+    for (const callId of callIds) {
+      const cached = options.bypassCache ? undefined : await this.cache.get<any>('calls', callId);
+      if (cached) {
+        calls.set(callId, cached);
+      } else {
+        missingIds.push(callId);
+      }
+    }
+
+    if (missingIds.length > 0) {
+      const page = await this.apiClient.getCallsExtensivePage(
+        { callIds: missingIds },
+        { parties: true },
+        { maxItems: missingIds.length }
+      );
+      for (const extensiveCall of page.items) {
+        // Same shape as a call from /v2/calls/{id}, with the parties as participants
+        const call = {
+          ...extensiveCall.metaData,
+          participants: (extensiveCall.parties || []).map((party: any) => ({
+            ...party,
+            email: party.email || party.emailAddress
+          }))
+        };
+        calls.set(call.id, call);
+        await this.cache.set('calls', call.id, call);
+      }
+    }
+
+    return calls;
+  }
+
+  /**
+   * Get the topics of a call with their time ranges and speakers, without the transcript text
+   */
+  public async getCallOutline(callId: string, options: TranscriptFetchOptions = {}): Promise<CallOutline> {
+    try {
+      const rawCall = await this.getCallData(callId, options);
+      const rawTranscripts = await this.getRawTranscript(callId, options);
+      const { call, transcripts, speakerMap, errors } = await this.resolveCallData(
+        callId,
+        rawCall,
+        rawTranscripts,
+        options.redact
+      );
+
+      const topics = new Map<string, CallOutline['topics'][number] & { speakerTurns: Map<string, number> }>();
+      transcripts.forEach((segment: any) => {
+        const sentences = segment.sentences || [];
+        if (sentences.length === 0) return;
+
+        const name = segment.topic || 'Untitled Topic';
+        const start = Math.min(...sentences.map((sentence: any) => sentence.start));
+        const end = Math.max(...sentences.map((sentence: any) => sentence.end ?? sentence.start));
+
+        let topic = topics.get(name);
+        if (!topic) {
+          topic = {
+            topic: name,
+            timeRange: '',
+            startTime: start,
+            endTime: end,
+            segments: 0,
+            sentences: 0,
+            speakerCount: 0,
+            speakers: [],
+            speakerTurns: new Map()
+          };
+          topics.set(name, topic);
+        }
+        topic.startTime = Math.min(topic.startTime, start);
+        topic.endTime = Math.max(topic.endTime, end);
+        topic.segments++;
+        topic.sentences += sentences.length;
+        topic.speakerTurns.set(segment.speakerId, (topic.speakerTurns.get(segment.speakerId) || 0) + 1);
+      });
+
+      return {
+        call: {
+          id: call.id,
+          title: call.title,
+          date: this.formatCallDate(call),
+          durationSeconds: call.duration
+        },
+        topics: Array.from(topics.values())
+          .sort((a, b) => a.startTime - b.startTime)
+          .map(({ speakerTurns, ...topic }) => ({
+            ...topic,
+            timeRange: `${formatMilliseconds(topic.startTime)} - ${formatMilliseconds(topic.endTime)}`,
+            speakerCount: speakerTurns.size,
+            speakers: Array.from(speakerTurns.entries())
+              .map(([speakerId, turns]) => ({
+                name: speakerMap[speakerId]?.name || `Speaker ${speakerId.substring(0, 8)}`,
+                company: speakerMap[speakerId]?.company,
+                turns
+              }))
+              .sort((a, b) => b.turns - a.turns)
+          })),
+        ...(errors && { errors })
+      };
+    } catch (error) {
+      console.error(`Error getting call outline: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep only the sentences in the requested time window and the segments of
+   * the requested topics. Segments left without sentences are dropped.
+   */
+  private sliceSegments(segments: any[], options: TranscriptSliceOptions): any[] {
+    const { startTime, endTime } = parseTimeWindow(options.startTime, options.endTime);
+    const topics = (options.topics || []).map(topic => topic.trim().toLowerCase()).filter(Boolean);
+    if (startTime === undefined && endTime === undefined && topics.length === 0) {
+      return segments;
+    }
+
+    return segments
+      .filter((segment: any) => {
+        if (topics.length === 0) return true;
+        const topic = (segment.topic || '').toLowerCase();
+        return topics.some(wanted => topic.includes(wanted));
+      })
+      .map((segment: any) => ({
+        ...segment,
+        sentences: (segment.sentences || []).filter((sentence: any) =>
+          (startTime === undefined || sentence.start >= startTime) &&
+          (endTime === undefined || sentence.start <= endTime)
+        )
+      }))
+      .filter((segment: any) => segment.sentences.length > 0);
+  }
+
+  /**
+   * Trim segments to the token budget in the options, if there is one
+   */
+  private applyTokenBudget(
+    segments: any[],
+    speakerMap: SpeakerMap,
+    format: 'concise' | 'full' | 'raw',
+    header: object,
+    options: TranscriptFormatOptions
+  ): { segments: any[]; omitted?: FormattedTranscript['omitted'] } {
+    if (!options.maxTokens || options.maxTokens <= 0) {
+      return { segments };
+    }
+    return fitToTokenBudget(segments, speakerMap, {
+      maxTokens: options.maxTokens,
+      strategy: options.trimStrategy,
+      detail: format,
+      reservedTokens: estimateTokens(JSON.stringify(header))
+    });
+  }
+
+  /**
+   * Get a transcript with resolved speakers and exact timing, ready for export
+   */
+  public async getTranscriptDocument(callId: string, options: TranscriptFormatOptions = {}): Promise<TranscriptDocument> {
+    try {
+      const rawCall = await this.getCallData(callId, options);
+      const rawTranscripts = options.transcript || await this.getRawTranscript(callId, options);
+      const { call, transcripts, speakerMap, errors } = await this.resolveCallData(
+        callId,
+        rawCall,
+        rawTranscripts,
+        options.redact
+      );
+
+      const header = { id: call.id, title: call.title, participants: this.formatParticipants(call) };
+      const { segments, omitted } = this.applyTokenBudget(
+        this.sliceSegments(transcripts, options), speakerMap, 'concise', header, options
+      );
+
+      return {
+        call: {
+          id: call.id,
+          title: call.title,
+          date: this.formatCallDate(call),
+          duration: call.duration ? `${Math.floor(call.duration / 60)}m ${call.duration % 60}s` : undefined,
+          url: call.url,
+          participants: this.formatParticipants(call) || []
+        },
+        segments: segments.map((segment: any) => this.processSegment(segment, speakerMap)),
+        omitted,
+        ...(errors && { errors })
+      };
+    } catch (error) {
+      console.error(`Error getting transcript document: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Export a transcript as Markdown, plain text, SRT, WebVTT or CSV
+   */
+  public async exportTranscript(
+    callId: string,
+    format: TranscriptExportFormat,
+    options: TranscriptFormatOptions = {}
+  ): Promise<string> {
+    const document = await this.getTranscriptDocument(callId, options);
+    return renderTranscript(document, format);
+  }
+
+  /**
+   * Get the call start as an ISO string, if the call has a valid date
+   */
+  private formatCallDate(call: any): string | undefined {
+    const date = new Date(call.started || call.startTime || call.scheduled || '');
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+
+  private formatParticipants(call: any): FormattedTranscript['call']['participants'] {
+    return call.participants?.map((p: any) => ({
+      name: p.name || `${p.firstName || ''} ${p.lastName || ''}`.trim() || 'Unknown',
+      company: p.company || 'Unknown',
+      role: p.role || 'Unknown'
+    }));
+  }
+}
@@ -0,0 +1,237 @@
+import { GongUser, UserMatchType } from '../models/types.js';
+
+// Groups of names that stand for the same person; a query for one matches all of them
+const NICKNAME_GROUPS: string[][] = [
+  ['robert', 'rob', 'robby', 'bob', 'bobby', 'bert'],
+  ['william', 'will', 'bill', 'billy', 'liam'],
+  ['james', 'jim', 'jimmy', 'jamie'],
+  ['john', 'jon', 'johnny', 'jack'],
+  ['jonathan', 'jon', 'jonny'],
+  ['michael', 'mike', 'mikey', 'mick'],
+  ['david', 'dave', 'davey'],
+  ['daniel', 'dan', 'danny'],
+  ['thomas', 'tom', 'tommy'],
+  ['joseph', 'joe', 'joey'],
+  ['christopher', 'chris', 'kit'],
+  ['christine', 'christina', 'chris', 'tina'],
+  ['katherine', 'catherine', 'kathryn', 'kate', 'katie', 'kathy', 'cathy', 'kat'],
+  ['elizabeth', 'liz', 'lizzie', 'beth', 'betty', 'eliza', 'libby'],
+  ['alexander', 'alex', 'alec', 'sasha'],
+  ['alexandra', 'alex', 'alexa', 'sasha'],
+  ['samuel', 'sam', 'sammy'],
+  ['samantha', 'sam', 'sammy'],
+  ['benjamin', 'ben', 'benny'],
+  ['nicholas', 'nick', 'nicky'],
+  ['matthew', 'matt'],
+  ['anthony', 'tony'],
+  ['steven', 'stephen', 'steve'],
+  ['richard', 'rich', 'rick', 'ricky', 'dick'],
+  ['edward', 'ed', 'eddie', 'ted'],
+  ['andrew', 'andy', 'drew'],
+  ['jennifer', 'jen', 'jenny'],
+  ['margaret', 'maggie', 'meg', 'peggy'],
+  ['susan', 'sue', 'susie'],
+  ['patrick', 'pat', 'paddy'],
+  ['patricia', 'pat', 'patty', 'trish'],
+  ['gregory', 'greg'],
+  ['jeffrey', 'geoffrey', 'jeff', 'geoff'],
+  ['ronald', 'ron', 'ronnie'],
+  ['donald', 'don', 'donny'],
+  ['lawrence', 'laurence', 'larry'],
+  ['charles', 'charlie', 'chuck'],
+  ['henry', 'harry', 'hank'],
+  ['abigail', 'abby'],
+  ['rebecca', 'becky', 'becca'],
+  ['victoria', 'vicky', 'tori'],
+  ['nathan', 'nathaniel', 'nate'],
+  ['zachary', 'zach', 'zack'],
+  ['joshua', 'josh'],
+  ['jacob', 'jake'],
+  ['timothy', 'tim'],
+  ['kenneth', 'ken', 'kenny'],
+  ['frederick', 'fred', 'freddie'],
+  ['deborah', 'debra', 'deb', 'debbie'],
+  ['pamela', 'pam'],
+  ['kimberly', 'kim'],
+  ['jessica', 'jess', 'jessie'],
+  ['gabriel', 'gabe'],
+  ['gabrielle', 'gabby'],
+  ['vincent', 'vince'],
+  ['raymond', 'ray'],
+  ['philip', 'phillip', 'phil'],
+  ['peter', 'pete'],
+  ['douglas', 'doug'],
+  ['leonard', 'leo', 'len', 'lenny'],
+  ['francis', 'frank', 'frankie'],
+  ['francesca', 'fran', 'frankie']
+];
+
+const NICKNAMES: Map<string, Set<string>> = new Map();
+NICKNAME_GROUPS.forEach(group => {
+  group.forEach(name => {
+    const equivalents = NICKNAMES.get(name) || new Set<string>();
+    group.forEach(other => equivalents.add(other));
+    NICKNAMES.set(name, equivalents);
+  });
+});
+
+// Score bands, so that every exact match ranks above every prefix match and so on
+const SCORES = {
+  exact: 100,
+  emailLocalPart: 95,
+  // Whole words ("Jo" for Jo Smith) before parts of words ("Jo" for John Smith)
+  wordPrefix: 90,
+  prefix: 85,
+  token: { min: 50, max: 70 },
+  fuzzy: { min: 10, max: 40 }
+};
+
+// How well a query token matched a name token, for the token band
+const TOKEN_QUALITY = { exact: 1, nickname: 0.9, prefix: 0.7 };
+
+export interface UserScore {
+  score: number;
+  match: UserMatchType;
+}
+
+/**
+ * Lowercase, strip diacritics ("José" → "jose") and turn punctuation into spaces
+ */
+export function normalizeName(text: string): string {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein distance with adjacent transpositions, giving up above `max`
+ */
+export function editDistance(a: string, b: string, max: number = Infinity): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed in a token of this length
+function allowedTypos(length: number): number {
+  return length <= 3 ? 0 : length <= 6 ? 1 : 2;
+}
+
+/**
+ * How well a query token matches one name token, if at all
+ */
+function tokenQuality(queryToken: string, nameToken: string): number {
+  if (queryToken === nameToken) return TOKEN_QUALITY.exact;
+  if (NICKNAMES.get(queryToken)?.has(nameToken)) return TOKEN_QUALITY.nickname;
+  if (nameToken.startsWith(queryToken)) return TOKEN_QUALITY.prefix;
+  return 0;
+}
+
+/**
+ * Score a user against a name query: exact > prefix > token > edit distance.
+ * The email's local part counts as a name too, so "jsmith" finds jsmith@acme.com.
+ */
+export function scoreUserName(user: GongUser, query: string): UserScore | undefined {
+  const normalizedQuery = normalizeName(query);
+  const queryTokens = normalizedQuery.split(' ').filter(Boolean);
+  if (queryTokens.length === 0) return undefined;
+
+  const fullName = normalizeName(`${user.firstName || ''} ${user.lastName || ''}`);
+  const localPart = normalizeName((user.emailAddress || '').split('@')[0]);
+  const nameTokens = fullName.split(' ').filter(Boolean);
+  const candidates = Array.from(new Set([...nameTokens, ...localPart.split(' ').filter(Boolean)]));
+
+  if (fullName && fullName === normalizedQuery) {
+    return { score: SCORES.exact, match: 'exact' };
+  }
+  if (localPart && (localPart === normalizedQuery || localPart.replace(/ /g, '') === normalizedQuery.replace(/ /g, ''))) {
+    return { score: SCORES.emailLocalPart, match: 'exact' };
+  }
+  if (fullName.startsWith(`${normalizedQuery} `)) {
+    return { score: SCORES.wordPrefix, match: 'prefix' };
+  }
+  if (fullName.startsWith(normalizedQuery) || (localPart && localPart.startsWith(normalizedQuery))) {
+    return { score: SCORES.prefix, match: 'prefix' };
+  }
+
+  // Every query token must match a different token of the name, in any order
+  const used = new Set<string>();
+  const qualities = queryTokens.map(queryToken => {
+    let best = 0;
+    let bestToken = '';
+    for (const token of candidates) {
+      const quality = used.has(token) ? 0 : tokenQuality(queryToken, token);
+      if (quality > best) {
+        best = quality;
+        bestToken = token;
+      }
+    }
+    used.add(bestToken);
+    return best;
+  });
+  if (qualities.every(quality => quality > 0)) {
+    const average = qualities.reduce((sum, quality) => sum + quality, 0) / qualities.length;
+    return { score: Math.round(SCORES.token.min + (SCORES.token.max - SCORES.token.min) * average), match: 'token' };
+  }
+
+  // Typos: every query token is within a few edits of a name token
+  let typos = 0;
+  let length = 0;
+  for (const queryToken of queryTokens) {
+    const max = allowedTypos(queryToken.length);
+    const distance = Math.min(...candidates.map(token => editDistance(queryToken, token, max)), max + 1);
+    if (distance > max) return undefined;
+    typos += distance;
+    length += queryToken.length;
+  }
+  const similarity = 1 - typos / Math.max(length, 1);
+  return { score: Math.round(SCORES.fuzzy.min + (SCORES.fuzzy.max - SCORES.fuzzy.min) * similarity), match: 'fuzzy' };
+}
+
+/**
+ * Score a user against an email query: the whole address, then its start,
+ * then anywhere in it, then the local part with typos
+ */
+export function scoreUserEmail(user: GongUser, query: string): UserScore | undefined {
+  const email = (user.emailAddress || '').toLowerCase();
+  const wanted = query.trim().toLowerCase();
+  if (!email || !wanted) return undefined;
+
+  if (email === wanted) return { score: SCORES.exact, match: 'exact' };
+  if (email.startsWith(wanted)) return { score: SCORES.prefix, match: 'prefix' };
+  if (email.includes(wanted)) return { score: SCORES.token.min, match: 'token' };
+
+  const localPart = email.split('@')[0];
+  const wantedLocal = wanted.split('@')[0];
+  const max = allowedTypos(wantedLocal.length);
+  const distance = editDistance(wantedLocal, localPart, max);
+  if (distance > max) return undefined;
+  const similarity = 1 - distance / Math.max(wantedLocal.length, 1);
+  return { score: Math.round(SCORES.fuzzy.min + (SCORES.fuzzy.max - SCORES.fuzzy.min) * similarity), match: 'fuzzy' };
+}
+
+/**
+ * Whether a user's title contains the given text, ignoring case and diacritics
+ */
+export function matchesTitle(user: GongUser, title: string): boolean {
+  return normalizeName(user.title || '').includes(normalizeName(title));
+}
@@ -1,14 +1,42 @@
-import { GongApiClient } from '../api/client.js';
-import { GongUser, SpeakerMap } from '../models/types.js';
+import { GongApiClient, GongNotFoundError, describeError } from '../api/client.js';
+import { EntityCache } from '../cache/entity-cache.js';
+import {
+  FindUserParams,
+  GongSpeaker,
+  GongUser,
+  SpeakerAffiliation,
+  SpeakerMap,
+  SpeakerResolution,
+  Team,
+  TeamMember,
+  TeamOptions,
+  UserMatch,
+  UserProfile,
+  UserSummary
+} from '../models/types.js';
+import { companyFromDomain, emailDomain, isPersonalEmailDomain } from '../utils/email.js';
+import { UserScore, matchesTitle, scoreUserEmail, scoreUserName } from './user-search.js';
+
+// Number of users find_users returns unless told otherwise
+export const DEFAULT_FIND_USERS_LIMIT = 10;
+
+export interface UserServiceOptions {
+  // Workspace of user searches that do not name one
+  defaultWorkspaceId?: string;
+}
 
 export class UserService {
   private apiClient: GongApiClient;
+  private cache: EntityCache;
+  private defaultWorkspaceId?: string;
+  // Lookup index over the most recently loaded company-wide user directory
   private userCache: Map<string, GongUser> = new Map();
-  private lastCacheUpdate: number = 0;
-  private cacheExpiryMs: number = 1000 * 60 * 60; // 1 hour
+  private indexedUsers: GongUser[] | undefined = undefined;
 
-  constructor(apiClient: GongApiClient) {
+  constructor(apiClient: GongApiClient, cache: EntityCache = new EntityCache(), options: UserServiceOptions = {}) {
     this.apiClient = apiClient;
+    this.cache = cache;
+    this.defaultWorkspaceId = options.defaultWorkspaceId;
   }
 
   /**
@@ -22,192 +50,393 @@ export class UserService {
       emailAddress: user.emailAddress || user.email || '',
       title: user.title || user.role || '',
       active: user.active !== false,
-      created: user.created || ''
+      created: user.created || '',
+      managerId: user.managerId ? String(user.managerId) : undefined,
+      emailAliases: user.emailAliases?.length ? user.emailAliases : undefined,
+      trustedEmailAddress: user.trustedEmailAddress || undefined,
+      phoneNumber: user.phoneNumber || undefined,
+      extension: user.extension || undefined,
+      timezone: user.timezone || user.timeZone || undefined,
+      personalMeetingUrls: user.personalMeetingUrls?.length ? user.personalMeetingUrls : undefined,
+      meetingConsentPageUrl: user.meetingConsentPageUrl || undefined,
+      spokenLanguages: user.spokenLanguages?.length ? user.spokenLanguages : undefined,
+      settings: user.settings || undefined
+    };
+  }
+
+  private summarizeUser(user: GongUser): UserSummary {
+    return {
+      id: user.id,
+      name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.emailAddress || `User ${user.id}`,
+      emailAddress: user.emailAddress || undefined,
+      title: user.title || undefined,
+      active: user.active
     };
   }
 
   /**
-   * Get all users with proper pagination
+   * Look up a user in the company-wide directory, which the org chart needs
+   * as managers can be in other workspaces
    */
-  public async getAllUsers(forceRefresh: boolean = false): Promise<GongUser[]> {
-    // Check if we have a valid cache
-    const now = Date.now();
-    if (!forceRefresh && this.userCache.size > 0 && (now - this.lastCacheUpdate) < this.cacheExpiryMs) {
-      console.log(`Using cached users (${this.userCache.size} users)`);
-      return Array.from(this.userCache.values());
+  private async getDirectoryUser(userId: string): Promise<GongUser> {
+    await this.getAllUsers();
+    const user = this.userCache.get(userId);
+    if (!user) {
+      throw new GongNotFoundError(`User ${userId} not found in the Gong user directory`);
     }
+    return user;
+  }
 
-    console.log('Fetching all users with pagination...');
+  /**
+   * Users by manager ID, from the company-wide directory
+   */
+  private async getReportsIndex(): Promise<Map<string, GongUser[]>> {
+    const users = await this.getAllUsers();
+    const reports = new Map<string, GongUser[]>();
+    users.forEach(user => {
+      if (!user.managerId || user.managerId === user.id) return;
+      const siblings = reports.get(user.managerId) || [];
+      siblings.push(user);
+      reports.set(user.managerId, siblings);
+    });
+    return reports;
+  }
 
-    // Use the new paginated method
-    const rawUsers = await this.apiClient.getAllUsers();
+  /**
+   * Get the direct and indirect reports of a user, closest first
+   */
+  public async getTeam(userId: string, options: TeamOptions = {}): Promise<Team> {
+    try {
+      const manager = await this.getDirectoryUser(userId);
+      const reports = await this.getReportsIndex();
 
-    // Process the users
-    const allUsers = rawUsers.map((user: any) => this.processUser(user));
+      // Walk the org chart breadth first; the visited set guards against cycles in bad data
+      const members: TeamMember[] = [];
+      const visited = new Set<string>([manager.id]);
+      let level = 1;
+      let current = [manager.id];
+      while (current.length > 0 && (level === 1 || !options.directOnly)) {
+        const next: string[] = [];
+        current.forEach(managerId => {
+          (reports.get(managerId) || []).forEach(report => {
+            if (visited.has(report.id)) return;
+            visited.add(report.id);
+            next.push(report.id);
+            if (options.includeInactive || report.active !== false) {
+              members.push({ ...this.summarizeUser(report), managerId, level });
+            }
+          });
+        });
+        current = next;
+        level++;
+      }
 
-    // Update the cache
-    this.userCache.clear();
-    allUsers.forEach(user => {
-      this.userCache.set(user.id, user);
-    });
-    this.lastCacheUpdate = now;
+      return {
+        manager: this.summarizeUser(manager),
+        members: members.sort((a, b) => a.level - b.level || a.name.localeCompare(b.name)),
+        directReports: members.filter(member => member.level === 1).length,
+        totalReports: members.length
+      };
+    } catch (error) {
+      console.error(`Error getting team of user ${userId}: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of a user and everyone reporting to them, directly or indirectly,
+   * including deactivated users so their past calls are found
+   */
+  public async getTeamUserIds(userId: string): Promise<Set<string>> {
+    const team = await this.getTeam(userId, { includeInactive: true });
+    return new Set([userId, ...team.members.map(member => member.id)]);
+  }
+
+  /**
+   * Get a user's full record with their manager, management chain and reports
+   */
+  public async getUserProfile(userId: string): Promise<UserProfile> {
+    try {
+      const user = await this.getDirectoryUser(userId);
+      const team = await this.getTeam(userId, { includeInactive: true });
+
+      const managementChain: UserSummary[] = [];
+      const seen = new Set<string>([user.id]);
+      let managerId = user.managerId;
+      while (managerId && !seen.has(managerId)) {
+        seen.add(managerId);
+        const manager = this.userCache.get(managerId);
+        if (!manager) break;
+        managementChain.push(this.summarizeUser(manager));
+        managerId = manager.managerId;
+      }
+
+      return {
+        user,
+        manager: managementChain[0],
+        managementChain,
+        directReports: team.members.filter(member => member.level === 1),
+        totalReports: team.totalReports
+      };
+    } catch (error) {
+      console.error(`Error getting profile of user ${userId}: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all users with proper pagination, or only the users of a workspace.
+   * Speaker maps always use the company-wide directory, as calls can include
+   * users of other workspaces.
+   */
+  public async getAllUsers(forceRefresh: boolean = false, workspaceId?: string): Promise<GongUser[]> {
+    const key = workspaceId ? `directory:${workspaceId}` : 'directory';
+    const allUsers = await this.cache.getOrFetch<GongUser[]>('users', key, async () => {
+      console.log(`Fetching all users${workspaceId ? ` of workspace ${workspaceId}` : ''} with pagination...`);
+
+      // Use the new paginated method
+      const rawUsers = await this.apiClient.getAllUsers(workspaceId);
+
+      // Process the users
+      return rawUsers.map((user: any) => this.processUser(user));
+    }, { bypassCache: forceRefresh });
+
+    // Rebuild the lookup index when the directory was (re)loaded
+    if (!workspaceId && allUsers !== this.indexedUsers) {
+      this.userCache.clear();
+      allUsers.forEach(user => {
+        this.userCache.set(user.id, user);
+      });
+      this.indexedUsers = allUsers;
+    }
 
     return allUsers;
   }
 
   /**
-   * Find users by name or email
+   * Find users by name, email or ID, within a workspace if one is given or set
+   * as the default. Results are ranked (exact > prefix > token > typo matches),
+   * filtered by status, title and manager, and capped at `limit`. Without a
+   * name, email or ID, the users matching the filters are listed.
    */
-  public async findUsers(name?: string, email?: string, id?: string): Promise<GongUser[]> {
+  public async findUsers(params: FindUserParams, forceRefresh: boolean = false): Promise<UserMatch[]> {
     // Make sure we have users loaded
-    const allUsers = await this.getAllUsers();
-    
-    // If id is provided, look for exact match first
-    if (id) {
-      const user = this.userCache.get(id);
-      if (user) {
-        return [user];
-      }
+    const scope = params.workspaceId || this.defaultWorkspaceId;
+    const allUsers = await this.getAllUsers(forceRefresh, scope);
+    const limit = params.limit ?? DEFAULT_FIND_USERS_LIMIT;
+
+    const candidates = allUsers.filter(user =>
+      (params.active === undefined || user.active === params.active) &&
+      (!params.title || matchesTitle(user, params.title)) &&
+      (!params.managerId || user.managerId === params.managerId)
+    );
+
+    // An ID is an exact lookup
+    if (params.id) {
+      const user = candidates.find(candidate => candidate.id === params.id);
+      return user ? [{ ...user, score: 100, match: 'id' }] : [];
     }
-    
-    // Search by name or email
-    const results = allUsers.filter(user => {
-      // Check for ID match
-      if (id && user.id === id) {
-        return true;
-      }
-      
-      // Check for name match
-      if (name) {
-        const fullName = `${user.firstName} ${user.lastName}`.toLowerCase();
-        const searchName = name.toLowerCase();
-        if (fullName.includes(searchName)) {
-          return true;
-        }
-        
-        // Try partial matching on first or last name
-        const nameParts = searchName.split(' ');
-        return nameParts.some(part => 
-          user.firstName?.toLowerCase().includes(part) || 
-          user.lastName?.toLowerCase().includes(part)
-        );
-      }
-      
-      // Check for email match
-      if (email && user.emailAddress && user.emailAddress.toLowerCase().includes(email.toLowerCase())) {
-        return true;
+
+    const matches: UserMatch[] = [];
+    candidates.forEach(user => {
+      const scores = [
+        params.name ? scoreUserName(user, params.name) : undefined,
+        params.email ? scoreUserEmail(user, params.email) : undefined
+      ];
+      // Name and email must both match when both are given
+      if ((params.name && !scores[0]) || (params.email && !scores[1])) return;
+
+      const found = scores.filter((score): score is UserScore => score !== undefined);
+      if (found.length === 0) {
+        matches.push({ ...user, score: 100, match: 'filter' });
+      } else {
+        const weakest = found.reduce((worst, score) => score.score < worst.score ? score : worst);
+        matches.push({ ...user, score: weakest.score, match: weakest.match });
       }
-      
-      return false;
     });
-    
-    return results;
+
+    // Best matches first; active users before inactive ones with the same score
+    matches.sort((a, b) =>
+      b.score - a.score ||
+      Number(b.active !== false) - Number(a.active !== false) ||
+      `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`)
+    );
+    return limit > 0 ? matches.slice(0, limit) : matches;
+  }
+
+  /**
+   * Create a speaker map for a call, keyed by the speaker IDs of the transcript.
+   * Speakers are matched to the call parties through their speakerId and to the
+   * user directory through the party's user ID or email, and each entry says how
+   * it was resolved. The transcript comes from the caller, which gets it through
+   * TranscriptService and its cache; call details without speaker IDs are
+   * completed with the parties of the extensive call endpoint.
+   */
+  public async getSpeakerMap(callId: string, callDetails: any, transcript: any[]): Promise<SpeakerMap> {
+    return (await this.resolveSpeakers(callId, callDetails, transcript)).speakerMap;
   }
 
   /**
-   * Create a speaker map for a call
+   * Like getSpeakerMap, but never fails: when the parties or the user directory
+   * cannot be loaded (e.g. a missing API scope), the speakers that could not be
+   * resolved get placeholder names and the error is returned alongside them
    */
-  public async getSpeakerMap(callId: string, callDetails?: any): Promise<SpeakerMap> {
+  public async resolveSpeakers(callId: string, callDetails: any, transcript: any[]): Promise<SpeakerResolution> {
     console.log(`Creating speaker map for call ${callId}...`);
+    let failure: unknown = undefined;
     
     try {
-      // Step 1: Get call details to get participants if not provided
-      if (!callDetails) {
-        console.log('Fetching call details...');
-        const callResponse = await this.apiClient.getCall(callId);
-        callDetails = callResponse.call;
+      // Step 1: Collect the speaker IDs of the transcript
+      const speakerIds = new Set<string>(
+        transcript.map((segment: any) => segment.speakerId).filter(Boolean)
+      );
+      console.log(`Found ${speakerIds.size} unique speakers in transcript`);
+
+      // Step 2: Get the parties, which link speaker IDs to people
+      let parties: any[] = [];
+      try {
+        parties = await this.getCallParties(callId, callDetails);
+        console.log(`Found ${parties.length} parties for call ${callId}`);
+      } catch (error) {
+        console.error(`Could not load the parties of call ${callId}: ${error}`);
+        failure = error;
+        parties = callDetails?.parties || callDetails?.participants || [];
       }
-      
-      // Get participants from call details
-      const participants = callDetails?.participants || [];
-      console.log(`Found ${participants.length} participants in call details`);
-      
-      // Step 2: Create initial speaker map from participants
-      const speakerMap: SpeakerMap = {};
-      participants.forEach((participant: any) => {
-        if (participant.id) {
-          speakerMap[participant.id] = {
-            id: participant.id,
-            name: participant.name || `${participant.firstName || ''} ${participant.lastName || ''}`.trim() || `Person ${participant.id.substring(0, 4)}`,
-            email: participant.email,
-            role: participant.role,
-            company: participant.company
-          };
-        }
-      });
-      
-      // Step 3: Fetch transcript to find speaker IDs
-      console.log('Fetching transcript to get all speakers...');
-      const transcriptResponse = await this.apiClient.getTranscripts([callId]);
-      // The API returns callTranscripts array with transcript data
-      let transcripts = [];
-      if (transcriptResponse.callTranscripts && transcriptResponse.callTranscripts.length > 0) {
-        transcripts = transcriptResponse.callTranscripts[0].transcript || [];
+
+      // Step 3: Load the user directory to recognize internal speakers
+      let allUsers: GongUser[] = [];
+      try {
+        allUsers = await this.getAllUsers();
+      } catch (error) {
+        console.error(`Could not load the user directory: ${error}`);
+        failure ??= error;
       }
-      
-      // Extract all speaker IDs from transcript
-      const speakerIds = new Set<string>();
-      transcripts.forEach((segment: any) => {
-        if (segment.speakerId) {
-          speakerIds.add(segment.speakerId);
-        }
-      });
-      console.log(`Found ${speakerIds.size} unique speakers in transcript`);
-      
-      // Step 4: Fetch all users to enrich speaker map
-      console.log('Fetching all users to enrich speaker map...');
-      const allUsers = await this.getAllUsers();
-      
-      // Create user map
-      const userMap: SpeakerMap = {};
+      const usersByEmail = new Map<string, GongUser>();
       allUsers.forEach(user => {
-        userMap[user.id] = {
-          id: user.id,
-          name: `${user.firstName} ${user.lastName}`.trim() || user.emailAddress || `User ${user.id.substring(0, 4)}`,
-          email: user.emailAddress,
-          role: user.title,
-          company: 'Unknown'
-        };
+        if (user.emailAddress) usersByEmail.set(user.emailAddress.toLowerCase(), user);
       });
-      
-      // Step 5: Find speakers that aren't in our speaker map yet
-      const missingIds = Array.from(speakerIds).filter(id => !speakerMap[id]);
-      if (missingIds.length > 0) {
-        console.log(`Looking up ${missingIds.length} missing speakers...`);
-        
-        // First check our user cache
-        missingIds.forEach(id => {
-          const user = this.userCache.get(id);
-          if (user) {
-            speakerMap[id] = {
-              id: user.id,
-              name: `${user.firstName} ${user.lastName}`.trim() || user.emailAddress || `User ${user.id.substring(0, 4)}`,
-              email: user.emailAddress,
-              role: user.title,
-              company: 'Unknown'
-            };
-          } else if (userMap[id]) {
-            speakerMap[id] = userMap[id];
-          }
-        });
-      }
-      
-      // Step 6: Add placeholders for any remaining missing speakers
-      Array.from(speakerIds).forEach(id => {
-        if (!speakerMap[id]) {
+      const companyDomains = this.getCompanyDomains(allUsers, parties);
+
+      // Step 4: Resolve the parties that spoke, or could have
+      const speakerMap: SpeakerMap = {};
+      parties.forEach((party: any) => {
+        if (party.speakerId) {
+          speakerMap[party.speakerId] = this.resolveParty(party, usersByEmail, companyDomains);
+        }
+      });
+
+      // Step 5: Fall back to the directory and to participants keyed by speaker ID
+      const participants: any[] = callDetails?.participants || [];
+      speakerIds.forEach(id => {
+        if (speakerMap[id]) return;
+
+        const user = this.userCache.get(id);
+        const participant = participants.find((candidate: any) => candidate.id === id);
+        if (user) {
+          speakerMap[id] = {
+            ...this.resolveParty({ speakerId: id, userId: user.id }, usersByEmail, companyDomains),
+            confidence: 'medium',
+            source: 'user'
+          };
+        } else if (participant) {
+          speakerMap[id] = {
+            ...this.resolveParty({ ...participant, speakerId: id }, usersByEmail, companyDomains),
+            confidence: 'medium',
+            source: 'participant'
+          };
+        } else {
           speakerMap[id] = {
             id,
             name: `Speaker ${id.substring(0, 8)}`,
             company: 'Unknown',
-            role: 'Unknown'
+            role: 'Unknown',
+            affiliation: 'unknown',
+            confidence: 'low',
+            source: 'placeholder'
           };
         }
       });
+
+      const unresolved = Object.values(speakerMap).filter(speaker => speaker.source === 'placeholder').length;
+      if (unresolved > 0) {
+        console.log(`Could not resolve ${unresolved} of ${speakerIds.size} speakers of call ${callId}`);
+      }
       
-      return speakerMap;
+      return { speakerMap, ...(failure !== undefined && { error: describeError(failure) }) };
     } catch (error) {
-      console.error(`Error creating speaker map:`, error);
-      return {};
+      // A transcript without speaker names is still better than none
+      console.error(`Error creating speaker map for call ${callId}: ${error}`);
+      return { speakerMap: {}, error: describeError(error) };
+    }
+  }
+
+  /**
+   * Get the parties of a call with their speaker IDs. Basic call data has no
+   * speaker IDs, so the parties are then fetched from the extensive endpoint.
+   */
+  private async getCallParties(callId: string, callDetails?: any): Promise<any[]> {
+    const parties: any[] = callDetails?.parties || callDetails?.participants || [];
+    if (parties.some((party: any) => party.speakerId)) {
+      return parties;
+    }
+    return this.cache.getOrFetch<any[]>('calls', `${callId}:parties`, async () => {
+      console.log('Fetching call parties...');
+      const page = await this.apiClient.getCallsExtensivePage({ callIds: [callId] }, { parties: true }, { maxItems: 1 });
+      return page.items[0]?.parties || [];
+    });
+  }
+
+  /**
+   * Email domains of the company: those of the user directory and of parties
+   * Gong marks as internal, except personal email providers
+   */
+  private getCompanyDomains(users: GongUser[], parties: any[]): Set<string> {
+    const domains = new Set<string>();
+    const add = (email: string | undefined) => {
+      const domain = emailDomain(email);
+      if (domain && !isPersonalEmailDomain(domain)) domains.add(domain);
+    };
+    users.forEach(user => add(user.emailAddress));
+    parties
+      .filter((party: any) => party.affiliation?.toLowerCase() === 'internal')
+      .forEach((party: any) => add(party.emailAddress || party.email));
+    return domains;
+  }
+
+  /**
+   * Resolve a party (or participant) to a speaker. Gong's affiliation is used
+   * when it knows it; otherwise people in the user directory or with a company
+   * email domain are internal and everyone else with an email is external.
+   */
+  private resolveParty(party: any, usersByEmail: Map<string, GongUser>, companyDomains: Set<string>): GongSpeaker {
+    const email: string | undefined = party.emailAddress || party.email || undefined;
+    const user = (party.userId && this.userCache.get(party.userId)) || (email ? usersByEmail.get(email.toLowerCase()) : undefined);
+    const partyName = party.name || `${party.firstName || ''} ${party.lastName || ''}`.trim();
+    const userName = user ? `${user.firstName} ${user.lastName}`.trim() : '';
+    const speakerEmail = email || user?.emailAddress || undefined;
+
+    let affiliation: SpeakerAffiliation = 'unknown';
+    const reported = party.affiliation?.toLowerCase();
+    if (reported === 'internal' || reported === 'external') {
+      affiliation = reported;
+    } else if (user) {
+      affiliation = 'internal';
+    } else if (emailDomain(speakerEmail)) {
+      affiliation = companyDomains.has(emailDomain(speakerEmail)!) ? 'internal' : 'external';
     }
+
+    const name = partyName || userName || speakerEmail;
+    return {
+      id: party.speakerId,
+      name: name || `Speaker ${String(party.speakerId).substring(0, 8)}`,
+      email: speakerEmail,
+      role: party.title || party.role || user?.title || undefined,
+      company: party.company || companyFromDomain(emailDomain(speakerEmail)) || 'Unknown',
+      affiliation,
+      userId: user?.id || party.userId || undefined,
+      // A name from Gong or the directory is certain; an email address alone is a fair guess
+      confidence: partyName || userName ? 'high' : name ? 'medium' : 'low',
+      source: 'party'
+    };
   }
 }
\ No newline at end of file
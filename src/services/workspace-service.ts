@@ -0,0 +1,37 @@
+import { GongApiClient } from '../api/client.js';
+import { GongWorkspace } from '../models/types.js';
+
+export class WorkspaceService {
+  private apiClient: GongApiClient;
+  private defaultWorkspaceId?: string;
+
+  constructor(apiClient: GongApiClient, defaultWorkspaceId?: string) {
+    this.apiClient = apiClient;
+    this.defaultWorkspaceId = defaultWorkspaceId;
+  }
+
+  /**
+   * Workspace that calls, users and searches are scoped to when none is given
+   */
+  public getDefaultWorkspaceId(): string | undefined {
+    return this.defaultWorkspaceId;
+  }
+
+  /**
+   * List the workspaces of the company, marking the default one
+   */
+  public async listWorkspaces(): Promise<GongWorkspace[]> {
+    try {
+      const workspaces = await this.apiClient.getWorkspaces();
+      return workspaces.map((workspace: any) => ({
+        id: String(workspace.id),
+        name: workspace.name || '',
+        description: workspace.description || undefined,
+        isDefault: String(workspace.id) === this.defaultWorkspaceId
+      }));
+    } catch (error) {
+      console.error(`Error listing workspaces: ${error}`);
+      throw error;
+    }
+  }
+}
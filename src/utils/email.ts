@@ -0,0 +1,41 @@
+// Email providers whose domain says nothing about the company of the address
+const PERSONAL_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'yahoo.com',
+  'ymail.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me', 'protonmail.com',
+  'gmx.com', 'gmx.de', 'web.de', 'mail.com', 'zoho.com', 'yandex.com', 'qq.com', '163.com'
+]);
+
+// Second-level labels of country domains such as acme.co.uk
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'org', 'net', 'ac', 'gov', 'edu', 'ltd', 'plc']);
+
+/**
+ * Get the lowercase domain of an email address
+ */
+export function emailDomain(email: string | undefined): string | undefined {
+  const domain = email?.trim().toLowerCase().split('@')[1];
+  return domain || undefined;
+}
+
+export function isPersonalEmailDomain(domain: string): boolean {
+  return PERSONAL_EMAIL_DOMAINS.has(domain.toLowerCase());
+}
+
+/**
+ * Guess a company name from an email domain, e.g. "Acme" for acme.com or
+ * eu.acme.co.uk. Returns undefined for personal email providers.
+ */
+export function companyFromDomain(domain: string | undefined): string | undefined {
+  if (!domain || isPersonalEmailDomain(domain)) {
+    return undefined;
+  }
+  const labels = domain.toLowerCase().split('.').filter(Boolean);
+  if (labels.length < 2) {
+    return undefined;
+  }
+  labels.pop();
+  if (labels.length > 1 && SECOND_LEVEL_LABELS.has(labels[labels.length - 1])) {
+    labels.pop();
+  }
+  const name = labels[labels.length - 1];
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
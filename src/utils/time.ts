@@ -0,0 +1,62 @@
+/**
+ * Format milliseconds to human-readable time (m:ss)
+ */
+export function formatMilliseconds(ms: number): string {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format milliseconds as a subtitle cue time (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for WebVTT)
+ */
+export function formatCueTime(ms: number, fractionSeparator: ',' | '.' = ','): string {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const millis = Math.floor(ms % 1000);
+  const pad = (value: number, length: number = 2) => value.toString().padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${fractionSeparator}${pad(millis, 3)}`;
+}
+
+/**
+ * Parse a time offset into the call, given as milliseconds or as m:ss / h:mm:ss
+ */
+export function parseTimeOffset(value: string | number): number {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid time offset: ${value}`);
+    }
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+
+  const parts = trimmed.split(':');
+  const valid = parts.length >= 2 && parts.length <= 3 &&
+    parts.every(part => /^\d+$/.test(part)) &&
+    parts.slice(1).every(part => part.length === 2 && Number(part) < 60);
+  if (!valid) {
+    throw new Error(`Invalid time offset "${value}": use milliseconds, m:ss or h:mm:ss`);
+  }
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds * 1000;
+}
+
+/**
+ * Parse an optional start and end offset into milliseconds, checking their order
+ */
+export function parseTimeWindow(
+  startTime?: string | number,
+  endTime?: string | number
+): { startTime?: number; endTime?: number } {
+  const start = startTime !== undefined ? parseTimeOffset(startTime) : undefined;
+  const end = endTime !== undefined ? parseTimeOffset(endTime) : undefined;
+  if (start !== undefined && end !== undefined && start > end) {
+    throw new Error(`startTime (${formatMilliseconds(start)}) must not be after endTime (${formatMilliseconds(end)})`);
+  }
+  return { startTime: start, endTime: end };
+}
@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import axios, { AxiosError, AxiosResponse, InternalAxiosRequestConfig } from 'axios';
+
+import { GongApiClient, GongApiClientOptions } from '../src/api/client.js';
+import { CircuitOpenError, GongApiError, GongNotFoundError, GongServerError } from '../src/api/errors.js';
+import { CircuitBreaker } from '../src/api/retry.js';
+
+interface StubResponse {
+  status: number;
+  data?: unknown;
+  headers?: Record<string, string>;
+}
+
+type Handler = (config: InternalAxiosRequestConfig) => StubResponse | Error | Promise<StubResponse | Error>;
+
+/**
+ * Client whose requests are answered by the handler instead of Gong. Returns
+ * the requests the handler saw.
+ */
+function stubClient(handler: Handler, options: GongApiClientOptions = {}) {
+  const requests: InternalAxiosRequestConfig[] = [];
+  const http = axios.create({
+    adapter: async config => {
+      requests.push(config);
+      const result = await handler(config);
+      if (result instanceof Error) throw result;
+
+      const response: AxiosResponse = {
+        data: result.data ?? {},
+        status: result.status,
+        statusText: '',
+        headers: result.headers ?? {},
+        config
+      };
+      if (result.status >= 400) {
+        throw new AxiosError(`Request failed with status code ${result.status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+      }
+      return response;
+    }
+  });
+
+  const client = new GongApiClient('key', 'secret', 'https://gong.test', {
+    retry: { baseDelayMs: 1, maxDelayMs: 5 },
+    rateLimit: { usageFile: '', requestsPerSecond: 1000, maxConcurrency: 100 },
+    ...options,
+    http
+  });
+  return { client, requests };
+}
+
+/**
+ * Handler answering with the given responses in turn, then with the last one
+ */
+function sequence(...responses: Array<StubResponse | Error>): Handler {
+  let next = 0;
+  return () => responses[Math.min(next++, responses.length - 1)];
+}
+
+describe('GongApiClient requests', () => {
+  it('signs requests with the access key', async () => {
+    const { client, requests } = stubClient(sequence({ status: 200, data: { call: { id: 'c1' } } }));
+
+    assert.deepEqual(await client.getCall('c1'), { call: { id: 'c1' } });
+    assert.equal(requests[0].url, 'https://gong.test/v2/calls/c1');
+    assert.equal(requests[0].headers['X-Gong-AccessKey'], 'key');
+    assert.equal(requests[0].headers['Authorization'], `Basic ${Buffer.from('key:secret').toString('base64')}`);
+  });
+
+  it('shares identical reads that are in flight', async () => {
+    const { client, requests } = stubClient(async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { status: 200, data: { call: { id: 'c1' } } };
+    });
+
+    const [first, second] = await Promise.all([client.getCall('c1'), client.getCall('c1')]);
+    assert.deepEqual(first, second);
+    assert.equal(requests.length, 1);
+  });
+});
+
+describe('GongApiClient retries', () => {
+  it('retries server errors until the request succeeds', async () => {
+    const { client, requests } = stubClient(sequence({ status: 503 }, { status: 502 }, { status: 200, data: { call: { id: 'c1' } } }));
+
+    assert.deepEqual(await client.getCall('c1'), { call: { id: 'c1' } });
+    assert.equal(requests.length, 3);
+  });
+
+  it('retries transient network errors', async () => {
+    const { client, requests } = stubClient(sequence(new AxiosError('socket hang up', 'ECONNRESET'), { status: 200, data: { call: { id: 'c1' } } }));
+
+    assert.deepEqual(await client.getCall('c1'), { call: { id: 'c1' } });
+    assert.equal(requests.length, 2);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    const { client, requests } = stubClient(sequence({ status: 503 }), { retry: { maxRetries: 2, baseDelayMs: 1 } });
+
+    await assert.rejects(client.getCall('c1'), GongServerError);
+    assert.equal(requests.length, 3);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    const { client, requests } = stubClient(sequence({ status: 429, headers: { 'retry-after': '1' } }, { status: 200, data: { calls: [] } }));
+
+    const start = Date.now();
+    await client.getCall('c1');
+    assert.equal(requests.length, 2);
+    assert.ok(Date.now() - start >= 900, `retried after ${Date.now() - start} ms`);
+  });
+
+  it('does not wait out a Retry-After longer than allowed', async () => {
+    const { client, requests } = stubClient(sequence({ status: 429, headers: { 'retry-after': '120' } }));
+
+    await assert.rejects(client.getCall('c1'), (error: GongApiError) => {
+      assert.equal(error.code, 'rate_limited');
+      assert.equal(error.retryAfterMs, 120000);
+      return true;
+    });
+    assert.equal(requests.length, 1);
+  });
+
+  it('does not retry writes', async () => {
+    const { client, requests } = stubClient(sequence({ status: 503 }));
+
+    await assert.rejects(client.request('POST', '/v2/meetings', undefined, { title: 'x' }), GongServerError);
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries reads sent as POST', async () => {
+    const { client, requests } = stubClient(sequence({ status: 503 }, { status: 200, data: { callTranscripts: [] } }));
+
+    assert.deepEqual(await client.getTranscripts(['c1']), { callTranscripts: [] });
+    assert.equal(requests.length, 2);
+  });
+
+  it('does not retry client errors', async () => {
+    const { client, requests } = stubClient(sequence({ status: 404, data: { errors: ['not found'] } }));
+
+    await assert.rejects(client.getCall('missing'), GongNotFoundError);
+    assert.equal(requests.length, 1);
+  });
+});
+
+describe('GongApiClient circuit breaker', () => {
+  it('fails fast once open and closes after a successful trial', async () => {
+    let healthy = false;
+    const { client, requests } = stubClient(() => healthy ? { status: 200, data: { calls: [] } } : { status: 503 }, {
+      retry: { maxRetries: 0 },
+      circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 50 }
+    });
+
+    await assert.rejects(client.getCall('c1'), GongServerError);
+    await assert.rejects(client.getCall('c2'), GongServerError);
+    await assert.rejects(client.getCall('c3'), CircuitOpenError);
+    assert.equal(requests.length, 2);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    healthy = true;
+    await client.getCall('c4');
+    await client.getCall('c5');
+    assert.equal(requests.length, 4);
+  });
+
+  it('does not count answers such as 404 as failures', async () => {
+    const { client } = stubClient(sequence({ status: 404 }), { circuitBreaker: { failureThreshold: 1 } });
+
+    await assert.rejects(client.getCall('c1'), GongNotFoundError);
+    await assert.rejects(client.getCall('c2'), GongNotFoundError);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('lets a single trial through when half-open and reopens when it fails', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 20 });
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(breaker.state, 'half-open');
+    breaker.beforeRequest();
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GongApiClient } from '../src/api/client.js';
+import { CallService, MAX_BULK_TRANSCRIPT_CALLS } from '../src/services/call-service.js';
+import { TranscriptService } from '../src/services/transcript-service.js';
+import { UserService } from '../src/services/user-service.js';
+
+/**
+ * A transcript of alternating rep and buyer segments, one topic per pair
+ */
+function transcriptOf(segments: number): any[] {
+  return Array.from({ length: segments }, (_, i) => ({
+    speakerId: i % 2 === 0 ? 'rep' : 'buyer',
+    topic: `Topic ${Math.floor(i / 2) + 1}`,
+    sentences: [
+      { start: i * 10000, end: i * 10000 + 4000, text: `Sentence ${i} talks about pricing, rollout plans and the next steps for the team.` },
+      { start: i * 10000 + 5000, end: i * 10000 + 9000, text: `Another sentence in segment ${i} with a few more words to make it longer.` }
+    ]
+  }));
+}
+
+const TRANSCRIPTS: Record<string, any[]> = {
+  c1: transcriptOf(6),
+  c2: transcriptOf(40),
+  c3: transcriptOf(2)
+};
+
+const parties = [
+  { speakerId: 'rep', userId: 'u1', name: 'Rita Rep', emailAddress: 'rita@seller.com', affiliation: 'Internal' },
+  { speakerId: 'buyer', name: 'Bob Buyer', emailAddress: 'bob@customer.com', affiliation: 'External' }
+];
+
+/**
+ * Fake API client serving the transcripts above, counting the requests
+ */
+function fakeClient() {
+  const requests = { transcripts: 0, calls: 0 };
+  const client = {
+    getTranscripts: async (callIds: string[]) => {
+      requests.transcripts++;
+      return {
+        callTranscripts: callIds
+          .filter(callId => TRANSCRIPTS[callId])
+          .map(callId => ({ callId, transcript: TRANSCRIPTS[callId] }))
+      };
+    },
+    getCallsExtensivePage: async (filter: { callIds: string[] }) => {
+      requests.calls++;
+      return {
+        items: filter.callIds.map(id => ({
+          metaData: { id, title: `Call ${id}`, started: '2024-03-01T10:00:00Z', duration: 600 },
+          parties
+        }))
+      };
+    },
+    getAllUsers: async () => [{ id: 'u1', firstName: 'Rita', lastName: 'Rep', emailAddress: 'rita@seller.com' }]
+  } as unknown as GongApiClient;
+  return { client, requests };
+}
+
+function services() {
+  const { client, requests } = fakeClient();
+  const userService = new UserService(client);
+  const transcriptService = new TranscriptService(client, userService);
+  const callService = new CallService(client, userService, transcriptService);
+  return { transcriptService, callService, requests };
+}
+
+describe('TranscriptService.getTranscripts', () => {
+  it('fetches all transcripts and call data in one batch each', async () => {
+    const { transcriptService, requests } = services();
+    const result = await transcriptService.getTranscripts(['c1', 'c4', 'c3', 'c1']);
+
+    assert.deepEqual(result.transcripts.map(transcript => transcript.callId), ['c1', 'c3']);
+    assert.deepEqual(result.withoutTranscript, ['c4']);
+    assert.deepEqual(requests, { transcripts: 1, calls: 1 });
+    assert.equal(result.transcripts[0].title, 'Call c1');
+    assert.equal(result.transcripts[0].transcript.sections[0].exchanges[0].speaker.name, 'Rita Rep');
+  });
+
+  it('adds up the estimated tokens of all transcripts', async () => {
+    const { transcriptService } = services();
+    const result = await transcriptService.getTranscripts(['c1', 'c3']);
+    const sum = result.transcripts.reduce((total, transcript) => total + transcript.estimatedTokens, 0);
+    assert.equal(result.estimatedTokens, sum);
+  });
+
+  it('renders the export formats as text', async () => {
+    const { transcriptService } = services();
+    const result = await transcriptService.getTranscripts(['c3'], 'srt');
+    const [{ transcript }] = result.transcripts;
+    assert.equal(typeof transcript, 'string');
+    assert.match(transcript, /^1\n00:00:00,000 --> /);
+  });
+
+  it('shares the token budget and trims long transcripts to their share', async () => {
+    const { transcriptService } = services();
+    const result = await transcriptService.getTranscripts(['c1', 'c2', 'c3'], 'markdown', { maxTokens: 1500 });
+
+    assert.deepEqual(result.skippedForBudget, []);
+    assert.ok(result.transcripts.find(transcript => transcript.callId === 'c2')?.omitted);
+    assert.ok(result.estimatedTokens <= 1500, `${result.estimatedTokens} tokens`);
+  });
+
+  it('skips the calls whose share of the budget is too small', async () => {
+    const { transcriptService } = services();
+    const result = await transcriptService.getTranscripts(['c1', 'c2', 'c3'], 'text', { maxTokens: 300 });
+
+    assert.deepEqual(result.transcripts, []);
+    assert.deepEqual(result.skippedForBudget, ['c1', 'c2', 'c3']);
+  });
+});
+
+describe('CallService.getTranscripts', () => {
+  it('rejects a maxCalls that is not a whole number from 1 to the maximum', async () => {
+    const { callService } = services();
+    for (const maxCalls of [0, -1, 1.5, MAX_BULK_TRANSCRIPT_CALLS + 1]) {
+      await assert.rejects(callService.getTranscripts({ maxCalls }), /maxCalls must be a whole number/, String(maxCalls));
+    }
+  });
+
+  it('rejects more call IDs than maxCalls', async () => {
+    const { callService } = services();
+    await assert.rejects(callService.getTranscripts({ callIds: ['c1', 'c2', 'c3'], maxCalls: 2 }), /Too many call IDs/);
+  });
+
+  it('gets the transcripts of explicit call IDs', async () => {
+    const { callService } = services();
+    const result = await callService.getTranscripts({ callIds: ['c3'], format: 'text' });
+    assert.deepEqual(result.transcripts.map(transcript => transcript.callId), ['c3']);
+    assert.equal(result.nextCursor, undefined);
+  });
+});
@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { CacheEntry, MemoryCacheStore } from '../src/cache/cache-store.js';
+import { EntityCache } from '../src/cache/entity-cache.js';
+import { FileCacheStore } from '../src/cache/file-cache-store.js';
+import { effectiveCacheStore } from '../src/config.js';
+
+const entry = <T>(value: T, ttlMs: number): CacheEntry<T> => ({ value, storedAt: Date.now(), expiresAt: Date.now() + ttlMs });
+
+async function jsonFiles(directory: string): Promise<string[]> {
+  const files = await fs.promises.readdir(directory, { recursive: true });
+  return files.filter(file => file.endsWith('.json'));
+}
+
+describe('EntityCache', () => {
+  it('returns values until their entity type TTL runs out', async () => {
+    const cache = new EntityCache(new MemoryCacheStore(), { calls: 20 });
+    await cache.set('calls', 'c1', { id: 'c1' });
+    assert.deepEqual(await cache.get('calls', 'c1'), { id: 'c1' });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(await cache.get('calls', 'c1'), undefined);
+  });
+
+  it('does not cache entity types with a TTL of 0', async () => {
+    const store = new MemoryCacheStore();
+    const cache = new EntityCache(store, { users: 0 });
+    await cache.set('users', 'all', []);
+    assert.equal(await cache.get('users', 'all'), undefined);
+    assert.deepEqual(await store.stats(), []);
+  });
+
+  it('fetches once and then serves from the cache, unless bypassed', async () => {
+    const cache = new EntityCache();
+    let fetches = 0;
+    const fetch = async () => ++fetches;
+
+    assert.equal(await cache.getOrFetch('calls', 'c1', fetch), 1);
+    assert.equal(await cache.getOrFetch('calls', 'c1', fetch), 1);
+    assert.equal(await cache.getOrFetch('calls', 'c1', fetch, { bypassCache: true }), 2);
+    assert.equal(await cache.getOrFetch('calls', 'c1', fetch), 2);
+  });
+
+  it('clears one entity type or all of them', async () => {
+    const cache = new EntityCache();
+    await cache.set('calls', 'c1', 1);
+    await cache.set('users', 'u1', 2);
+
+    assert.equal(await cache.clear('calls'), 1);
+    assert.equal(await cache.get('calls', 'c1'), undefined);
+    assert.equal(await cache.get('users', 'u1'), 2);
+    assert.equal(await cache.clear(), 1);
+  });
+
+  it('does not fail requests when the store fails', async () => {
+    const store = new MemoryCacheStore();
+    store.get = async () => { throw new Error('disk gone'); };
+    store.set = async () => { throw new Error('disk gone'); };
+    const cache = new EntityCache(store);
+
+    await cache.set('calls', 'c1', 1);
+    assert.equal(await cache.getOrFetch('transcripts', 't1', async () => 'fetched'), 'fetched');
+  });
+});
+
+describe('FileCacheStore', () => {
+  let directory: string;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gong-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps entries across instances', async () => {
+    await new FileCacheStore(directory).set('calls', 'c1', entry({ id: 'c1' }, 60000));
+    const stored = await new FileCacheStore(directory).get<{ id: string }>('calls', 'c1');
+    assert.deepEqual(stored?.value, { id: 'c1' });
+  });
+
+  it('deletes expired entries when they are read', async () => {
+    const store = new FileCacheStore(directory);
+    await store.set('calls', 'c1', entry('old', -1000));
+    assert.equal(await store.get('calls', 'c1'), undefined);
+    assert.deepEqual(await jsonFiles(directory), []);
+  });
+
+  it('prunes expired entries and abandoned temporary files', async () => {
+    const store = new FileCacheStore(directory);
+    await store.set('calls', 'fresh', entry('fresh', 60000));
+    await store.set('calls', 'expired', entry('expired', -1000));
+    const tempFile = path.join(directory, 'calls', 'abandoned.json.1.abc.tmp');
+    await fs.promises.writeFile(tempFile, '{');
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+    await fs.promises.utimes(tempFile, longAgo, longAgo);
+
+    assert.equal(await store.prune(), 1);
+    assert.equal((await fs.promises.readdir(path.join(directory, 'calls'))).length, 1);
+    assert.equal((await store.get('calls', 'fresh'))?.value, 'fresh');
+  });
+
+  it('removes the entries expiring first once the cache is too large', async () => {
+    const store = new FileCacheStore(directory, { maxBytes: 250 });
+    const value = 'x'.repeat(100);
+    await store.set('transcripts', 'soon', entry(value, 60000));
+    await store.set('transcripts', 'later', entry(value, 120000));
+    await store.set('transcripts', 'latest', entry(value, 180000));
+
+    await store.prune();
+    assert.equal(await store.get('transcripts', 'soon'), undefined);
+    assert.equal((await store.get('transcripts', 'latest'))?.value, value);
+  });
+
+  it('handles concurrent writes of the same key', async () => {
+    const store = new FileCacheStore(directory);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.set('calls', 'c1', entry(i, 60000))));
+
+    const stored = await store.get<number>('calls', 'c1');
+    assert.equal(typeof stored?.value, 'number');
+    assert.deepEqual((await fs.promises.readdir(path.join(directory, 'calls'))).filter(file => file.endsWith('.tmp')), []);
+  });
+
+  it('reports and clears entries per namespace', async () => {
+    const store = new FileCacheStore(directory);
+    await store.set('calls', 'c1', entry(1, 60000));
+    await store.set('users', 'u1', entry(2, 60000));
+
+    assert.deepEqual((await store.stats()).map(stats => [stats.namespace, stats.entries]).sort(), [['calls', 1], ['users', 1]]);
+    assert.equal(await store.clear('calls'), 1);
+    assert.equal(await store.get('calls', 'c1'), undefined);
+  });
+});
+
+describe('effectiveCacheStore', () => {
+  it('keeps the cache in memory when redaction is enforced', () => {
+    const redaction = (mode: 'off' | 'on' | 'enforced') => ({ mode, detectors: [], rules: [], pseudonymizeExternal: false });
+    assert.equal(effectiveCacheStore('file', redaction('on')), 'file');
+    assert.equal(effectiveCacheStore('file', redaction('enforced')), 'memory');
+  });
+});
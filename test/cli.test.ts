@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as os from 'os';
+import * as path from 'path';
+
+import { COMMANDS, CommandContext, EXIT_CODES, NotFoundError, UsageError } from '../src/cli/commands.js';
+import { runCli } from '../src/cli/index.js';
+import { OutputFormat } from '../src/cli/output.js';
+
+interface Captured<T> {
+  result: T;
+  stdout: string;
+  stderr: string;
+}
+
+/**
+ * Run fn while collecting what it writes to stdout and stderr. Only text is
+ * collected; anything else (the test runner's own reports) passes through.
+ */
+async function capture<T>(fn: () => Promise<T>): Promise<Captured<T>> {
+  const streams = { stdout: '', stderr: '' };
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const consoleMethods = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+
+  (['stdout', 'stderr'] as const).forEach(name => {
+    process[name].write = ((chunk: any, ...args: any[]) => {
+      if (typeof chunk !== 'string') return originals[name].call(process[name], chunk, ...args);
+      streams[name] += chunk;
+      return true;
+    }) as typeof process.stdout.write;
+  });
+  try {
+    return { result: await fn(), ...streams };
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+    // runCli silences console logging for commands other than serve
+    Object.assign(console, consoleMethods);
+  }
+}
+
+/**
+ * Command context backed by the given fake services, collecting the output
+ */
+function fakeContext(services: Record<string, unknown>, format: OutputFormat = 'table') {
+  const output: string[] = [];
+  const context: CommandContext = {
+    format,
+    profiles: () => { throw new Error('profiles are not used'); },
+    config: () => { throw new Error('config is not used'); },
+    services: () => services as unknown as ReturnType<CommandContext['services']>,
+    write: text => { output.push(text); }
+  };
+  return { context, output };
+}
+
+const call = { id: 'c1', title: 'Renewal with Acme', started: '2024-03-01T10:00:00Z', duration: 1800, direction: 'Outbound' };
+
+describe('calls list command', () => {
+  it('passes the filters on and renders the calls as a table', async () => {
+    let params: any;
+    const { context, output } = fakeContext({
+      callService: { listCalls: async (received: any) => { params = received; return { calls: [call], totalRecords: 1 }; } }
+    });
+
+    const exitCode = await COMMANDS['calls list'].run(
+      { limit: '5', 'min-duration': '60', direction: 'outbound', 'has-transcript': true },
+      [],
+      context
+    );
+
+    assert.equal(exitCode, EXIT_CODES.ok);
+    assert.equal(params.limit, 5);
+    assert.equal(params.minDuration, 60);
+    assert.equal(params.direction, 'outbound');
+    assert.equal(params.hasTranscript, true);
+    const [header, , row] = output[0].split('\n');
+    assert.match(header, /^ID\s+Date\s+Duration\s+Direction\s+Title$/);
+    assert.match(row, /^c1\s+2024-03-01 10:00\s+30:00\s+Outbound\s+Renewal with Acme$/);
+  });
+
+  it('prints the whole result as JSON', async () => {
+    const result = { calls: [call], totalRecords: 1 };
+    const { context, output } = fakeContext({ callService: { listCalls: async () => result } }, 'json');
+
+    await COMMANDS['calls list'].run({}, [], context);
+    assert.deepEqual(JSON.parse(output[0]), result);
+  });
+
+  it('rejects invalid numbers and choices', async () => {
+    const { context } = fakeContext({ callService: { listCalls: async () => ({ calls: [] }) } });
+
+    await assert.rejects(COMMANDS['calls list'].run({ limit: 'ten' }, [], context), UsageError);
+    await assert.rejects(COMMANDS['calls list'].run({ direction: 'sideways' }, [], context), UsageError);
+  });
+});
+
+describe('users find command', () => {
+  it('requires something to search for', async () => {
+    const { context } = fakeContext({ userService: { findUsers: async () => [] } });
+
+    await assert.rejects(COMMANDS['users find'].run({}, [], context), UsageError);
+    await assert.rejects(COMMANDS['users find'].run({ active: true, inactive: true }, [], context), UsageError);
+  });
+
+  it('exits with the not found code when nobody matches', async () => {
+    let criteria: any;
+    const { context } = fakeContext({
+      userService: { findUsers: async (received: any) => { criteria = received; return []; } }
+    });
+
+    const { result, stderr } = await capture(() => COMMANDS['users find'].run({}, ['Jane', 'Doe'], context));
+    assert.equal(result, EXIT_CODES.notFound);
+    assert.equal(criteria.name, 'Jane Doe');
+    assert.match(stderr, /No users found/);
+  });
+});
+
+describe('transcript export command', () => {
+  it('reports calls without a transcript as not found', async () => {
+    const { context } = fakeContext({
+      transcriptService: { getTranscriptDocument: async () => ({ segments: [] }) }
+    });
+
+    await assert.rejects(COMMANDS['transcript export'].run({}, ['c1'], context), NotFoundError);
+    await assert.rejects(COMMANDS['transcript export'].run({ format: 'pdf' }, ['c1'], context), UsageError);
+    await assert.rejects(COMMANDS['transcript export'].run({}, [], context), UsageError);
+  });
+});
+
+describe('runCli', () => {
+  it('prints the usage for unknown commands', async () => {
+    const { result, stderr } = await capture(() => runCli(['meetings']));
+    assert.equal(result, EXIT_CODES.usage);
+    assert.match(stderr, /Unknown command: meetings/);
+    assert.match(stderr, /Usage: gong-cloud <command>/);
+  });
+
+  it('shows help with exit code 0', async () => {
+    assert.equal((await capture(() => runCli(['--help']))).result, EXIT_CODES.ok);
+
+    const { result, stdout } = await capture(() => runCli(['calls', 'get', '--help']));
+    assert.equal(result, EXIT_CODES.ok);
+    assert.match(stdout, /^Usage: gong-cloud calls get <callId>/);
+  });
+
+  it('exits with the usage code for bad options and arguments', async () => {
+    const unknownOption = await capture(() => runCli(['calls', 'list', '--colour']));
+    assert.equal(unknownOption.result, EXIT_CODES.usage);
+    assert.match(unknownOption.stderr, /Usage: gong-cloud calls list/);
+
+    const badFormat = await capture(() => runCli(['calls', 'list', '--format', 'xml']));
+    assert.equal(badFormat.result, EXIT_CODES.usage);
+    assert.match(badFormat.stderr, /--format must be one of: table, json, markdown/);
+
+    const missingId = await capture(() => runCli(['calls', 'get']));
+    assert.equal(missingId.result, EXIT_CODES.usage);
+    assert.match(missingId.stderr, /Missing <callId>/);
+  });
+
+  it('exits with the configuration code when the config file cannot be read', async () => {
+    const previous = process.env.GONG_CONFIG_FILE;
+    process.env.GONG_CONFIG_FILE = path.join(os.tmpdir(), `gong-missing-${process.pid}.json`);
+    try {
+      const { result, stderr } = await capture(() => runCli(['calls', 'list']));
+      assert.equal(result, EXIT_CODES.config);
+      assert.match(stderr, /Could not read config file/);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.GONG_CONFIG_FILE;
+      } else {
+        process.env.GONG_CONFIG_FILE = previous;
+      }
+    }
+  });
+});
@@ -0,0 +1,148 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+
+import { RunningHttpServer, startHttpServer } from '../src/http-server.js';
+
+const ALICE = 'token-for-alice';
+const BOB = 'token-for-bob';
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+function createServer(): McpServer {
+  const server = new McpServer({ name: 'test', version: '1.0.0' });
+  server.tool('ping', {}, async () => ({ content: [{ type: 'text', text: 'pong' }] }));
+  return server;
+}
+
+async function post(url: string, body: unknown, headers: Record<string, string> = {}): Promise<Response> {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  await res.text();
+  return res;
+}
+
+/**
+ * Status of a POST with a custom Host header, which fetch does not allow
+ */
+function postWithHost(url: string, host: string, body: unknown): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const req = request(url, {
+      method: 'POST',
+      headers: { Host: host, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' }
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode!));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Start a session with a token and finish the handshake, returning its ID
+ */
+async function startSession(url: string, token: string): Promise<string> {
+  const res = await post(url, initialize, { Authorization: `Bearer ${token}` });
+  assert.equal(res.status, 200);
+  const sessionId = res.headers.get('mcp-session-id')!;
+  await post(url, { jsonrpc: '2.0', method: 'notifications/initialized' }, {
+    Authorization: `Bearer ${token}`,
+    'Mcp-Session-Id': sessionId
+  });
+  return sessionId;
+}
+
+describe('startHttpServer with auth tokens', () => {
+  let running: RunningHttpServer;
+  let baseUrl: string;
+
+  before(async () => {
+    running = await startHttpServer(createServer, { host: '127.0.0.1', port: 0, authTokens: [ALICE, BOB], maxBodyBytes: 2048 });
+    baseUrl = running.url.replace(/\/mcp$/, '');
+  });
+
+  after(async () => {
+    await running.close();
+  });
+
+  it('answers health checks without a token', async () => {
+    const res = await fetch(`${baseUrl}/health`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'ok');
+  });
+
+  it('rejects requests without a valid token', async () => {
+    assert.equal((await post(running.url, initialize)).status, 401);
+    assert.equal((await post(running.url, initialize, { Authorization: 'Bearer wrong' })).status, 401);
+  });
+
+  it('accepts the token as a bearer token or an API key', async () => {
+    assert.equal((await post(running.url, initialize, { 'X-API-Key': BOB })).status, 200);
+  });
+
+  it('serves a session to the token that started it', async () => {
+    const sessionId = await startSession(running.url, ALICE);
+    const res = await post(running.url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+      Authorization: `Bearer ${ALICE}`,
+      'Mcp-Session-Id': sessionId
+    });
+    assert.equal(res.status, 200);
+  });
+
+  it('does not let another valid token use the session', async () => {
+    const sessionId = await startSession(running.url, ALICE);
+    const res = await post(running.url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, {
+      Authorization: `Bearer ${BOB}`,
+      'Mcp-Session-Id': sessionId
+    });
+    assert.equal(res.status, 404);
+  });
+
+  it('rejects unknown sessions and requests without a session', async () => {
+    const headers = { Authorization: `Bearer ${ALICE}` };
+    assert.equal((await post(running.url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, { ...headers, 'Mcp-Session-Id': 'nope' })).status, 404);
+    assert.equal((await post(running.url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, headers)).status, 400);
+  });
+
+  it('rejects foreign origins, invalid JSON and oversized bodies', async () => {
+    const headers = { Authorization: `Bearer ${ALICE}` };
+    assert.equal((await post(running.url, initialize, { ...headers, Origin: 'https://evil.example' })).status, 403);
+    assert.equal((await post(running.url, '{', headers)).status, 400);
+    assert.equal((await post(running.url, { padding: 'x'.repeat(4096) }, headers)).status, 413);
+  });
+});
+
+describe('startHttpServer options', () => {
+  it('refuses to listen beyond loopback without a token', async () => {
+    await assert.rejects(startHttpServer(createServer, { host: '0.0.0.0', port: 0 }), /without an auth token/);
+  });
+
+  it('rejects a session timeout that is not positive', async () => {
+    for (const sessionIdleTimeoutMs of [0, -1000, NaN]) {
+      await assert.rejects(
+        startHttpServer(createServer, { host: '127.0.0.1', port: 0, sessionIdleTimeoutMs }),
+        /session idle timeout must be positive/
+      );
+    }
+  });
+
+  it('checks the Host header without tokens', async () => {
+    const running = await startHttpServer(createServer, { host: '127.0.0.1', port: 0 });
+    try {
+      assert.equal((await post(running.url, initialize)).status, 200);
+      assert.equal(await postWithHost(running.url, 'rebound.example', initialize), 403);
+    } finally {
+      await running.close();
+    }
+  });
+});
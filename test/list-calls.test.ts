@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GongApiClient, PageOptions } from '../src/api/client.js';
+import { CallService } from '../src/services/call-service.js';
+import { TranscriptService } from '../src/services/transcript-service.js';
+import { UserService } from '../src/services/user-service.js';
+
+const rawCalls = [
+  { id: 'video', title: 'Demo', duration: 1800, media: 'Video' },
+  { id: 'no-show', title: 'Demo', duration: 0, media: 'Video' },
+  { id: 'audio', title: 'Discovery', duration: 900, media: 'Audio' },
+  { id: 'processing', title: 'Follow-up', duration: 600 }
+];
+
+function callService() {
+  const client = {
+    getCallsPage: async (_params: any, options: PageOptions) =>
+      ({ items: options.filter ? await options.filter(rawCalls) : rawCalls })
+  } as unknown as GongApiClient;
+  const userService = new UserService(client);
+  return new CallService(client, userService, new TranscriptService(client, userService));
+}
+
+describe('CallService.listCalls hasTranscript', () => {
+  it('keeps recorded calls, including those that may still be processing', async () => {
+    const { calls } = await callService().listCalls({ hasTranscript: true });
+    assert.deepEqual(calls.map(call => call.id), ['video', 'audio', 'processing']);
+  });
+
+  it('keeps calls without a recording', async () => {
+    const { calls } = await callService().listCalls({ hasTranscript: false });
+    assert.deepEqual(calls.map(call => call.id), ['no-show']);
+  });
+
+  it('does not claim that the listed calls have a transcript', async () => {
+    const { calls } = await callService().listCalls({ hasTranscript: true });
+    assert.ok(calls.every(call => call.hasTranscript === undefined));
+  });
+});
+
+describe('CallService.listCalls teamOf', () => {
+  const users = [
+    { id: 'lead', firstName: 'Lee', lastName: 'Lead' },
+    { id: 'rep', firstName: 'Rita', lastName: 'Rep', managerId: 'lead' },
+    { id: 'other', firstName: 'Otto', lastName: 'Other' }
+  ];
+  const teamCalls = [
+    { metaData: { id: 'by-rep', duration: 600, primaryUserId: 'rep' } },
+    { metaData: { id: 'by-other', duration: 600, primaryUserId: 'other' } }
+  ];
+
+  it('asks Gong for the calls hosted by the team and checks the hosts again', async () => {
+    const filters: any[] = [];
+    const client = {
+      getAllUsers: async () => users,
+      getCallsExtensivePage: async (filter: any, _fields: any, options: PageOptions) => {
+        filters.push(filter);
+        return { items: options.filter ? await options.filter(teamCalls) : teamCalls };
+      }
+    } as unknown as GongApiClient;
+    const userService = new UserService(client);
+    const service = new CallService(client, userService, new TranscriptService(client, userService));
+
+    const { calls } = await service.listCalls({ teamOf: 'lead' });
+    assert.deepEqual(filters.map(filter => filter.primaryUserIds?.sort()), [['lead', 'rep']]);
+    assert.deepEqual(calls.map(call => call.id), ['by-rep']);
+  });
+});
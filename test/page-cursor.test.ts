@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { decodePageCursor, encodePageCursor } from '../src/api/client.js';
+
+describe('page cursors', () => {
+  it('round-trip the Gong cursor and the offset into its page', () => {
+    const cursor = { c: 'eyJhbGciOi.gong-cursor', o: 37 };
+    assert.deepEqual(decodePageCursor(encodePageCursor(cursor)), cursor);
+    assert.deepEqual(decodePageCursor(encodePageCursor({ o: 5 })), { o: 5 });
+  });
+
+  it('are URL-safe', () => {
+    assert.match(encodePageCursor({ c: '>>>???///+++', o: 0 }), /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('reject values that were not returned as nextCursor', () => {
+    for (const value of ['', 'not-a-cursor', Buffer.from('{"c":1,"o":0}').toString('base64url'), Buffer.from('{"c":"x"}').toString('base64url')]) {
+      assert.throws(() => decodePageCursor(value), /Invalid cursor/, value);
+    }
+  });
+});
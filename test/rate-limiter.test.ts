@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+import { QuotaExhaustedError } from '../src/api/errors.js';
+import { RateLimiter } from '../src/api/rate-limiter.js';
+import { loadProfiles } from '../src/config.js';
+
+const inMemory = { usageFile: '' };
+
+/**
+ * Acquire `count` slots one after the other, releasing each right away,
+ * and return how long after the start each was granted
+ */
+async function grantTimes(limiter: RateLimiter, count: number): Promise<number[]> {
+  const start = Date.now();
+  return Promise.all(Array.from({ length: count }, async () => {
+    const release = await limiter.acquire();
+    release();
+    return Date.now() - start;
+  }));
+}
+
+describe('RateLimiter token bucket', () => {
+  it('lets a burst of one second through at once and spaces out the rest', async () => {
+    const times = await grantTimes(new RateLimiter({ ...inMemory, requestsPerSecond: 10, maxConcurrency: 20 }), 15);
+    assert.ok(times.slice(0, 10).every(time => time < 50), `burst: ${times}`);
+    assert.ok(times[14] >= 400, `last request after ${times[14]} ms`);
+  });
+
+  it('lets requests through at rates below one per second', async () => {
+    const times = await grantTimes(new RateLimiter({ ...inMemory, requestsPerSecond: 0.5 }), 1);
+    assert.ok(times[0] < 50);
+  });
+
+  it('caps the number of requests in flight', async () => {
+    const limiter = new RateLimiter({ ...inMemory, requestsPerSecond: 100, maxConcurrency: 2 });
+    const first = await limiter.acquire();
+    await limiter.acquire();
+
+    let granted = false;
+    const third = limiter.acquire().then(release => { granted = true; return release; });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(granted, false);
+
+    first();
+    (await third)();
+    assert.equal(granted, true);
+  });
+});
+
+describe('RateLimiter daily quota', () => {
+  it('stops before the reserve is used', async () => {
+    const limiter = new RateLimiter({ ...inMemory, requestsPerSecond: 100, dailyQuota: 5, quotaReserve: 2 });
+    await grantTimes(limiter, 3);
+
+    await assert.rejects(limiter.acquire(), QuotaExhaustedError);
+    assert.deepEqual({ ...limiter.getUsage(), date: undefined }, { date: undefined, used: 3, limit: 5, reserve: 2, remaining: 2 });
+  });
+});
+
+describe('RateLimiter usage file', () => {
+  let directory: string;
+  let usageFile: string;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gong-usage-'));
+    usageFile = path.join(directory, 'usage.json');
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps the count across restarts', async () => {
+    const limiter = new RateLimiter({ usageFile, requestsPerSecond: 100 });
+    await grantTimes(limiter, 3);
+    await limiter.flushUsage();
+
+    assert.equal(new RateLimiter({ usageFile }).getUsage().used, 3);
+  });
+
+  it('adds up the requests of processes sharing the file', async () => {
+    const first = new RateLimiter({ usageFile, requestsPerSecond: 100 });
+    const second = new RateLimiter({ usageFile, requestsPerSecond: 100 });
+
+    await grantTimes(first, 3);
+    await first.flushUsage();
+    await grantTimes(second, 2);
+    await second.flushUsage();
+    await grantTimes(first, 1);
+    await first.flushUsage();
+
+    assert.equal(JSON.parse(await fs.promises.readFile(usageFile, 'utf8')).count, 6);
+    assert.equal(first.getUsage().used, 6);
+  });
+
+  it('ignores the count of another day and damaged files', async () => {
+    await fs.promises.writeFile(usageFile, JSON.stringify({ date: '2000-01-01', count: 500 }));
+    assert.equal(new RateLimiter({ usageFile }).getUsage().used, 0);
+
+    await fs.promises.writeFile(usageFile, '{"date":');
+    const limiter = new RateLimiter({ usageFile, requestsPerSecond: 100 });
+    await grantTimes(limiter, 1);
+    await limiter.flushUsage();
+    assert.equal(JSON.parse(await fs.promises.readFile(usageFile, 'utf8')).count, 1);
+  });
+});
+
+describe('profile usage files', () => {
+  it('keeps a file profile named default apart from the environment profile', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gong-config-'));
+    try {
+      const configFile = path.join(directory, 'config.json');
+      await fs.promises.writeFile(configFile, JSON.stringify({
+        profiles: { default: { accessKey: 'k', accessKeySecret: 's' }, other: { accessKey: 'k', accessKeySecret: 's' } }
+      }));
+      const { profiles } = loadProfiles({ GONG_CONFIG_FILE: configFile });
+      const usageFiles = Object.values(profiles).map(profile => profile.usageFile);
+      const cacheDirs = Object.values(profiles).map(profile => profile.cacheDir);
+
+      assert.equal(new Set(usageFiles).size, usageFiles.length);
+      assert.equal(new Set(cacheDirs).size, cacheDirs.length);
+      assert.ok(!usageFiles.includes(path.join(os.homedir(), '.gong-cloud', 'usage.json')));
+      assert.ok(!cacheDirs.includes(path.join(os.homedir(), '.gong-cloud', 'cache', 'default')));
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GongApiClient, PageOptions } from '../src/api/client.js';
+import { CallService } from '../src/services/call-service.js';
+import { TranscriptService } from '../src/services/transcript-service.js';
+import { UserService } from '../src/services/user-service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Call service over one call with acme.com every `everyDays` days for the last
+ * `days` days. Like Gong, the fake lists the calls of a range oldest first.
+ */
+function callService(days: number, everyDays: number) {
+  const now = Date.now();
+  const rawCalls = Array.from({ length: Math.floor(days / everyDays) }, (_, i) => ({
+    metaData: {
+      id: `c${i}`,
+      started: new Date(now - (i * everyDays + 0.5) * DAY_MS).toISOString(),
+      duration: 1800,
+      media: 'Video'
+    },
+    parties: [{ name: 'Ann Buyer', emailAddress: 'ann@acme.com' }]
+  })).reverse();
+
+  const ranges: Array<{ from: string; to: string }> = [];
+  const client = {
+    getCallsExtensivePage: async (filter: any, _fields: any, options: PageOptions) => {
+      ranges.push({ from: filter.fromDateTime, to: filter.toDateTime });
+      const inRange = rawCalls.filter(call =>
+        call.metaData.started >= filter.fromDateTime && call.metaData.started < filter.toDateTime
+      );
+      return { items: options.filter ? await options.filter(inRange) : inRange };
+    }
+  } as unknown as GongApiClient;
+
+  const userService = new UserService(client);
+  const service = new CallService(client, userService, new TranscriptService(client, userService));
+  return { service, ranges };
+}
+
+describe('CallService.listRecentCalls', () => {
+  it('returns the newest matching calls, not the oldest ones of the range', async () => {
+    const { service } = callService(180, 3);
+    const calls = await service.listRecentCalls(4, 180, { participantDomain: 'acme.com' });
+    assert.deepEqual(calls.map(call => call.id), ['c0', 'c1', 'c2', 'c3']);
+  });
+
+  it('stops walking back once enough calls are found', async () => {
+    const { service, ranges } = callService(180, 3);
+    await service.listRecentCalls(2, 180, { participantDomain: 'acme.com' });
+    // Windows of 1, 2 and 4 days reach back 7 days, enough for calls 0.5 and 3.5 days ago
+    assert.equal(ranges.length, 3);
+  });
+
+  it('walks back to the start of the range when there are too few calls', async () => {
+    const { service, ranges } = callService(180, 60);
+    const calls = await service.listRecentCalls(5, 180, { participantDomain: 'acme.com' });
+    assert.equal(calls.length, 3);
+    assert.equal(new Date(ranges[ranges.length - 1].from).getTime() <= Date.now() - 179 * DAY_MS, true);
+  });
+
+  it('applies the list filter', async () => {
+    const { service } = callService(30, 3);
+    assert.deepEqual(await service.listRecentCalls(5, 30, { participantDomain: 'other.com' }), []);
+  });
+});
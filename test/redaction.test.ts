@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileRule, luhnValid, Redactor } from '../src/services/redaction.js';
+
+describe('luhnValid', () => {
+  it('accepts valid card numbers', () => {
+    assert.equal(luhnValid('4111111111111111'), true);
+    assert.equal(luhnValid('5555555555554444'), true);
+  });
+
+  it('rejects digit runs with a wrong checksum', () => {
+    assert.equal(luhnValid('4111111111111112'), false);
+    assert.equal(luhnValid('1234567890123456'), false);
+  });
+});
+
+describe('Redactor detectors', () => {
+  const redactor = new Redactor({ mode: 'on' });
+
+  it('redacts email addresses', () => {
+    assert.equal(redactor.text('Mail jane.doe+gong@acme.co.uk today'), 'Mail [EMAIL] today');
+  });
+
+  it('redacts URLs without the punctuation that ends the sentence', () => {
+    assert.equal(redactor.text('See https://acme.com/pricing?plan=pro.'), 'See [URL].');
+    assert.equal(redactor.text('Go to www.acme.com, then log in'), 'Go to [URL], then log in');
+  });
+
+  it('redacts international and North American phone numbers', () => {
+    assert.equal(redactor.text('Call +1 415 555 0100 now'), 'Call [PHONE] now');
+    assert.equal(redactor.text('Call +44 (20) 7946 0958 now'), 'Call [PHONE] now');
+    assert.equal(redactor.text('Call (415) 555-0100 now'), 'Call [PHONE] now');
+    assert.equal(redactor.text('Call 415.555.0100 now'), 'Call [PHONE] now');
+  });
+
+  it('leaves short numbers, years and amounts alone', () => {
+    const text = 'In 2024 we sold 1,500 seats for $30,000 in Q3';
+    assert.equal(redactor.text(text), text);
+  });
+
+  it('redacts social security numbers', () => {
+    assert.equal(redactor.text('SSN 123-45-6789.'), 'SSN [SSN].');
+  });
+
+  it('redacts card numbers only when their checksum is valid', () => {
+    assert.equal(redactor.text('Card 4111 1111 1111 1111 works'), 'Card [CARD] works');
+    assert.equal(redactor.text('Card 4111-1111-1111-1111 works'), 'Card [CARD] works');
+    assert.equal(redactor.text('Order 4111111111111112 shipped'), 'Order 4111111111111112 shipped');
+  });
+
+  it('does not take the digits of emails and URLs for phone numbers', () => {
+    assert.equal(redactor.text('4155550100@acme.com'), '[EMAIL]');
+    assert.equal(redactor.text('https://acme.com/4155550100'), '[URL]');
+  });
+
+  it('only runs the configured detectors', () => {
+    const emailsOnly = new Redactor({ detectors: ['email'] });
+    assert.equal(emailsOnly.text('jane@acme.com or +1 415 555 0100'), '[EMAIL] or +1 415 555 0100');
+  });
+});
+
+describe('compileRule', () => {
+  const apply = (rule: Parameters<typeof compileRule>[0], text: string) => {
+    const { pattern, replace } = compileRule(rule);
+    return text.replace(pattern, replace);
+  };
+
+  it('matches terms as whole words, ignoring case', () => {
+    const rule = { name: 'projects', terms: ['Falcon'] };
+    assert.equal(apply(rule, 'Project falcon and FALCON, not Falconry'), 'Project [REDACTED] and [REDACTED], not Falconry');
+  });
+
+  it('prefers the longest term', () => {
+    const rule = { name: 'customers', terms: ['Acme', 'Acme Corp'], replacement: '[CUSTOMER]' };
+    assert.equal(apply(rule, 'Acme Corp and Acme'), '[CUSTOMER] and [CUSTOMER]');
+  });
+
+  it('treats terms as text, not as regular expressions', () => {
+    const rule = { name: 'codes', terms: ['A.B'] };
+    assert.equal(apply(rule, 'A.B and AxB'), '[REDACTED] and AxB');
+  });
+
+  it('compiles patterns with their flags', () => {
+    const rule = { name: 'tickets', pattern: 'tick-\\d+', flags: 'i', replacement: '[TICKET]' };
+    assert.equal(apply(rule, 'TICK-12 and tick-7'), '[TICKET] and [TICKET]');
+  });
+
+  it('throws on rules without a pattern or terms', () => {
+    assert.throws(() => compileRule({ name: 'empty', terms: [' '] }), /needs a pattern or terms/);
+  });
+
+  it('throws on invalid patterns', () => {
+    assert.throws(() => compileRule({ name: 'broken', pattern: '(' }), SyntaxError);
+  });
+});
+
+describe('Redactor.isActive', () => {
+  it('follows the caller unless redaction is enforced', () => {
+    const off = new Redactor({ mode: 'off' });
+    const on = new Redactor({ mode: 'on' });
+    const enforced = new Redactor({ mode: 'enforced' });
+
+    assert.equal(off.isActive(), false);
+    assert.equal(off.isActive(true), true);
+    assert.equal(on.isActive(), true);
+    assert.equal(on.isActive(false), false);
+    assert.equal(enforced.isActive(false), true);
+  });
+});
+
+describe('pseudonyms', () => {
+  const people = [
+    { name: 'Zoe Buyer', emailAddress: 'zoe@customer.com', affiliation: 'External' },
+    { name: 'Adam Champion', emailAddress: 'adam@customer.com', affiliation: 'External' },
+    { name: 'Rita Rep', emailAddress: 'rita@seller.com', affiliation: 'Internal' }
+  ];
+
+  it('numbers external participants by name and leaves internal ones alone', () => {
+    const redaction = new Redactor({ pseudonymizeExternal: true }).forCall('c1', people);
+    assert.equal(redaction.person(people[1]).name, 'External 1');
+    assert.equal(redaction.person(people[0]).name, 'External 2');
+    assert.equal(redaction.person(people[2]).name, 'Rita Rep');
+  });
+
+  it('hides the email address of anyone not known to be internal', () => {
+    const redaction = new Redactor({ pseudonymizeExternal: true }).forCall('c1', people);
+    assert.equal(redaction.person(people[0]).emailAddress, '[EMAIL]');
+    assert.equal(redaction.person({ name: 'Someone', email: 'x@y.com' }).email, '[EMAIL]');
+    assert.equal(redaction.person(people[2]).emailAddress, 'rita@seller.com');
+  });
+
+  it('replaces full names and name parts in text', () => {
+    const redaction = new Redactor({ pseudonymizeExternal: true }).forCall('c1', people);
+    assert.equal(
+      redaction.text('Zoe Buyer said Adam agrees; Rita will follow up with zoe@customer.com'),
+      'External 2 said External 1 agrees; Rita will follow up with [EMAIL]'
+    );
+  });
+
+  it('keeps pseudonyms stable within a call when more participants turn up', () => {
+    const redactor = new Redactor({ pseudonymizeExternal: true });
+    redactor.forCall('c1', [people[0]]);
+    const later = redactor.forCall('c1', [
+      { name: 'Aaron Late', affiliation: 'External' },
+      ...people
+    ]);
+
+    assert.equal(later.person(people[0]).name, 'External 1');
+    assert.equal(later.person({ name: 'Aaron Late', affiliation: 'External' }).name, 'External 2');
+    assert.equal(later.person(people[1]).name, 'External 3');
+  });
+
+  it('numbers each call on its own', () => {
+    const redactor = new Redactor({ pseudonymizeExternal: true });
+    redactor.forCall('c1', people);
+    const other = redactor.forCall('c2', [people[0]]);
+    assert.equal(other.person(people[0]).name, 'External 1');
+  });
+
+  it('keeps real names when pseudonymization is off', () => {
+    const redaction = new Redactor({ mode: 'on' }).forCall('c1', people);
+    assert.equal(redaction.person(people[0]).name, 'Zoe Buyer');
+    assert.equal(redaction.text('Zoe Buyer agreed'), 'Zoe Buyer agreed');
+  });
+
+  it('redacts the sentences of transcript segments', () => {
+    const redaction = new Redactor({ pseudonymizeExternal: true }).forCall('c1', people);
+    const [segment] = redaction.segments([
+      { speakerId: 's1', sentences: [{ start: 0, end: 1000, text: 'Thanks Zoe, mail me at rita@seller.com' }] }
+    ]);
+    assert.equal(segment.speakerId, 's1');
+    assert.equal(segment.sentences[0].text, 'Thanks External 2, mail me at [EMAIL]');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GongApiClient, GongApiError } from '../src/api/client.js';
+import { UserService } from '../src/services/user-service.js';
+
+const forbidden = () => new GongApiError('forbidden', 'Gong API returned 403 for GET /v2/users: Access denied', { status: 403 });
+
+const transcript = [
+  { speakerId: 'speaker-rep', sentences: [{ start: 0, end: 1000, text: 'Hi there' }] },
+  { speakerId: 'speaker-buyer', sentences: [{ start: 1000, end: 2000, text: 'Hello' }] }
+];
+
+const parties = [
+  { speakerId: 'speaker-rep', userId: 'u1', name: 'Rita Rep', emailAddress: 'rita@seller.com', affiliation: 'Internal' }
+];
+
+/**
+ * Fake API client with just the endpoints used to resolve speakers
+ */
+function fakeClient(endpoints: { getAllUsers?: () => Promise<any[]>; getCallsExtensivePage?: () => Promise<any> }): GongApiClient {
+  return {
+    getAllUsers: endpoints.getAllUsers || (async () => [{ id: 'u1', firstName: 'Rita', lastName: 'Rep', emailAddress: 'rita@seller.com' }]),
+    getCallsExtensivePage: endpoints.getCallsExtensivePage || (async () => ({ items: [{ parties }] })),
+    getTranscripts: async () => { throw new Error('The transcript should not be fetched again'); }
+  } as unknown as GongApiClient;
+}
+
+describe('UserService.resolveSpeakers', () => {
+  it('resolves speakers through the parties and the user directory', async () => {
+    const users = new UserService(fakeClient({}));
+    const { speakerMap, error } = await users.resolveSpeakers('c1', {}, transcript);
+
+    assert.equal(error, undefined);
+    assert.equal(speakerMap['speaker-rep'].name, 'Rita Rep');
+    assert.equal(speakerMap['speaker-buyer'].source, 'placeholder');
+  });
+
+  it('falls back to the parties and reports the error when the user lookup rejects', async () => {
+    const users = new UserService(fakeClient({ getAllUsers: async () => { throw forbidden(); } }));
+    const { speakerMap, error } = await users.resolveSpeakers('c1', {}, transcript);
+
+    assert.equal(error?.code, 'forbidden');
+    assert.equal(speakerMap['speaker-rep'].name, 'Rita Rep');
+    assert.equal(speakerMap['speaker-buyer'].name, 'Speaker speaker-');
+  });
+
+  it('uses placeholders for every speaker when the parties cannot be loaded either', async () => {
+    const users = new UserService(fakeClient({
+      getAllUsers: async () => { throw forbidden(); },
+      getCallsExtensivePage: async () => { throw new Error('socket hang up'); }
+    }));
+    const { speakerMap, error } = await users.resolveSpeakers('c1', {}, transcript);
+
+    assert.equal(error?.code, 'tool_error');
+    assert.deepEqual(Object.values(speakerMap).map(speaker => speaker.source), ['placeholder', 'placeholder']);
+  });
+
+  it('keeps getSpeakerMap from throwing', async () => {
+    const users = new UserService(fakeClient({ getAllUsers: async () => { throw forbidden(); } }));
+    const speakerMap = await users.getSpeakerMap('c1', {}, transcript);
+    assert.deepEqual(Object.keys(speakerMap).sort(), ['speaker-buyer', 'speaker-rep']);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatCueTime, formatMilliseconds, parseTimeOffset, parseTimeWindow } from '../src/utils/time.js';
+
+describe('parseTimeOffset', () => {
+  it('reads milliseconds, m:ss and h:mm:ss', () => {
+    assert.equal(parseTimeOffset(90500), 90500);
+    assert.equal(parseTimeOffset('90500'), 90500);
+    assert.equal(parseTimeOffset('12:30'), 750000);
+    assert.equal(parseTimeOffset('1:02:03'), 3723000);
+    assert.equal(parseTimeOffset(' 75:00 '), 4500000);
+  });
+
+  it('rejects malformed offsets', () => {
+    for (const value of ['12:3', '1:60', 'abc', '1:2:3:4', '-5', '']) {
+      assert.throws(() => parseTimeOffset(value), /Invalid time offset/, value);
+    }
+    assert.throws(() => parseTimeOffset(-1), /Invalid time offset/);
+    assert.throws(() => parseTimeOffset(NaN), /Invalid time offset/);
+  });
+});
+
+describe('parseTimeWindow', () => {
+  it('parses either end on its own', () => {
+    assert.deepEqual(parseTimeWindow(), { startTime: undefined, endTime: undefined });
+    assert.deepEqual(parseTimeWindow('5:00'), { startTime: 300000, endTime: undefined });
+    assert.deepEqual(parseTimeWindow(undefined, '10:00'), { startTime: undefined, endTime: 600000 });
+  });
+
+  it('rejects a start after the end', () => {
+    assert.throws(() => parseTimeWindow('10:00', '5:00'), /must not be after endTime/);
+  });
+});
+
+describe('formatting', () => {
+  it('formats offsets as m:ss', () => {
+    assert.equal(formatMilliseconds(0), '0:00');
+    assert.equal(formatMilliseconds(3723000), '62:03');
+  });
+
+  it('formats SRT and WebVTT cue times', () => {
+    assert.equal(formatCueTime(3723456), '01:02:03,456');
+    assert.equal(formatCueTime(3723456, '.'), '01:02:03.456');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpeakerMap } from '../src/models/types.js';
+import { estimateTokens, fitToTokenBudget } from '../src/services/transcript-budget.js';
+
+// About 100 tokens of text, so 120 tokens per turn once rendered concisely
+const LONG_TEXT = 'word '.repeat(80);
+
+function segment(index: number, options: { speakerId?: string; topic?: string; text?: string } = {}) {
+  return {
+    speakerId: options.speakerId ?? 's1',
+    topic: options.topic ?? 'Discovery',
+    sentences: [{ start: index * 10000, end: index * 10000 + 5000, text: options.text ?? LONG_TEXT }]
+  };
+}
+
+const speakerMap: SpeakerMap = {
+  internal: { id: 'internal', name: 'Rep', affiliation: 'internal' },
+  external: { id: 'external', name: 'Customer', affiliation: 'external' }
+};
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+  });
+});
+
+describe('fitToTokenBudget', () => {
+  it('leaves transcripts within the budget untouched', () => {
+    const segments = Array.from({ length: 5 }, (_, i) => segment(i));
+    const result = fitToTokenBudget(segments, speakerMap, { maxTokens: 1000 });
+
+    assert.equal(result.segments, segments);
+    assert.equal(result.omitted, undefined);
+  });
+
+  it('keeps the turns that fit in their original order and reports the rest', () => {
+    const segments = Array.from({ length: 20 }, (_, i) => segment(i));
+    const result = fitToTokenBudget(segments, speakerMap, { maxTokens: 1000, strategy: 'even' });
+
+    // 750 tokens are left once the omission report is accounted for
+    assert.equal(result.segments.length, 6);
+    assert.deepEqual(result.segments, [...result.segments].sort((a, b) => segments.indexOf(a) - segments.indexOf(b)));
+    assert.equal(result.omitted?.segments, 14);
+    assert.equal(result.omitted?.totalSegments, 20);
+    assert.equal(result.omitted?.estimatedTokens, 14 * 120);
+    assert.ok(result.omitted!.ranges.length > 0);
+    assert.match(result.omitted!.ranges[0].timeRange, /^\d+:\d\d - \d+:\d\d$/);
+  });
+
+  it('spreads the kept turns over the whole call', () => {
+    const segments = Array.from({ length: 20 }, (_, i) => segment(i));
+    const kept = fitToTokenBudget(segments, speakerMap, { maxTokens: 1000, strategy: 'even' }).segments.map(kept => segments.indexOf(kept));
+
+    assert.ok(kept[0] < 5 && kept[kept.length - 1] >= 15, `kept ${kept}`);
+  });
+
+  it('drops filler turns first', () => {
+    const segments = [
+      ...Array.from({ length: 5 }, (_, i) => segment(i)),
+      ...Array.from({ length: 20 }, (_, i) => segment(i + 5, { text: 'Yeah, okay.' }))
+    ];
+    const result = fitToTokenBudget(segments, speakerMap, { maxTokens: 900 });
+
+    assert.ok(segments.slice(0, 5).every(content => result.segments.includes(content)));
+    assert.equal(result.omitted?.fillerTurns, result.omitted?.segments);
+  });
+
+  it('keeps every topic under the balanced strategy', () => {
+    const segments = [
+      ...Array.from({ length: 10 }, (_, i) => segment(i, { topic: 'Discovery' })),
+      segment(10, { topic: 'Pricing' }),
+      segment(11, { topic: 'Next Steps' })
+    ];
+    const result = fitToTokenBudget(segments, speakerMap, { maxTokens: 700 });
+
+    assert.deepEqual(new Set(result.segments.map(kept => kept.topic)), new Set(['Discovery', 'Pricing', 'Next Steps']));
+    assert.deepEqual(result.omitted?.topics, []);
+  });
+
+  it('prefers external speakers under the external strategy', () => {
+    const segments = Array.from({ length: 10 }, (_, i) => segment(i, { speakerId: i % 2 === 0 ? 'internal' : 'external' }));
+    const result = fitToTokenBudget(segments, speakerMap, { maxTokens: 850, strategy: 'external' });
+
+    assert.equal(result.segments.length, 5);
+    assert.ok(result.segments.every(kept => kept.speakerId === 'external'));
+  });
+
+  it('counts reserved tokens and the rendered detail against the budget', () => {
+    const segments = Array.from({ length: 5 }, (_, i) => segment(i));
+
+    assert.equal(fitToTokenBudget(segments, speakerMap, { maxTokens: 1000 }).omitted, undefined);
+    assert.ok(fitToTokenBudget(segments, speakerMap, { maxTokens: 1000, reservedTokens: 500 }).omitted);
+    assert.ok(fitToTokenBudget(segments, speakerMap, { maxTokens: 1000, detail: 'full' }).omitted);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GongApiClient, PageOptions } from '../src/api/client.js';
+import { CallService } from '../src/services/call-service.js';
+import { DEFAULT_SEARCH_CALLS, MAX_SEARCH_CALLS, SearchService } from '../src/services/search-service.js';
+import { TranscriptService } from '../src/services/transcript-service.js';
+import { UserService } from '../src/services/user-service.js';
+
+const transcript = [
+  { speakerId: 'rep', sentences: [{ start: 0, end: 3000, text: 'Are you SOC-2 compliant?' }] },
+  { speakerId: 'buyer', sentences: [{ start: 3000, end: 6000, text: 'Yes, our SOC 2 report is ready.' }] }
+];
+
+/**
+ * Search service over one transcribed call, recording the page sizes asked for
+ */
+function searchService() {
+  const maxItems: Array<number | undefined> = [];
+  const client = {
+    getCallsPage: async (_params: any, options: PageOptions) => {
+      maxItems.push(options.maxItems);
+      return { items: [{ id: 'c1', title: 'Security review', started: '2024-03-01T10:00:00Z', duration: 600 }] };
+    },
+    getTranscripts: async () => ({ callTranscripts: [{ callId: 'c1', transcript }] }),
+    getCallsExtensivePage: async () => ({
+      items: [{ parties: [{ speakerId: 'rep', name: 'Rita Rep', affiliation: 'Internal' }] }]
+    }),
+    getAllUsers: async () => []
+  } as unknown as GongApiClient;
+
+  const userService = new UserService(client);
+  const transcriptService = new TranscriptService(client, userService);
+  const callService = new CallService(client, userService, transcriptService);
+  return { search: new SearchService(callService, transcriptService, userService), maxItems };
+}
+
+describe('SearchService.searchTranscripts', () => {
+  it('finds phrases across spaces and hyphens', async () => {
+    const { search, maxItems } = searchService();
+    const result = await search.searchTranscripts({ query: '"SOC 2"' });
+
+    assert.equal(result.totalMatches, 2);
+    assert.equal(result.results[0].callId, 'c1');
+    assert.deepEqual(maxItems, [DEFAULT_SEARCH_CALLS]);
+  });
+
+  it('rejects a maxCalls that is not a whole number from 1 to the maximum', async () => {
+    const { search, maxItems } = searchService();
+    for (const maxCalls of [0, -5, 2.5, MAX_SEARCH_CALLS + 1]) {
+      await assert.rejects(search.searchTranscripts({ query: 'pricing', maxCalls }), /maxCalls must be a whole number/, String(maxCalls));
+    }
+    assert.deepEqual(maxItems, []);
+  });
+});
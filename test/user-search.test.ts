@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GongUser } from '../src/models/types.js';
+import { editDistance, matchesTitle, normalizeName, scoreUserEmail, scoreUserName } from '../src/services/user-search.js';
+
+const user = (id: string, firstName: string, lastName: string, emailAddress?: string, title?: string): GongUser =>
+  ({ id, firstName, lastName, emailAddress, title });
+
+const jo = user('1', 'Jo', 'Smith', 'jo.smith@acme.com');
+const john = user('2', 'John', 'Smith', 'jsmith@acme.com', 'Account Executive');
+const robert = user('3', 'Robert', 'Jones', 'rjones@acme.com');
+const jose = user('4', 'José', 'Núñez', 'jose@acme.com', 'Directora de Ventas');
+
+/**
+ * Names of the users matching a query, best first
+ */
+function rank(users: GongUser[], query: string): string[] {
+  return users
+    .map(candidate => ({ candidate, result: scoreUserName(candidate, query) }))
+    .filter(({ result }) => result !== undefined)
+    .sort((a, b) => b.result!.score - a.result!.score)
+    .map(({ candidate }) => `${candidate.firstName} ${candidate.lastName}`);
+}
+
+describe('normalizeName', () => {
+  it('drops accents, case and punctuation', () => {
+    assert.equal(normalizeName('  José  Núñez-O\'Brien '), 'jose nunez o brien');
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions, substitutions and transpositions', () => {
+    assert.equal(editDistance('smith', 'smith'), 0);
+    assert.equal(editDistance('smith', 'smyth'), 1);
+    assert.equal(editDistance('smith', 'smiths'), 1);
+    assert.equal(editDistance('jhon', 'john'), 1);
+  });
+
+  it('gives up above the maximum', () => {
+    assert.equal(editDistance('anderson', 'smith', 2), 3);
+  });
+});
+
+describe('scoreUserName', () => {
+  it('scores a full name match as exact', () => {
+    assert.deepEqual(scoreUserName(john, 'john smith'), { score: 100, match: 'exact' });
+  });
+
+  it('matches the local part of the email address', () => {
+    assert.deepEqual(scoreUserName(john, 'jsmith'), { score: 95, match: 'exact' });
+  });
+
+  it('ranks whole-word prefixes above partial ones', () => {
+    assert.deepEqual(rank([john, jo], 'jo'), ['Jo Smith', 'John Smith']);
+    assert.equal(scoreUserName(jo, 'jo')?.score, 90);
+    assert.equal(scoreUserName(john, 'jo')?.score, 85);
+  });
+
+  it('matches words in any order', () => {
+    assert.equal(scoreUserName(john, 'smith john')?.match, 'token');
+  });
+
+  it('matches nicknames', () => {
+    const result = scoreUserName(robert, 'Bob Jones');
+    assert.equal(result?.match, 'token');
+    assert.ok(result!.score >= 50 && result!.score <= 70);
+  });
+
+  it('ranks an exact word above the start of a word', () => {
+    assert.deepEqual(rank([john, jo], 'Jo Smith'), ['Jo Smith', 'John Smith']);
+  });
+
+  it('tolerates typos', () => {
+    const result = scoreUserName(john, 'Jhon Smtih');
+    assert.equal(result?.match, 'fuzzy');
+    assert.ok(result!.score >= 10 && result!.score <= 40);
+  });
+
+  it('ignores accents', () => {
+    assert.equal(scoreUserName(jose, 'Jose Nunez')?.match, 'exact');
+  });
+
+  it('does not match unrelated names', () => {
+    assert.equal(scoreUserName(john, 'Maria Garcia'), undefined);
+    assert.equal(scoreUserName(john, '   '), undefined);
+  });
+
+  it('does not match the same name word twice', () => {
+    assert.equal(scoreUserName(jo, 'Jo Jo')?.match, 'fuzzy');
+  });
+});
+
+describe('scoreUserEmail', () => {
+  it('ranks the whole address, its start and any part of it', () => {
+    assert.deepEqual(scoreUserEmail(john, 'JSmith@acme.com'), { score: 100, match: 'exact' });
+    assert.equal(scoreUserEmail(john, 'jsm')?.match, 'prefix');
+    assert.equal(scoreUserEmail(john, '@acme.com')?.match, 'token');
+  });
+
+  it('tolerates typos in the local part', () => {
+    assert.equal(scoreUserEmail(john, 'jsmiht@acme.com')?.match, 'fuzzy');
+    assert.equal(scoreUserEmail(john, 'someone@acme.com'), undefined);
+  });
+
+  it('does not match users without an email address', () => {
+    assert.equal(scoreUserEmail(user('5', 'No', 'Email'), 'no'), undefined);
+  });
+});
+
+describe('matchesTitle', () => {
+  it('matches part of the title, ignoring case and accents', () => {
+    assert.equal(matchesTitle(john, 'executive'), true);
+    assert.equal(matchesTitle(jose, 'directora'), true);
+    assert.equal(matchesTitle(robert, 'executive'), false);
+  });
+});